@@ -4,6 +4,8 @@ import { setup as setupDesktop }    from './src/ui/desktopUI.js';
 import { setup as setupMobile }     from './src/ui/mobileUI.js';
 import { initScreenDrawer }         from './src/core/screenDrawer.js';
 import { dispatch }                 from './src/core/stateManager.js';
+import { restoreAutosave, startAutosave } from './src/core/autosave.js';
+import { restorePermalink, startPermalinkSync } from './src/core/permalink.js';
 
 // Keep track of whether we've initialized before
 let hasInitialized = false;
@@ -13,6 +15,8 @@ let hasInitialized = false;
  * 1) Builds the UI (desktop or mobile) so <canvas> exists
  * 2) Wires up screenDrawer to listen for INITIALIZE/REDRAW
  * 3) Initializes core state (emits INITIALIZE → first paint)
+ * 4) Opens the design in the URL hash or the autosaved one, and keeps
+ *    both in step from then on
  */
 function initializeApp() {
     console.log("Initializing..");
@@ -38,6 +42,22 @@ function initializeApp() {
             setupDesktop();
         }
 
+        // Keep the autosave and the URL in step with every action from here on
+        startAutosave();
+        startPermalinkSync(error => alert(`Could not open the link: ${error.message}`));
+
+        // Open the design in the link, or else the one from the last visit
+        // (the controls sync to it)
+        let restored = false;
+        try {
+            restored = restorePermalink();
+        } catch (error) {
+            alert(`Could not open the link: ${error.message}`);
+        }
+        if (!restored && restoreAutosave()) {
+            console.log("Restored the autosaved document");
+        }
+
         // Initialize the drawer
         console.log("Drawing Initial Screen");
         initScreenDrawer();
@@ -0,0 +1,128 @@
+// scripts/benchmarkCurves.js
+// Times finding all curves of large grids, and compares it with the
+// previous approach of rescanning every grid line for each new curve
+//
+// Usage (Node 22+, or Node 20 with --experimental-default-type=module):
+//   node scripts/benchmarkCurves.js [--sizes 100,200,500] [--density 0.3]
+//     [--rescan-max 200] [--seed 1]
+//
+// Each size n is an n x n plane grid whose interior lines are mirrors with
+// probability --density. The rescanning finder is only run up to
+// --rescan-max, since it takes quadratic time.
+
+import { Grid } from '../src/logic/grid.js';
+import { findAllCurves } from '../src/logic/curveStartFinder.js';
+
+function parseArgs(argv) {
+  const args = { sizes: '100,200,500', density: 0.3, 'rescan-max': 200, seed: 1 };
+  for (let i = 0; i < argv.length; i += 2) {
+    const name = argv[i].replace(/^--/, '');
+    const value = argv[i + 1];
+    if (!(name in args) || value === undefined) {
+      throw new Error(`Unknown or incomplete option: ${argv[i]}`);
+    }
+    args[name] = typeof args[name] === 'number' ? Number(value) : value;
+  }
+  args.sizes = args.sizes.split(',').map(Number);
+  return args;
+}
+
+// Small seeded generator (mulberry32), so runs are repeatable
+function createRandom(seed) {
+  let a = seed >>> 0;
+  return () => {
+    a = (a + 0x6d2b79f5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+function time(fn) {
+  const start = performance.now();
+  const result = fn();
+  return { result, ms: performance.now() - start };
+}
+
+// The previous finder: every curve starts from a scan of all grid lines in
+// order, and is traced through the string-keyed connections
+function findAllCurvesByRescanning(grid) {
+  grid.resetUsedDirections();
+  const curves = [];
+  for (;;) {
+    let curve = null;
+    for (const [id, gridLine] of grid.gridLines) {
+      const unused = grid.getUnusedDirections(id);
+      if (unused.length) {
+        curve = traceById(grid, gridLine, unused[0]);
+        break;
+      }
+    }
+    if (!curve) return curves;
+    curves.push(curve);
+  }
+}
+
+function traceById(grid, startLine, startDirection) {
+  const gridLines = [startLine];
+  let line = startLine;
+  let direction = startDirection;
+  grid.markDirectionUsed(line.id, direction);
+  for (;;) {
+    const nextId = line.connections[direction];
+    if (nextId == null) return gridLines;
+    const next = grid.getGridLine(nextId);
+    const arrival = grid.getArrivalDirection(line.id, direction);
+    const nextDirection = grid.getReflectedDirection(nextId, arrival);
+    gridLines.push(next);
+    grid.markDirectionUsed(nextId, nextDirection);
+    grid.markDirectionUsed(nextId, grid.getOppositeDirection(arrival));
+    if (next.id === startLine.id && nextDirection === startDirection) return gridLines;
+    line = next;
+    direction = nextDirection;
+  }
+}
+
+function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const random = createRandom(args.seed);
+
+  console.log('size      lines  curves   build ms   find ms  rescan ms  speedup');
+  for (const size of args.sizes) {
+    const { result: grid, ms: buildMs } = time(() => {
+      const grid = new Grid(size, size);
+      for (const gridLine of grid.lines) {
+        if (!grid.isBoundaryGridLine(gridLine) && random() < args.density) {
+          grid.setMirror(gridLine.id, true);
+        }
+      }
+      return grid;
+    });
+
+    const { result: curves, ms: findMs } = time(() => findAllCurves(grid));
+
+    let rescan = '';
+    let speedup = '';
+    if (size <= args['rescan-max']) {
+      const { result: reference, ms: rescanMs } = time(() => findAllCurvesByRescanning(grid));
+      if (reference.length !== curves.length) {
+        throw new Error(`Curve counts differ at size ${size}: ${curves.length} vs ${reference.length}`);
+      }
+      rescan = rescanMs.toFixed(0);
+      speedup = `${(rescanMs / findMs).toFixed(1)}x`;
+    }
+
+    console.log([
+      String(size).padEnd(6),
+      String(grid.lines.length).padStart(9),
+      String(curves.length).padStart(7),
+      buildMs.toFixed(0).padStart(10),
+      findMs.toFixed(0).padStart(9),
+      rescan.padStart(10),
+      speedup.padStart(8)
+    ].join(' '));
+  }
+}
+
+main();
@@ -0,0 +1,117 @@
+// scripts/enumerateMirrors.js
+// Command-line enumeration of the mirror configurations of a small grid
+//
+// Usage (Node 22+, or Node 20 with --experimental-default-type=module):
+//   node scripts/enumerateMirrors.js --rows 3 --cols 3 [--lattice square] [--topology plane]
+//     [--symmetry both-axes] [--out configs.jsonl] [--checkpoint state.json]
+//     [--limit 100000]
+//
+// Every counted configuration is appended to the --out file as one JSON
+// line. The enumeration state is saved to the --checkpoint file from time
+// to time and when the run ends (also on Ctrl+C); running the same command
+// again resumes from it. A checkpoint of a different grid or symmetry is an
+// error. --limit stops a run after that many configurations.
+
+import fs from 'node:fs';
+import { GRID_LATTICES, GRID_TOPOLOGIES } from '../src/logic/grid.js';
+import { createGrid } from '../src/logic/latticeGrid.js';
+import { GRID_SYMMETRIES } from '../src/logic/symmetry.js';
+import {
+  createEnumerationState,
+  enumerateConfigurations,
+  formatDistribution
+} from '../src/logic/mirrorEnumeration.js';
+
+const CHECKPOINT_EVERY = 5000; // records
+
+function parseArgs(argv) {
+  const args = {
+    rows: 2,
+    cols: 2,
+    lattice: GRID_LATTICES.SQUARE,
+    topology: GRID_TOPOLOGIES.PLANE,
+    symmetry: GRID_SYMMETRIES.NONE,
+    out: 'mirror-configurations.jsonl',
+    checkpoint: 'mirror-enumeration.json',
+    limit: Infinity
+  };
+  for (let i = 0; i < argv.length; i += 2) {
+    const name = argv[i].replace(/^--/, '');
+    const value = argv[i + 1];
+    if (!(name in args) || value === undefined) {
+      throw new Error(`Unknown or incomplete option: ${argv[i]}`);
+    }
+    args[name] = typeof args[name] === 'number' ? Number(value) : value;
+  }
+  return args;
+}
+
+// Stop when the options describe another enumeration than the checkpoint
+function checkResumedOptions(state, args) {
+  const saved = {
+    rows: state.grid.rows,
+    cols: state.grid.cols,
+    lattice: state.grid.lattice || GRID_LATTICES.SQUARE,
+    topology: state.grid.topology || GRID_TOPOLOGIES.PLANE,
+    symmetry: state.symmetry
+  };
+  const differences = Object.keys(saved)
+    .filter(name => saved[name] !== args[name])
+    .map(name => `--${name} ${args[name]} (checkpoint: ${saved[name]})`);
+  if (differences.length > 0) {
+    throw new Error(`${args.checkpoint} is for another enumeration: ${differences.join(', ')}. ` +
+      'Pass its options, or another --checkpoint to start afresh.');
+  }
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+
+  // Resume from the checkpoint if there is one
+  let state;
+  if (fs.existsSync(args.checkpoint)) {
+    state = JSON.parse(fs.readFileSync(args.checkpoint, 'utf8'));
+    checkResumedOptions(state, args);
+    console.log(`Resuming ${args.checkpoint} at configuration ${state.next} of ${state.total}`);
+    // Drop records written after the last checkpoint; they are counted again
+    if (fs.existsSync(args.out)) fs.truncateSync(args.out, state.outputBytes || 0);
+  } else {
+    const grid = createGrid(args.lattice, args.rows, args.cols, { topology: args.topology });
+    state = { ...createEnumerationState(grid, { symmetry: args.symmetry }), outputBytes: 0 };
+    fs.writeFileSync(args.out, '');
+    console.log(`Enumerating ${state.total} configurations of ${state.lineIds.length} interior lines`);
+  }
+
+  const saveCheckpoint = () => {
+    const temporary = `${args.checkpoint}.tmp`;
+    fs.writeFileSync(temporary, JSON.stringify(state));
+    fs.renameSync(temporary, args.checkpoint);
+  };
+
+  let stopped = false;
+  process.on('SIGINT', () => { stopped = true; });
+
+  const output = fs.openSync(args.out, 'a');
+  const end = Math.min(state.total, state.next + args.limit);
+  let records = 0;
+  for (const record of enumerateConfigurations(state, { end })) {
+    const line = `${JSON.stringify(record)}\n`;
+    fs.writeSync(output, line);
+    state.outputBytes += Buffer.byteLength(line);
+    if (++records % CHECKPOINT_EVERY === 0) {
+      saveCheckpoint();
+      // Let a pending Ctrl+C through
+      await new Promise(resolve => setImmediate(resolve));
+    }
+    if (stopped) break;
+  }
+  fs.closeSync(output);
+  saveCheckpoint();
+
+  console.log(formatDistribution(state));
+}
+
+main().catch(error => {
+  console.log(error.message);
+  process.exitCode = 1;
+});
@@ -1,8 +1,7 @@
 // File: src/core/animationManager.js
 import { emit } from './eventEmitter.js';
 import { getState } from './stateManager.js';
-import { getSplinePoints } from '../drawing/spline.js';
-import { Grid } from '../logic/grid.js';
+import { getCurvePathPoints, hasPathBreaks } from '../drawing/curvePath.js';
 
 const queue = [];
 let completeCallback = null;
@@ -27,62 +26,6 @@ export function enqueueCurve(curve) {
   queue.push(curve);
 }
 
-/**
- * Calculate helper points for smoother curve animation
- * @param {Object} curve - The curve object with gridLines and directions
- * @param {Number} cellW - Cell width
- * @param {Number} cellH - Cell height
- * @returns {Array} Array of helper points for smooth curve animation
- */
-function calculateCurvedPoints(curve, cellW, cellH) {
-  if (!curve || !curve.gridLines || !curve.gridLines.length) return [];
-  
-  const d = Math.min(cellW, cellH) / 8; // Offset distance (1/4 of cell size)
-  
-  // Map each grid line to its curved helper point
-  const helperPoints = curve.gridLines.map((line, index) => {
-    // Get the basic midpoint first
-    let x, y;
-    if (line.type === 'horizontal') {
-      x = (line.col + 0.5) * cellW;
-      y = line.row * cellH;
-    } else { // vertical
-      x = line.col * cellW;
-      y = (line.row + 0.5) * cellH;
-    }
-    
-    // Only apply offset if this edge segment is a mirror
-    if (line.isMirror) {
-      // Get the direction associated with this grid line
-      const direction = curve.directions[index];
-      
-      // Adjust the point based on line type and direction
-      if (line.type === 'vertical') {
-        if (direction === Grid.NE || direction === Grid.SE) {
-          // Move d units East
-          x += d;
-        } else if (direction === Grid.NW || direction === Grid.SW) {
-          // Move d units West
-          x -= d;
-        }
-      } else { // horizontal
-        if (direction === Grid.NE || direction === Grid.NW) {
-          // Move d units North
-          y -= d;
-        } else if (direction === Grid.SE || direction === Grid.SW) {
-          // Move d units South
-          y += d;
-        }
-      }
-    }
-    
-    return { x, y };
-  });
-  
-  return helperPoints;
-}
-
-
 /**
  * Calculate points along the path for animation
  * @param {Object} curve - The curve to animate
@@ -94,41 +37,13 @@ function calculateCurvedPoints(curve, cellW, cellH) {
 function calculatePathPoints(curve, cellW, cellH, style) {
   if (!curve || !curve.gridLines || !curve.gridLines.length) return [];
   
-  // For jagged animation style, just use midpoints
-  if (!style || style === ANIMATION_STYLES.JAGGED) {
-    // Convert gridLines to midpoints (original implementation)
-    return curve.gridLines.map(line => {
-      let x, y;
-      if (line.type === 'horizontal') {
-        x = (line.col + 0.5) * cellW;
-        y = line.row * cellH;
-      } else { // vertical
-        x = line.col * cellW;
-        y = (line.row + 0.5) * cellH;
-      }
-      return { x, y };
-    });
-  } 
-  // For curved animation style, use helper points and apply spline
-  else if (style === ANIMATION_STYLES.CURVED) {
-    const helperPoints = calculateCurvedPoints(curve, cellW, cellH);
-    
-    // Use spline interpolation with helper points
-    // Default tension of 0.5 and 10 subdivisions per segment
-    return getSplinePoints(helperPoints, 0.05, 10);
-  }
-  
-  // Default fallback to original midpoints implementation
-  return curve.gridLines.map(line => {
-    let x, y;
-    if (line.type === 'horizontal') {
-      x = (line.col + 0.5) * cellW;
-      y = line.row * cellH;
-    } else { // vertical
-      x = line.col * cellW;
-      y = (line.row + 0.5) * cellH;
-    }
-    return { x, y };
+  // For curved animation style, offset the mirror points by 1/8 of the cell
+  // size and apply a spline with tension 0.05 and 10 subdivisions per segment
+  return getCurvePathPoints(curve, getState().grid, cellW, cellH, {
+    curved: style === ANIMATION_STYLES.CURVED,
+    offset: Math.min(cellW, cellH) / 8,
+    tension: 0.05,
+    subdivisions: 10
   });
 }
 
@@ -142,13 +57,15 @@ function calculatePathLength(points) {
   
   let length = 0;
   for (let i = 1; i < points.length; i++) {
+    // No distance is covered when the path jumps across a seam
+    if (points[i].moveTo) continue;
     const dx = points[i].x - points[i-1].x;
     const dy = points[i].y - points[i-1].y;
     length += Math.sqrt(dx*dx + dy*dy);
   }
   
   // If closed curve, add distance from last point to first point
-  const isClosed = currentCurve && currentCurve.isClosed;
+  const isClosed = currentCurve && currentCurve.isClosed && !hasPathBreaks(points);
   if (isClosed && points.length > 1) {
     const dx = points[0].x - points[points.length-1].x;
     const dy = points[0].y - points[points.length-1].y;
@@ -173,11 +90,13 @@ function getPointAtDistance(points, targetDistance, isClosed) {
   let distanceTraveled = 0;
   
   for (let i = 1; i < points.length; i++) {
+    // Skip the jump across a seam
+    if (points[i].moveTo) continue;
     const dx = points[i].x - points[i-1].x;
     const dy = points[i].y - points[i-1].y;
     const segmentLength = Math.sqrt(dx*dx + dy*dy);
     
-    if (distanceTraveled + segmentLength >= targetDistance) {
+    if (segmentLength > 0 && distanceTraveled + segmentLength >= targetDistance) {
       // We found the segment where our target distance falls
       const remainingDistance = targetDistance - distanceTraveled;
       const ratio = remainingDistance / segmentLength;
@@ -196,7 +115,7 @@ function getPointAtDistance(points, targetDistance, isClosed) {
   }
   
   // If it's a closed curve and we've gone through all segments but haven't found the point
-  if (isClosed && points.length > 1) {
+  if (isClosed && points.length > 1 && !hasPathBreaks(points)) {
     const dx = points[0].x - points[points.length-1].x;
     const dy = points[0].y - points[points.length-1].y;
     const segmentLength = Math.sqrt(dx*dx + dy*dy);
@@ -272,7 +191,10 @@ function animatePath(progress) {
     type: 'animationPath',
     points: partialPoints,
     isClosed: false, // Never closed while animating
-    style: state.settings.animationStyle
+    style: state.settings.animationStyle,
+    // The crossings of the curve, for link diagrams
+    gridLines: currentCurve.gridLines,
+    directions: currentCurve.directions
   };
   
   // Update the display with the partial curve
@@ -289,11 +211,12 @@ function animatePath(progress) {
  * @returns {Object} The completed curve with all necessary properties
  */
 function generateCompletedCurve(curve, style, cellW, cellH) {
-  // Start with a copy of the original curve
-  const completedCurve = {
-    ...curve,
-    isCompleted: true
-  };
+  // Start with a copy of the original curve (keeping its class, for toJSON)
+  const completedCurve = Object.assign(
+    Object.create(Object.getPrototypeOf(curve)),
+    curve,
+    { isCompleted: true }
+  );
   
   // If using curved style, we need to add the points and mark it as curved
   if (style === ANIMATION_STYLES.CURVED) {
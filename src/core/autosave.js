@@ -0,0 +1,95 @@
+// src/core/autosave.js
+// Keeps the current document in localStorage, so a reload picks up where it left off
+import { dispatch, getState } from './stateManager.js';
+import { on } from './eventEmitter.js';
+import { serializeDocument } from './documentFormat.js';
+
+// localStorage key of the saved document
+export const AUTOSAVE_KEY = 'mirror-curve-autosave';
+
+// Quiet time after the last action before the document is saved
+const AUTOSAVE_DELAY = 500;
+
+let timer = null;
+let stopped = false;
+
+/**
+ * Load the autosaved document, if there is one
+ * The saved text is a regular document (see documentFormat.js), so it
+ * carries the document version. A document that cannot be loaded, because
+ * it is corrupt or from another version, is removed and the defaults stay.
+ * Restoring is not an undo step.
+ * @returns {boolean} True if a document was restored
+ */
+export function restoreAutosave() {
+  const text = readStorage();
+  if (text === null) return false;
+  try {
+    dispatch('LOAD_DOCUMENT', { text });
+    dispatch('CLEAR_HISTORY');
+    return true;
+  } catch (error) {
+    console.warn(`Ignoring the autosaved document: ${error.message}`);
+    removeStorage();
+    return false;
+  }
+}
+
+/**
+ * Save the document after every burst of dispatched actions
+ * Curves are not saved; they are found again from the mirrors. A pending
+ * save is written at once when the page is hidden or closed.
+ */
+export function startAutosave() {
+  on('ACTION_DISPATCHED', () => {
+    if (stopped) return;
+    clearTimeout(timer);
+    timer = setTimeout(save, AUTOSAVE_DELAY);
+  });
+  window.addEventListener('pagehide', () => {
+    if (timer !== null) save();
+  });
+}
+
+/**
+ * Forget the autosaved document and reload with the defaults
+ * The permalink in the URL hash is dropped as well; it is opened before
+ * the autosave and would bring the same design back.
+ */
+export function startFresh() {
+  stopped = true;
+  clearTimeout(timer);
+  timer = null;
+  removeStorage();
+  window.history.replaceState(null, '', window.location.pathname + window.location.search);
+  window.location.reload();
+}
+
+function save() {
+  clearTimeout(timer);
+  timer = null;
+  if (stopped) return;
+  try {
+    localStorage.setItem(AUTOSAVE_KEY, serializeDocument(getState(), { includeCurves: false }));
+  } catch (error) {
+    // Storage may be full or disabled (private browsing); the app works without it
+    console.warn(`Could not autosave: ${error.message}`);
+  }
+}
+
+function readStorage() {
+  try {
+    return localStorage.getItem(AUTOSAVE_KEY);
+  } catch (error) {
+    console.warn(`Could not read the autosaved document: ${error.message}`);
+    return null;
+  }
+}
+
+function removeStorage() {
+  try {
+    localStorage.removeItem(AUTOSAVE_KEY);
+  } catch (error) {
+    console.warn(`Could not remove the autosaved document: ${error.message}`);
+  }
+}
@@ -0,0 +1,74 @@
+// File: src/core/curveJob.js
+// Runs curve computation off the main thread (see curveWorker.js)
+import { findAllCurves } from '../logic/curveStartFinder.js';
+
+/**
+ * Find all curves of a grid in a worker, receiving them as they are found
+ * Without Worker support the curves are found on the main thread and
+ * delivered in one batch.
+ * @param {Grid} grid - The grid (not modified; the worker gets a copy)
+ * @param {Object} [options]
+ * @param {(curves: Object[]) => void} [options.onCurves] - Called with each batch of
+ *   serialized curves (curve.toJSON()), in the order findAllCurves finds them
+ * @param {({found: number, progress: number}) => void} [options.onProgress] - Called after each batch
+ * @param {AbortSignal} [options.signal] - Aborts the computation and terminates the worker
+ * @returns {Promise<number>} The number of curves
+ * @throws {Error} If the computation was aborted or the worker failed
+ */
+export function findAllCurvesInWorker(grid, { onCurves, onProgress, signal } = {}) {
+  if (typeof Worker === 'undefined') {
+    // Inside the promise, so errors reject it as they do from the worker
+    return Promise.resolve().then(() => {
+      if (signal && signal.aborted) {
+        throw new Error('Computation cancelled');
+      }
+      const curves = findAllCurves(grid.clone()).map(curve => curve.toJSON());
+      if (onCurves) onCurves(curves);
+      if (onProgress) onProgress({ found: curves.length, progress: 1 });
+      return curves.length;
+    });
+  }
+
+  return new Promise((resolve, reject) => {
+    const worker = new Worker(new URL('./curveWorker.js', import.meta.url), { type: 'module' });
+    const onAbort = () => {
+      worker.terminate();
+      reject(new Error('Computation cancelled'));
+    };
+    const finish = () => {
+      worker.terminate();
+      if (signal) signal.removeEventListener('abort', onAbort);
+    };
+
+    if (signal) {
+      if (signal.aborted) {
+        onAbort();
+        return;
+      }
+      signal.addEventListener('abort', onAbort, { once: true });
+    }
+
+    worker.onmessage = ({ data }) => {
+      switch (data.type) {
+        case 'curves':
+          if (onCurves) onCurves(data.curves);
+          if (onProgress) onProgress({ found: data.found, progress: data.progress });
+          break;
+        case 'done':
+          finish();
+          resolve(data.found);
+          break;
+        case 'error':
+          finish();
+          reject(new Error(data.message));
+          break;
+      }
+    };
+    worker.onerror = event => {
+      finish();
+      reject(new Error(event.message || 'The curve worker failed'));
+    };
+
+    worker.postMessage({ grid: grid.toJSON() });
+  });
+}
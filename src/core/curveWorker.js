@@ -0,0 +1,58 @@
+// File: src/core/curveWorker.js
+// Module worker that finds all curves of a grid and streams them back.
+// Receives { grid } (the output of grid.toJSON()) and posts:
+//  - { type: 'curves', curves, found, progress } with the curves found since
+//    the last message (curve.toJSON() objects); the first curve is sent at
+//    once so it can be animated while the rest are found
+//  - { type: 'done', found } when every curve has been found
+//  - { type: 'error', message } if the grid cannot be read
+import { gridFromJSON } from '../logic/latticeGrid.js';
+import { findNextCurve } from '../logic/curveStartFinder.js';
+
+const BATCH_MS = 50; // time between messages while curves are found
+
+// Number of set bits in a mask
+function bitCount(mask) {
+  let count = 0;
+  for (; mask; mask &= mask - 1) count++;
+  return count;
+}
+
+self.onmessage = ({ data }) => {
+  let grid;
+  try {
+    grid = gridFromJSON(data.grid);
+  } catch (error) {
+    self.postMessage({ type: 'error', message: error.message });
+    return;
+  }
+  grid.resetUsedDirections();
+
+  // Every step of a curve uses two directions of the line it reaches, so
+  // progress is the share of line directions used so far
+  const full = (1 << grid.directionCount) - 1;
+  let total = 0;
+  for (const mask of grid.usedMasks) total += bitCount(~mask & full);
+
+  let batch = [];
+  let found = 0;
+  let used = 0;
+  let lastPost = -Infinity;
+  let curve;
+  while ((curve = findNextCurve(grid)) !== null) {
+    batch.push(curve.toJSON());
+    found++;
+    used += 2 * (curve.gridLines.length - 1);
+
+    const now = performance.now();
+    if (now - lastPost >= BATCH_MS) {
+      self.postMessage({ type: 'curves', curves: batch, found, progress: Math.min(1, used / total) });
+      batch = [];
+      lastPost = now;
+    }
+  }
+  if (batch.length) {
+    self.postMessage({ type: 'curves', curves: batch, found, progress: 1 });
+  }
+  self.postMessage({ type: 'done', found });
+};
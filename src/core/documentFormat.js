@@ -0,0 +1,126 @@
+// src/core/documentFormat.js
+// Versioned JSON documents for saving and loading designs
+import { gridFromJSON } from '../logic/latticeGrid.js';
+import { MirrorCurve } from '../logic/mirrorCurve.js';
+
+// Identifies our documents among other JSON files
+export const DOCUMENT_FORMAT = 'mirror-curve';
+
+// Bump when the layout changes; parseDocument rejects other versions
+export const DOCUMENT_VERSION = 1;
+
+/**
+ * Build a document from the application state
+ * @param {Object} state - Application state (grid, curves, settings)
+ * @param {Object} [options]
+ * @param {boolean} [options.includeCurves=true] - Store the computed curves and their colours
+ * @returns {Object} The document
+ */
+export function createDocument(state, { includeCurves = true } = {}) {
+  const { grid, settings } = state;
+  const doc = {
+    format: DOCUMENT_FORMAT,
+    version: DOCUMENT_VERSION,
+    grid: grid.toJSON(),
+    settings: JSON.parse(JSON.stringify(settings))
+  };
+
+  if (includeCurves) {
+    const colorScheme = settings.colorScheme || [];
+    doc.curves = (state.curves || [])
+      .filter(curve => curve.gridLines && curve.gridLines.length)
+      .map((curve, idx) => ({
+        ...MirrorCurve.prototype.toJSON.call(curve),
+        color: curve.color || colorScheme[idx % colorScheme.length]
+      }));
+  }
+
+  return doc;
+}
+
+/**
+ * Serialize the application state to document text
+ * @param {Object} state - Application state
+ * @param {Object} [options] - See createDocument
+ * @returns {string} Pretty-printed JSON
+ */
+export function serializeDocument(state, options) {
+  return JSON.stringify(createDocument(state, options), null, 2);
+}
+
+/**
+ * Parse and validate a document
+ * Nothing is applied to the application state; the caller gets fresh
+ * objects and can discard them if anything is wrong.
+ * @param {string|Object} input - Document text or an already parsed object
+ * @param {Object} currentSettings - Settings to merge the saved ones into
+ * @returns {{grid: Grid, settings: Object, curves: MirrorCurve[]}}
+ * @throws {Error} If the input is not a valid document
+ */
+export function parseDocument(input, currentSettings) {
+  let doc = input;
+  if (typeof input === 'string') {
+    try {
+      doc = JSON.parse(input);
+    } catch (error) {
+      throw new Error(`Not a valid document: ${error.message}`);
+    }
+  }
+
+  if (!doc || typeof doc !== 'object' || Array.isArray(doc) || doc.format !== DOCUMENT_FORMAT) {
+    throw new Error('Not a mirror curve document');
+  }
+  if (doc.version !== DOCUMENT_VERSION) {
+    throw new Error(`Unsupported document version: ${doc.version} (expected ${DOCUMENT_VERSION})`);
+  }
+
+  const grid = gridFromJSON(doc.grid);
+
+  if (doc.settings !== undefined && (!doc.settings || typeof doc.settings !== 'object')) {
+    throw new Error('Invalid settings: expected an object');
+  }
+  const settings = mergeSettings(currentSettings, doc.settings || {});
+  // The grid decides its own lattice and topology
+  settings.gridLattice = grid.lattice;
+  settings.gridTopology = grid.topology;
+
+  if (doc.curves !== undefined && !Array.isArray(doc.curves)) {
+    throw new Error('Invalid curves: expected an array');
+  }
+  const curves = (doc.curves || []).map(data => {
+    const curve = MirrorCurve.fromJSON(data, grid);
+    curve.isCompleted = true;
+    return curve;
+  });
+
+  return { grid, settings, curves };
+}
+
+/**
+ * Copy saved settings over the current ones
+ * Unknown keys and values of the wrong type are ignored, so older or
+ * hand-edited documents cannot put the settings into a broken state.
+ * @param {Object} current - Current settings (not modified)
+ * @param {Object} saved - Settings from a document
+ * @returns {Object} The merged settings
+ */
+function mergeSettings(current, saved) {
+  const merged = { ...current };
+  for (const [key, value] of Object.entries(saved)) {
+    if (!(key in current)) continue;
+    const currentValue = current[key];
+
+    if (Array.isArray(currentValue)) {
+      if (Array.isArray(value) && value.every(item => typeof item === typeof currentValue[0])) {
+        merged[key] = value.slice();
+      }
+    } else if (currentValue && typeof currentValue === 'object') {
+      if (value && typeof value === 'object' && !Array.isArray(value)) {
+        merged[key] = mergeSettings(currentValue, value);
+      }
+    } else if (typeof value === typeof currentValue) {
+      merged[key] = value;
+    }
+  }
+  return merged;
+}
@@ -0,0 +1,102 @@
+// src/core/editHistory.js
+// Undo and redo stacks of grid snapshots for the state manager
+
+/**
+ * Undo and redo stacks of edits
+ * An edit is a pair of snapshots, the state before and after it. Snapshots
+ * are opaque strings to the history (the state manager stores serialized
+ * grids), so edits that change nothing are recognised by comparing them.
+ */
+export class EditHistory {
+  /**
+   * @param {number} [limit=100] - Most edits kept for undo
+   */
+  constructor(limit = 100) {
+    this.undoStack = [];
+    this.redoStack = [];
+    this.lastKey = null; // key of the last recorded edit, while it can still merge
+    this.setLimit(limit);
+  }
+
+  get canUndo() {
+    return this.undoStack.length > 0;
+  }
+
+  get canRedo() {
+    return this.redoStack.length > 0;
+  }
+
+  /**
+   * Change how many edits are kept, dropping the oldest ones beyond it
+   * @param {number} limit - A positive whole number
+   * @throws {Error} If the limit is not a positive whole number
+   */
+  setLimit(limit) {
+    if (!Number.isInteger(limit) || limit < 1) {
+      throw new Error(`The history limit must be a positive whole number, not ${limit}`);
+    }
+    this.limit = limit;
+    this.undoStack.splice(0, Math.max(0, this.undoStack.length - limit));
+  }
+
+  /**
+   * Record an edit, which clears the redo stack
+   * Edits with the same key that follow each other directly merge into one
+   * (such as the steps of typing a number into the Rows input).
+   * @param {string} before - Snapshot before the edit
+   * @param {string} after - Snapshot after the edit
+   * @param {string|null} [key=null] - Edits with this key merge
+   * @returns {boolean} False if the edit changed nothing and was not recorded
+   */
+  record(before, after, key = null) {
+    if (before === after) return false;
+    this.redoStack = [];
+    const last = this.undoStack[this.undoStack.length - 1];
+    if (key !== null && key === this.lastKey && last && last.after === before) {
+      last.after = after;
+      // A run that returns to where it started undoes nothing
+      if (last.before === after) {
+        this.undoStack.pop();
+        this.lastKey = null;
+      }
+      return true;
+    }
+    this.undoStack.push({ before, after });
+    this.lastKey = key;
+    if (this.undoStack.length > this.limit) this.undoStack.shift();
+    return true;
+  }
+
+  /**
+   * Step back one edit
+   * @returns {string|null} The snapshot to restore, or null if there is nothing to undo
+   */
+  undo() {
+    const edit = this.undoStack.pop();
+    if (!edit) return null;
+    this.lastKey = null;
+    this.redoStack.push(edit);
+    return edit.before;
+  }
+
+  /**
+   * Step forward one undone edit
+   * @returns {string|null} The snapshot to restore, or null if there is nothing to redo
+   */
+  redo() {
+    const edit = this.redoStack.pop();
+    if (!edit) return null;
+    this.lastKey = null;
+    this.undoStack.push(edit);
+    return edit.after;
+  }
+
+  /**
+   * Forget all edits
+   */
+  clear() {
+    this.undoStack = [];
+    this.redoStack = [];
+    this.lastKey = null;
+  }
+}
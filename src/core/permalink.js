@@ -0,0 +1,88 @@
+// src/core/permalink.js
+// Keeps the URL hash in step with the design, and opens designs from links
+import { dispatch, getState } from './stateManager.js';
+import { on } from './eventEmitter.js';
+import { PERMALINK_PARAM, encodePermalink, decodePermalink } from './permalinkFormat.js';
+
+// Quiet time after the last action before the URL is updated
+const PERMALINK_DELAY = 300;
+
+let timer = null;
+// Hash this module wrote last, so its own updates are not loaded back
+let currentHash = null;
+
+/**
+ * Get the permalink of the current design
+ * @param {Object} [options] - See encodePermalink
+ * @returns {string} The page URL with the design in its hash
+ * @throws {Error} If the grid is too large for a link
+ */
+export function getPermalink(options) {
+  const url = new URL(window.location.href);
+  url.hash = `${PERMALINK_PARAM}=${encodePermalink(getState(), options)}`;
+  return url.href;
+}
+
+/**
+ * Open the design in the URL hash, if there is one
+ * Like opening a document, but the link is not an undo step.
+ * @returns {boolean} True if the hash held a design
+ * @throws {Error} If the link is damaged, changed by hand or too large
+ */
+export function restorePermalink() {
+  if (!openHash()) return false;
+  dispatch('CLEAR_HISTORY');
+  return true;
+}
+
+/**
+ * Update the URL hash after every burst of dispatched actions, and open
+ * links pasted into the address bar of the running page (as an undo step)
+ * The hash is replaced rather than pushed, so the Back button does not
+ * step through edits. Grids too large for a link clear the hash.
+ * @param {(error: Error) => void} [onError] - Called when a pasted link cannot be opened
+ */
+export function startPermalinkSync(onError = () => {}) {
+  on('ACTION_DISPATCHED', () => {
+    clearTimeout(timer);
+    timer = setTimeout(updateHash, PERMALINK_DELAY);
+  });
+  window.addEventListener('hashchange', () => {
+    if (window.location.hash === currentHash) return;
+    try {
+      openHash();
+    } catch (error) {
+      onError(error);
+    }
+  });
+}
+
+// Load the design in the hash; false if there is none
+function openHash() {
+  const code = readHashCode(window.location.hash);
+  if (!code) return false;
+  currentHash = window.location.hash;
+  dispatch('LOAD_DOCUMENT', { text: decodePermalink(code) });
+  return true;
+}
+
+function updateHash() {
+  timer = null;
+  let hash = '';
+  try {
+    hash = `#${PERMALINK_PARAM}=${encodePermalink(getState())}`;
+  } catch (error) {
+    console.warn(`No permalink: ${error.message}`);
+  }
+  if (hash === currentHash) return;
+  currentHash = hash;
+  const url = new URL(window.location.href);
+  url.hash = hash;
+  window.history.replaceState(null, '', url.href);
+}
+
+// The code in a hash such as #m=<code>, or null (or '') without one
+function readHashCode(hash) {
+  const params = new URLSearchParams(hash.replace(/^#/, ''));
+  return params.get(PERMALINK_PARAM);
+}
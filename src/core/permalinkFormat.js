@@ -0,0 +1,262 @@
+// src/core/permalinkFormat.js
+// Compact, checksummed encoding of a design for the URL hash
+import { GRID_LATTICES, GRID_TOPOLOGIES } from '../logic/grid.js';
+import { createGrid } from '../logic/latticeGrid.js';
+import { DOCUMENT_FORMAT, DOCUMENT_VERSION } from './documentFormat.js';
+
+// Bump when the layout changes; decodePermalink rejects other versions
+export const PERMALINK_VERSION = 1;
+
+// Hash parameter that holds the code: #m=<code>
+export const PERMALINK_PARAM = 'm';
+
+// Longest code and largest grid accepted, so a crafted link cannot make
+// the page build a huge grid
+export const MAX_PERMALINK_LENGTH = 16384;
+export const MAX_PERMALINK_CELLS = 40000;
+
+// Settings a link carries when settings are included
+const PERMALINK_SETTINGS = [
+  'gridShape',
+  'showGridLines',
+  'showGridPoints',
+  'showMirrors',
+  'showCenterDots',
+  'linkDiagram',
+  'lundaDesign',
+  'lundaOrder',
+  'lundaColors',
+  'faceFill',
+  'faceColors',
+  'animationStyle'
+];
+
+// Codes of the lattices and topologies are their positions in these lists
+const LATTICES = Object.values(GRID_LATTICES);
+const TOPOLOGIES = Object.values(GRID_TOPOLOGIES);
+
+const HAS_MASK = 1;
+const HAS_FLIPS = 2;
+const HAS_SETTINGS = 4;
+
+/**
+ * Encode the grid and, optionally, some settings as a permalink code
+ * Layout (before base64url): version, lattice, topology, flags, rows and
+ * cols (16 bits each), then bitsets of the active cells (only with a
+ * mask), of the interior lines that are mirrors and of the crossings that
+ * are flipped (only if any are), the settings as length-prefixed JSON, and
+ * a CRC-32 of everything before it. Lines are taken in grid.lines order.
+ * @param {Object} state - Application state (grid, settings)
+ * @param {Object} [options]
+ * @param {boolean} [options.includeSettings=true] - Add the display settings
+ * @returns {string} The code
+ * @throws {Error} If the grid or the code is too large for a link
+ */
+export function encodePermalink(state, { includeSettings = true } = {}) {
+  const { grid, settings } = state;
+  if (grid.rows * grid.cols > MAX_PERMALINK_CELLS) {
+    throw new Error(`A ${grid.rows}x${grid.cols} grid is too large for a link (at most ${MAX_PERMALINK_CELLS} cells)`);
+  }
+
+  const interior = grid.lines.filter(gridLine => !grid.isBoundaryGridLine(gridLine));
+  const crossings = interior.filter(gridLine => !gridLine.isMirror);
+  const hasFlips = crossings.some(gridLine => gridLine.crossingFlipped);
+  let flags = 0;
+  if (grid.mask) flags |= HAS_MASK;
+  if (hasFlips) flags |= HAS_FLIPS;
+  if (includeSettings) flags |= HAS_SETTINGS;
+
+  const writer = createByteWriter();
+  writer.bytes([PERMALINK_VERSION, LATTICES.indexOf(grid.lattice), TOPOLOGIES.indexOf(grid.topology), flags]);
+  writer.uint16(grid.rows);
+  writer.uint16(grid.cols);
+  if (grid.mask) writer.bits(grid.mask.flat());
+  writer.bits(interior.map(gridLine => gridLine.isMirror));
+  if (hasFlips) writer.bits(crossings.map(gridLine => gridLine.crossingFlipped));
+  if (includeSettings) {
+    const picked = {};
+    PERMALINK_SETTINGS.forEach(key => {
+      picked[key] = settings[key];
+    });
+    const json = new TextEncoder().encode(JSON.stringify(picked));
+    writer.uint16(json.length);
+    writer.bytes(json);
+  }
+  const payload = writer.finish();
+
+  const code = new Uint8Array(payload.length + 4);
+  code.set(payload);
+  new DataView(code.buffer).setUint32(payload.length, crc32(payload));
+  const text = toBase64Url(code);
+  // Large masked or non-square grids can fit the cell limit but not this one
+  if (text.length > MAX_PERMALINK_LENGTH) {
+    throw new Error(`The design is too large for a link (${text.length} characters, at most ${MAX_PERMALINK_LENGTH})`);
+  }
+  return text;
+}
+
+/**
+ * Decode a permalink code into a document
+ * The result goes through parseDocument (LOAD_DOCUMENT) like a saved file,
+ * which validates the grid and settings once more.
+ * @param {string} code - From encodePermalink
+ * @returns {Object} A document (see documentFormat.js)
+ * @throws {Error} If the code is too long, damaged or changed by hand, or
+ *   of another version
+ */
+export function decodePermalink(code) {
+  if (typeof code !== 'string' || code.length > MAX_PERMALINK_LENGTH) {
+    throw new Error(`Invalid link: the code is longer than ${MAX_PERMALINK_LENGTH} characters`);
+  }
+  const bytes = fromBase64Url(code);
+  if (bytes.length < 12) {
+    throw new Error('Invalid link: the code is too short');
+  }
+  const payload = bytes.subarray(0, bytes.length - 4);
+  if (new DataView(bytes.buffer, bytes.byteOffset).getUint32(payload.length) !== crc32(payload)) {
+    throw new Error('Invalid link: the checksum does not match');
+  }
+
+  const reader = createByteReader(payload);
+  const [version, latticeCode, topologyCode, flags] = reader.bytes(4);
+  if (version !== PERMALINK_VERSION) {
+    throw new Error(`Invalid link: unsupported version ${version} (expected ${PERMALINK_VERSION})`);
+  }
+  const lattice = LATTICES[latticeCode];
+  const topology = TOPOLOGIES[topologyCode];
+  if (!lattice || !topology) {
+    throw new Error('Invalid link: unknown lattice or topology');
+  }
+  const rows = reader.uint16();
+  const cols = reader.uint16();
+  if (rows < 1 || cols < 1 || rows * cols > MAX_PERMALINK_CELLS) {
+    throw new Error(`Invalid link: a ${rows}x${cols} grid is out of range`);
+  }
+
+  let mask = null;
+  if (flags & HAS_MASK) {
+    const cells = reader.bits(rows * cols);
+    mask = Array.from({ length: rows }, (_, row) => cells.slice(row * cols, (row + 1) * cols));
+  }
+  let grid;
+  try {
+    grid = createGrid(lattice, rows, cols, { mask, topology });
+  } catch (error) {
+    throw new Error(`Invalid link: ${error.message}`);
+  }
+
+  const interior = grid.lines.filter(gridLine => !grid.isBoundaryGridLine(gridLine));
+  const isMirror = reader.bits(interior.length);
+  const mirrors = interior.filter((_, i) => isMirror[i]).map(gridLine => gridLine.id);
+  let flippedCrossings = [];
+  if (flags & HAS_FLIPS) {
+    const crossings = interior.filter((_, i) => !isMirror[i]);
+    const isFlipped = reader.bits(crossings.length);
+    flippedCrossings = crossings.filter((_, i) => isFlipped[i]).map(gridLine => gridLine.id);
+  }
+  let settings = {};
+  if (flags & HAS_SETTINGS) {
+    const json = reader.bytes(reader.uint16());
+    try {
+      settings = JSON.parse(new TextDecoder('utf-8', { fatal: true }).decode(json));
+    } catch (error) {
+      throw new Error(`Invalid link: unreadable settings (${error.message})`);
+    }
+  }
+  reader.end();
+
+  return {
+    format: DOCUMENT_FORMAT,
+    version: DOCUMENT_VERSION,
+    grid: { ...grid.toJSON(), lattice, mirrors, flippedCrossings },
+    settings
+  };
+}
+
+// Table of the CRC-32 (IEEE) polynomial, built on first use
+let crcTable = null;
+
+function crc32(bytes) {
+  if (!crcTable) {
+    crcTable = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+      crcTable[n] = c >>> 0;
+    }
+  }
+  let crc = 0xffffffff;
+  for (const byte of bytes) crc = crcTable[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+function createByteWriter() {
+  const out = [];
+  return {
+    bytes(values) {
+      for (const value of values) out.push(value);
+    },
+    uint16(value) {
+      out.push(value >> 8, value & 0xff);
+    },
+    // Packed eight to a byte, first bit highest
+    bits(flags) {
+      for (let i = 0; i < flags.length; i += 8) {
+        let byte = 0;
+        for (let j = 0; j < 8; j++) {
+          if (flags[i + j]) byte |= 0x80 >> j;
+        }
+        out.push(byte);
+      }
+    },
+    finish() {
+      return Uint8Array.from(out);
+    }
+  };
+}
+
+function createByteReader(bytes) {
+  let offset = 0;
+  const take = count => {
+    if (offset + count > bytes.length) {
+      throw new Error('Invalid link: the code ends too early');
+    }
+    offset += count;
+    return bytes.subarray(offset - count, offset);
+  };
+  return {
+    bytes: take,
+    uint16() {
+      const [high, low] = take(2);
+      return (high << 8) | low;
+    },
+    bits(count) {
+      const packed = take(Math.ceil(count / 8));
+      return Array.from({ length: count }, (_, i) => (packed[i >> 3] & (0x80 >> (i & 7))) !== 0);
+    },
+    end() {
+      if (offset !== bytes.length) {
+        throw new Error('Invalid link: unexpected data at the end of the code');
+      }
+    }
+  };
+}
+
+function toBase64Url(bytes) {
+  let binary = '';
+  for (const byte of bytes) binary += String.fromCharCode(byte);
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function fromBase64Url(code) {
+  if (!/^[A-Za-z0-9_-]*$/.test(code)) {
+    throw new Error('Invalid link: the code has characters outside base64url');
+  }
+  let binary;
+  try {
+    binary = atob(code.replace(/-/g, '+').replace(/_/g, '/'));
+  } catch (error) {
+    throw new Error('Invalid link: the code is not valid base64url');
+  }
+  return Uint8Array.from(binary, char => char.charCodeAt(0));
+}
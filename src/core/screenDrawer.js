@@ -2,7 +2,16 @@
 import { on } from './eventEmitter.js';
 import { getState } from './stateManager.js';
 import { getSplinePoints } from '../drawing/spline.js';
+import { getCurvePathPoints, hasPathBreaks, cutPathGaps, splitPathSteps } from '../drawing/curvePath.js';
+import { getUnderCrossings } from '../logic/linkDiagram.js';
+import { computeLundaDesign } from '../logic/lundaDesign.js';
+import { FACE_FILLS, computeDiagramFaces, colourDiagramFaces } from '../logic/diagramFaces.js';
+import { findAllCurves } from '../logic/curveStartFinder.js';
 import { ANIMATION_STYLES } from './animationManager.js';
+import { SvgContext } from '../drawing/svgContext.js';
+
+// Largest side of an exported image, within what browsers can allocate
+export const MAX_IMAGE_SIZE = 8192;
 
 /**
  * Helper function to clear canvas with a background color
@@ -39,10 +48,208 @@ function getMidpoint(line, cellW, cellH) {
     return { x, y };
 }
 
+/**
+ * Add a grid line to the current path, at every position it is drawn
+ * (seam lines appear on both glued edges)
+ */
+function traceLine(ctx, grid, line, cellW, cellH) {
+    for (const [from, to] of grid.getLineSegments(line)) {
+        ctx.moveTo(from.x * cellW, from.y * cellH);
+        ctx.lineTo(to.x * cellW, to.y * cellH);
+    }
+}
+
+// Last Lunda design drawn; recomputed only when the mirrors or the order change
+let lundaCache = { grid: null, revision: -1, order: 0, design: null };
+
+/**
+ * Fill the unit squares (cell quarters) with the colours of the Lunda
+ * design of the grid. Draws nothing unless the mirrors give a single
+ * closed curve.
+ */
+function drawLundaDesign(ctx, grid, cellW, cellH, settings) {
+    const order = settings.lundaOrder;
+    if (lundaCache.grid !== grid || lundaCache.revision !== grid.revision || lundaCache.order !== order) {
+        let design = null;
+        try {
+            design = computeLundaDesign(grid, { order });
+        } catch (error) {
+            // Not a monolinear design; leave the background empty
+        }
+        lundaCache = { grid, revision: grid.revision, order, design };
+    }
+    const { design } = lundaCache;
+    if (!design) return;
+
+    ctx.save();
+    design.matrix.forEach((row, r) => {
+        row.forEach((colour, c) => {
+            if (colour === null) return;
+            ctx.fillStyle = settings.lundaColors[colour];
+            ctx.fillRect(c * cellW / 2, r * cellH / 2, cellW / 2, cellH / 2);
+        });
+    });
+    ctx.restore();
+}
+
+/**
+ * Geometry options for the path of a completed curve
+ */
+function getPathOptions(cellW, cellH, curved) {
+    return {
+        curved,
+        offset: Math.min(cellW, cellH) / 8,
+        tension: 0.05,
+        subdivisions: 10
+    };
+}
+
+// Last face colouring drawn; recomputed only when the mirrors or the fill change
+let faceCache = { grid: null, revision: -1, fill: null, colours: 0, faces: null, faceColours: null, curves: null };
+
+/**
+ * Fill the faces between the curves and mirrors. Each step of a curve
+ * splits its cell quarter into a corner piece and a piece of the centre
+ * face; both are bounded by the drawn path of the step, so the fill
+ * follows the jagged or curved style. Draws nothing when the faces cannot
+ * be coloured with the palette.
+ */
+function drawFaceFill(ctx, grid, cellW, cellH, settings) {
+    const fill = settings.faceFill;
+    const colours = settings.faceColors.length;
+    if (faceCache.grid !== grid || faceCache.revision !== grid.revision ||
+        faceCache.fill !== fill || faceCache.colours !== colours) {
+        let faces = null;
+        let faceColours = null;
+        let curves = null;
+        try {
+            faces = computeDiagramFaces(grid);
+            faceColours = colourDiagramFaces(faces, { fill, colours });
+            curves = findAllCurves(grid.clone());
+        } catch (error) {
+            // Other lattice or too few colours; leave the background empty
+        }
+        faceCache = { grid, revision: grid.revision, fill, colours, faces, faceColours, curves };
+    }
+    const { faces, faceColours, curves } = faceCache;
+    if (!curves) return;
+
+    // Polygons of each colour, filled together so pieces of a face join seamlessly
+    const polygons = settings.faceColors.map(() => []);
+    const options = getPathOptions(cellW, cellH, settings.animationStyle === ANIMATION_STYLES.CURVED);
+    curves.forEach(curve => {
+        const points = getCurvePathPoints(curve, grid, cellW, cellH, options);
+        splitPathSteps(curve, points).forEach(({ index, points: path }) => {
+            const step = grid.getSegmentGeometry(curve.gridLines[index].id, curve.directions[index]);
+            if (!step) return;
+            const { from, to, center } = step;
+            const row = Math.floor(from.y + to.y);
+            const col = Math.floor(from.x + to.x);
+            const toCanvas = ({ x, y }) => ({ x: x * cellW, y: y * cellH });
+            // The cell corner in this quarter
+            const corner = { x: from.x + to.x - center.x, y: from.y + to.y - center.y };
+
+            const cornerFace = faces.squareFaces[row][col];
+            const centerFace = faces.cellFaces[row >> 1][col >> 1];
+            polygons[faceColours[cornerFace]].push([toCanvas(corner), toCanvas(from), ...path, toCanvas(to)]);
+            polygons[faceColours[centerFace]].push([toCanvas(center), ...path]);
+        });
+    });
+
+    ctx.save();
+    polygons.forEach((list, colour) => {
+        if (!list.length) return;
+        ctx.fillStyle = settings.faceColors[colour];
+        ctx.beginPath();
+        list.forEach(polygon => {
+            polygon.forEach(({ x, y }, i) => (i === 0 ? ctx.moveTo(x, y) : ctx.lineTo(x, y)));
+            ctx.closePath();
+        });
+        ctx.fill();
+    });
+    ctx.restore();
+}
+
+/**
+ * Draw an arrowhead (or a row of them) pointing along a seam
+ */
+function drawSeamArrow(ctx, x, y, dx, dy, size, count) {
+    for (let i = 0; i < count; i++) {
+        // Stack repeated arrowheads along the seam
+        const shift = (i - (count - 1) / 2) * size;
+        const tipX = x + dx * (size / 2 + shift);
+        const tipY = y + dy * (size / 2 + shift);
+        ctx.moveTo(tipX - dx * size - dy * size * 0.6, tipY - dy * size + dx * size * 0.6);
+        ctx.lineTo(tipX, tipY);
+        ctx.lineTo(tipX - dx * size + dy * size * 0.6, tipY - dy * size - dx * size * 0.6);
+    }
+}
+
+/**
+ * Draw the glued edges as dashed lines with the usual gluing arrows:
+ * one arrowhead on the left/right pair, two on the top/bottom pair,
+ * pointing in opposite directions where the gluing flips the edge
+ */
+function drawSeamMarkers(ctx, grid, cellW, cellH, style) {
+    const width = grid.cols * cellW;
+    const height = grid.rows * cellH;
+    const size = Math.min(cellW, cellH) / 5;
+
+    ctx.save();
+    ctx.strokeStyle = style.color;
+    ctx.lineWidth = style.width;
+
+    ctx.setLineDash([size / 2, size / 2]);
+    ctx.beginPath();
+    if (grid.wrapCols) {
+        ctx.moveTo(0, 0);
+        ctx.lineTo(0, height);
+        ctx.moveTo(width, 0);
+        ctx.lineTo(width, height);
+    }
+    if (grid.wrapRows) {
+        ctx.moveTo(0, 0);
+        ctx.lineTo(width, 0);
+        ctx.moveTo(0, height);
+        ctx.lineTo(width, height);
+    }
+    ctx.stroke();
+
+    ctx.setLineDash([]);
+    ctx.beginPath();
+    if (grid.wrapCols) {
+        drawSeamArrow(ctx, 0, height / 2, 0, 1, size, 1);
+        drawSeamArrow(ctx, width, height / 2, 0, grid.flipCols ? -1 : 1, size, 1);
+    }
+    if (grid.wrapRows) {
+        drawSeamArrow(ctx, width / 2, 0, 1, 0, size, 2);
+        drawSeamArrow(ctx, width / 2, height, 1, 0, size, 2);
+    }
+    ctx.stroke();
+    ctx.restore();
+}
+
+/**
+ * Cut the gaps of a link diagram into the points of a curve
+ * Points on the curve's grid lines carry their line index (see curvePath.js)
+ */
+function cutLinkGaps(points, curve, cellW, cellH, settings) {
+    const under = new Set(getUnderCrossings(curve));
+    const gapCenters = [];
+    points.forEach((point, i) => {
+        if (under.has(point.lineIndex)) gapCenters.push(i);
+    });
+    const gapLength = Math.max(
+        Math.min(cellW, cellH) * 0.3,
+        settings.lineStyles.curve.width * 4
+    );
+    return cutPathGaps(points, gapCenters, gapLength);
+}
+
 /**
  * Draw a curve on the canvas
  */
-function drawCurve(ctx, curve, idx, cellW, cellH, settings) {
+function drawCurve(ctx, curve, idx, cellW, cellH, settings, grid) {
     // Skip if curve is null or not valid
     if (!curve) return;
     
@@ -67,48 +274,10 @@ function drawCurve(ctx, curve, idx, cellW, cellH, settings) {
         isClosed = curve.isClosed || false;
         
         // For completed curves, check if we should use the curved style
-        if (curve.isCompleted && settings.animationStyle === ANIMATION_STYLES.CURVED) {
-            // Calculate helper points and apply spline for smooth curves
-            const helperPoints = curve.gridLines.map((line, index) => {
-                // Get the basic midpoint
-                let x, y;
-                if (line.type === 'horizontal') {
-                    x = (line.col + 0.5) * cellW;
-                    y = line.row * cellH;
-                } else { // vertical
-                    x = line.col * cellW;
-                    y = (line.row + 0.5) * cellH;
-                }
-                
-                // Get the direction
-                const direction = curve.directions[index];
-                
-                // Offset based on direction (similar to calculateCurvedPoints in animationManager)
-                const d = Math.min(cellW, cellH) / 4;
-                
-                if (line.type === 'vertical') {
-                    if (direction === 1 || direction === 3) { // NE or SE
-                        x += d;
-                    } else if (direction === 0 || direction === 2) { // NW or SW
-                        x -= d;
-                    }
-                } else { // horizontal
-                    if (direction === 0 || direction === 1) { // NW or NE
-                        y -= d;
-                    } else if (direction === 2 || direction === 3) { // SW or SE
-                        y += d;
-                    }
-                }
-                
-                return { x, y };
-            });
-            
-            // Apply spline to get smooth points
-            points = getSplinePoints(helperPoints, settings.tension || 0.5, 10);
-        } else {
-            // Generate points from grid lines (regular midpoints for jagged style)
-            points = curve.gridLines.map(line => getMidpoint(line, cellW, cellH));
-        }
+        // (same geometry as the curved animation), otherwise use the
+        // regular midpoints for the jagged style
+        const curved = Boolean(curve.isCompleted && settings.animationStyle === ANIMATION_STYLES.CURVED);
+        points = getCurvePathPoints(curve, grid, cellW, cellH, getPathOptions(cellW, cellH, curved));
     } else if (Array.isArray(curve)) {
         // Handle array formats (backward compatibility)
         if (curve.length > 0) {
@@ -133,29 +302,36 @@ function drawCurve(ctx, curve, idx, cellW, cellH, settings) {
                      settings.smooth && 
                      typeof getSplinePoints === 'function' && 
                      isClosed &&
+                     !hasPathBreaks(points) &&
                      curve.type !== 'animationPath'; // Don't apply spline to animation paths
     
     // Apply spline if needed (only for non-completed curves)
-    const drawPoints = useSpline 
+    let drawPoints = useSpline 
         ? getSplinePoints(points, settings.tension)
         : points;
     
+    // In a link diagram the under-strand is broken at each crossing
+    if (settings.linkDiagram && curve.gridLines) {
+        drawPoints = cutLinkGaps(drawPoints, curve, cellW, cellH, settings);
+    }
+    
     // Draw the curve
     ctx.save();
     const { lineStyles, colorScheme } = settings;
     const style = lineStyles.curve;
-    const color = colorScheme[idx % colorScheme.length];
+    const color = curve.color || colorScheme[idx % colorScheme.length];
     ctx.strokeStyle = color;
     ctx.lineWidth = style.width;
     ctx.beginPath();
     
     drawPoints.forEach((point, i) => {
         const { x, y } = point;
-        i === 0 ? ctx.moveTo(x, y) : ctx.lineTo(x, y);
+        // Points flagged moveTo start a new run after a seam
+        i === 0 || point.moveTo ? ctx.moveTo(x, y) : ctx.lineTo(x, y);
     });
     
-    // Close the path if it's a loop
-    if (isClosed) {
+    // Close the path if it's a loop (a loop split at seams is already complete)
+    if (isClosed && !hasPathBreaks(drawPoints)) {
         ctx.closePath();
     }
     
@@ -164,29 +340,35 @@ function drawCurve(ctx, curve, idx, cellW, cellH, settings) {
 }
 
 /**
- * Draw everything on the canvas according to current grid, curves, and options.
+ * Work out where the grid goes in a drawing of the given size
+ * The grid is centred with square cells, leaving `padding` (a fraction of
+ * the smaller side) free on every side.
+ * @param {Grid} grid - The grid
+ * @param {number} width - Drawing width
+ * @param {number} height - Drawing height
+ * @param {number} [padding=0.05] - Free space on each side
+ * @returns {{cellSize: number, offsetX: number, offsetY: number}}
  */
-export function drawScreen(ctx, state) {
-    const grid = state.grid;
-    const curves = state.curves || []; // Permanent completed curves
-    const animationPath = state.animationPath; // Current animation path
-    const settings = state.settings;
+export function computeGridLayout(grid, width, height, padding = 0.05) {
+    const space = Math.min(width, height) * padding;
+    const drawableWidth = width - (space * 2);
+    const drawableHeight = height - (space * 2);
     
+    // Bounds are in cell units: edge lengths on the other lattices
+    const bounds = grid.getBounds();
+    const cellSize = Math.min(drawableWidth / bounds.width, drawableHeight / bounds.height);
     
-    // Safety check: if grid is null, don't try to draw it
-    if (!grid) {
-        console.warn("Grid is null, cannot draw screen");
-        clearCanvas(ctx, settings.backgroundColor || 'transparent');
-        return;
-    }
-    
-    const { showGridLines, showGridPoints, showMirrors, showCenterDots,
-            lineStyles, backgroundColor } = settings;
-    
-    // Get canvas dimensions
-    const width = ctx.canvas.width;
-    const height = ctx.canvas.height;
-    
+    return {
+        cellSize,
+        offsetX: space + (drawableWidth - (cellSize * bounds.width)) / 2,
+        offsetY: space + (drawableHeight - (cellSize * bounds.height)) / 2
+    };
+}
+
+/**
+ * Get the layout of the on-screen canvas, cached in state.gridLayout
+ */
+function getScreenLayout(state, grid, width, height) {
     // Add a gridLayout property to the state if it doesn't exist
     if (!state.gridLayout) {
         state.gridLayout = {};
@@ -196,36 +378,58 @@ export function drawScreen(ctx, state) {
     if (!state.gridLayout.cellSize || 
         state.gridLayout.gridRows !== grid.rows || 
         state.gridLayout.gridCols !== grid.cols ||
+        state.gridLayout.gridLattice !== grid.lattice ||
         state.gridLayout.canvasWidth !== width ||
         state.gridLayout.canvasHeight !== height) {
         
-        // Add padding to prevent clipping at the edges (5% of the smallest dimension)
-        const minDimension = Math.min(width, height);
-        const padding = minDimension * 0.05;
-        const drawableWidth = width - (padding * 2);
-        const drawableHeight = height - (padding * 2);
-        
-        // Calculate cell dimensions to ensure cells are square
-        const cellSize = Math.min(drawableWidth / grid.cols, drawableHeight / grid.rows);
-        
-        // Calculate centering offsets to center the grid
-        const offsetX = padding + (drawableWidth - (cellSize * grid.cols)) / 2;
-        const offsetY = padding + (drawableHeight - (cellSize * grid.rows)) / 2;
-        
         // Store these values for consistent reuse
         state.gridLayout = {
-            cellSize,
-            offsetX,
-            offsetY,
+            ...computeGridLayout(grid, width, height),
             gridRows: grid.rows,
             gridCols: grid.cols,
+            gridLattice: grid.lattice,
             canvasWidth: width,
             canvasHeight: height
         };
     }
+    return state.gridLayout;
+}
+
+/**
+ * Draw everything on the canvas according to current grid, curves, and options.
+ * Without options.layout the grid fills the canvas and the layout is cached
+ * in state.gridLayout for the on-screen canvas (the animation reads its
+ * cell size). Exports pass a layout of their own, so any context and size can
+ * be drawn without disturbing the screen.
+ * @param {CanvasRenderingContext2D} ctx - Context to draw into
+ * @param {Object} state - Application state
+ * @param {Object} [options]
+ * @param {{cellSize, offsetX, offsetY}} [options.layout] - Fixed layout (see computeGridLayout)
+ * @param {string} [options.backgroundColor] - Background instead of settings.backgroundColor
+ */
+export function drawScreen(ctx, state, options = {}) {
+    const grid = state.grid;
+    const curves = state.curves || []; // Permanent completed curves
+    const animationPath = state.animationPath; // Current animation path
+    const settings = state.settings;
+    const backgroundColor = options.backgroundColor || settings.backgroundColor;
     
-    // Get stored layout values
-    const { cellSize, offsetX, offsetY } = state.gridLayout;
+    
+    // Safety check: if grid is null, don't try to draw it
+    if (!grid) {
+        console.warn("Grid is null, cannot draw screen");
+        clearCanvas(ctx, backgroundColor || 'transparent');
+        return;
+    }
+    
+    const { showGridLines, showGridPoints, showMirrors, showCenterDots,
+            lineStyles } = settings;
+    
+    // Get canvas dimensions
+    const width = ctx.canvas.width;
+    const height = ctx.canvas.height;
+    
+    const { cellSize, offsetX, offsetY } = options.layout || getScreenLayout(state, grid, width, height);
     const cellW = cellSize;
     const cellH = cellSize;
 
@@ -236,6 +440,16 @@ export function drawScreen(ctx, state) {
     ctx.save();
     ctx.translate(offsetX, offsetY);
 
+    // Fill the faces between the curves and mirrors under everything else
+    if (settings.faceFill !== FACE_FILLS.NONE) {
+        drawFaceFill(ctx, grid, cellW, cellH, settings);
+    }
+
+    // Colour the unit squares under everything but the faces
+    if (settings.lundaDesign) {
+        drawLundaDesign(ctx, grid, cellW, cellH, settings);
+    }
+
     // Draw grid lines
     if (showGridLines) {
         ctx.save();
@@ -244,12 +458,7 @@ export function drawScreen(ctx, state) {
         ctx.lineWidth = style.width;
         ctx.beginPath();
         for (const line of grid.gridLines.values()) {
-            const x1 = line.col * cellW;
-            const y1 = line.row * cellH;
-            const x2 = (line.type === 'horizontal' ? (line.col + 1) * cellW : x1);
-            const y2 = (line.type === 'vertical' ? (line.row + 1) * cellH : y1);
-            ctx.moveTo(x1, y1);
-            ctx.lineTo(x2, y2);
+            traceLine(ctx, grid, line, cellW, cellH);
         }
         ctx.stroke();
         ctx.restore();
@@ -260,18 +469,30 @@ export function drawScreen(ctx, state) {
         ctx.save();
         const style = lineStyles.gridPoint;
         ctx.fillStyle = style.color;
-        for (let r = 0; r <= grid.rows; r++) {
-            for (let c = 0; c <= grid.cols; c++) {
-                const x = c * cellW;
-                const y = r * cellH;
-                ctx.beginPath();
-                ctx.arc(x, y, style.radius, 0, 2 * Math.PI);
-                ctx.fill();
-            }
+        // Only points on the corner of an active cell
+        for (const { x, y } of grid.getGridPoints()) {
+            ctx.beginPath();
+            ctx.arc(x * cellW, y * cellH, style.radius, 0, 2 * Math.PI);
+            ctx.fill();
         }
         ctx.restore();
     }
 
+    // Mark the lines locked for the curve solver, under the mirrors
+    if (state.lockedLines && state.lockedLines.size > 0) {
+        ctx.save();
+        const style = lineStyles.locked;
+        ctx.strokeStyle = style.color;
+        ctx.lineWidth = style.width;
+        ctx.beginPath();
+        for (const id of state.lockedLines) {
+            const line = grid.getGridLine(id);
+            if (line) traceLine(ctx, grid, line, cellW, cellH);
+        }
+        ctx.stroke();
+        ctx.restore();
+    }
+
     // Draw mirror lines
     if (showMirrors) {
         ctx.save();
@@ -281,12 +502,23 @@ export function drawScreen(ctx, state) {
         ctx.beginPath();
         for (const line of grid.gridLines.values()) {
             if (!line.isMirror) continue;
-            const x1 = line.col * cellW;
-            const y1 = line.row * cellH;
-            const x2 = (line.type === 'horizontal' ? (line.col + 1) * cellW : x1);
-            const y2 = (line.type === 'vertical' ? (line.row + 1) * cellH : y1);
-            ctx.moveTo(x1, y1);
-            ctx.lineTo(x2, y2);
+            traceLine(ctx, grid, line, cellW, cellH);
+        }
+        ctx.stroke();
+        ctx.restore();
+    }
+
+    // Highlight the lines an unfinished gesture would paint (dashed when erasing)
+    if (state.toolPreview) {
+        ctx.save();
+        const style = lineStyles.preview;
+        ctx.strokeStyle = style.color;
+        ctx.lineWidth = style.width;
+        if (!state.toolPreview.isMirror) ctx.setLineDash([style.width * 2, style.width * 2]);
+        ctx.beginPath();
+        for (const id of state.toolPreview.gridLineIds) {
+            const line = grid.getGridLine(id);
+            if (line) traceLine(ctx, grid, line, cellW, cellH);
         }
         ctx.stroke();
         ctx.restore();
@@ -297,35 +529,107 @@ export function drawScreen(ctx, state) {
         ctx.save();
         const style = lineStyles.centerDot;
         ctx.fillStyle = style.color;
-        for (let r = 0; r < grid.rows; r++) {
-            for (let c = 0; c < grid.cols; c++) {
-                const x = (c + 0.5) * cellW;
-                const y = (r + 0.5) * cellH;
-                ctx.beginPath();
-                ctx.arc(x, y, style.radius, 0, 2 * Math.PI);
-                ctx.fill();
-            }
+        for (const { x, y } of grid.getCellCenters()) {
+            ctx.beginPath();
+            ctx.arc(x * cellW, y * cellH, style.radius, 0, 2 * Math.PI);
+            ctx.fill();
         }
         ctx.restore();
     }
 
+    // Mark the glued edges of a cylinder, torus, Klein bottle or Möbius band
+    if (grid.wrapCols || grid.wrapRows) {
+        drawSeamMarkers(ctx, grid, cellW, cellH, lineStyles.seam);
+    }
+
     // Draw permanent curves first
     if (curves && curves.length > 0) {
         curves.forEach((curve, idx) => {
-            drawCurve(ctx, curve, idx, cellW, cellH, settings);
+            drawCurve(ctx, curve, idx, cellW, cellH, settings, grid);
         });
     }
 
     // Draw animation path on top (if exists)
     if (animationPath) {
         // Use a high index to get a different color than existing curves
-        drawCurve(ctx, animationPath, curves.length, cellW, cellH, settings);
+        drawCurve(ctx, animationPath, curves.length, cellW, cellH, settings, grid);
     }
 
     // Restore the context after all drawing
     ctx.restore();
 }
 
+/**
+ * Render the drawing as an SVG document
+ * drawScreen draws into an SvgContext, so the layers, line styles and curve
+ * geometry are those of the canvas. The animation, the preview of an
+ * unfinished gesture and the solver locks are left out.
+ * @param {Object} state - Application state
+ * @param {Object} [options]
+ * @param {number} [options.cellSize=40] - Size of a cell in SVG units
+ * @returns {string} The SVG text
+ */
+export function renderSvg(state, { cellSize = 40 } = {}) {
+    const bounds = state.grid ? state.grid.getBounds() : { width: 1, height: 1 };
+    const gridWidth = bounds.width * cellSize;
+    const gridHeight = bounds.height * cellSize;
+    // The same 5% padding as the screen: an 18th of the grid's smaller side
+    // on each side is 5% of the drawing's smaller side
+    const padding = Math.min(gridWidth, gridHeight) / 18;
+    const svgCtx = new SvgContext(gridWidth + padding * 2, gridHeight + padding * 2);
+    const layout = { cellSize, offsetX: padding, offsetY: padding };
+    drawScreen(svgCtx, { ...state, animationPath: null, toolPreview: null, lockedLines: null }, { layout });
+    return svgCtx.toSVG();
+}
+
+/**
+ * Render the drawing into a canvas of its own, for image export
+ * Line widths and dot sizes in lineStyles are screen pixels; `scale` says
+ * how many image pixels one of them takes (2 at 192 DPI, say). The height
+ * follows from the width and the shape of the grid. The animation, the
+ * preview of an unfinished gesture and the solver locks are left out.
+ * @param {Object} state - Application state
+ * @param {Object} options
+ * @param {number} options.width - Image width in pixels
+ * @param {number} [options.scale=1] - Image pixels per screen pixel
+ * @param {number} [options.padding=0.05] - Free space on each side, as a fraction of the width
+ * @param {string} [options.backgroundColor] - Background colour, or 'transparent'
+ *   (defaults to settings.backgroundColor)
+ * @returns {HTMLCanvasElement}
+ * @throws {Error} If the image would be larger than MAX_IMAGE_SIZE pixels on a side
+ */
+export function renderImage(state, { width, scale = 1, padding = 0.05, backgroundColor } = {}) {
+    if (!Number.isFinite(width) || width < 1) {
+        throw new Error(`The image width must be at least 1 pixel, not ${width}`);
+    }
+    if (!(scale > 0) || !(padding >= 0 && padding < 0.5)) {
+        throw new Error('The scale must be positive and the padding less than half the width');
+    }
+    const bounds = state.grid ? state.grid.getBounds() : { width: 1, height: 1 };
+    // Lay the drawing out in screen pixels, then scale it to the image
+    const drawWidth = width / scale;
+    const space = drawWidth * padding;
+    const cellSize = (drawWidth - space * 2) / bounds.width;
+    const pixelWidth = Math.round(width);
+    const pixelHeight = Math.round((bounds.height * cellSize + space * 2) * scale);
+    if (Math.max(pixelWidth, pixelHeight) > MAX_IMAGE_SIZE) {
+        throw new Error(`A ${pixelWidth}x${pixelHeight} image is too large (at most ${MAX_IMAGE_SIZE} pixels on a side)`);
+    }
+
+    const canvas = document.createElement('canvas');
+    canvas.width = pixelWidth;
+    canvas.height = pixelHeight;
+    const ctx = canvas.getContext('2d');
+    ctx.scale(scale, scale);
+    const layout = {
+        cellSize,
+        offsetX: space,
+        offsetY: (pixelHeight / scale - bounds.height * cellSize) / 2
+    };
+    drawScreen(ctx, { ...state, animationPath: null, toolPreview: null, lockedLines: null }, { layout, backgroundColor });
+    return canvas;
+}
+
 /**
  * Initialize screen drawing: subscribe to REDRAW events.
  */
@@ -18,11 +18,50 @@ export function initalizeState(){
 	grid: new Grid(5,5),
 	curves: [],          // Permanent curves that stay visible
 	animationPath: null, // Current animation path (temporary)
+	toolPreview: null,   // Lines an unfinished gesture would paint: { gridLineIds, isMirror }
+	lockedLines: new Set(), // IDs of the lines the curve solver keeps as they are
 	settings: {
             showGridLines:  false,
             showGridPoints: false,
             showMirrors:    true,
             showCenterDots: true,
+            linkDiagram:    false, // draw over/under crossings
+
+            // Lunda design: colour the unit squares along a monolinear curve
+            lundaDesign: false,
+            lundaOrder:  2, // number of colours (see LUNDA_ORDERS)
+            lundaColors: ['#333333', '#ffffff', '#aaaaaa'],
+
+            // fill of the faces between the curves and mirrors (see FACE_FILLS);
+            // the checkerboard uses the first two colours
+            faceFill:   'none',
+            faceColors: ['#f3e2c0', '#8fb3d9', '#e8a87c', '#a8d5a2'],
+
+            // tiling the grid is built on (see GRID_LATTICES)
+            gridLattice: 'square',
+            // shape of the dot pattern (see GRID_SHAPES)
+            gridShape: 'rectangle',
+            // how the grid edges are glued together (see GRID_TOPOLOGIES)
+            gridTopology: 'plane',
+            // which side of the mirror pattern stays put when Rows or Columns change (see RESIZE_ANCHORS)
+            resizeAnchor: 'top-left',
+
+            // symmetry kept by Randomize (see GRID_SYMMETRIES), and whether
+            // mirror toggles also toggle the symmetric partner lines
+            symmetry: 'none',
+            symmetricEditing: false,
+
+            // how dragging on the canvas edits mirrors (see EDIT_TOOLS), and
+            // whether painted lines become mirrors or crossings (see PAINT_MODES)
+            editTool:  'toggle',
+            paintMode: 'draw',
+
+            // most grid edits kept for Undo
+            historyLimit: 100,
+
+            // whether clicks and taps lock lines for the curve solver
+            // instead of editing them
+            lockMode: false,
 
             // spline options
             smooth:  false,
@@ -49,7 +88,10 @@ export function initalizeState(){
 		gridPoint: { color: '#888888', radius: 3 },
 		mirror:    { color: '#000000', width: 2 },
 		centerDot: { color: '#888888', radius: 3 },
-		curve:     { width: 2 }
+		curve:     { width: 2 },
+		seam:      { color: '#2185d0', width: 2 },
+		preview:   { color: '#f2711c', width: 3 },
+		locked:    { color: '#a333c8', width: 6 }
             }
 	}
     };
@@ -1,6 +1,28 @@
 // File: src/core/stateManager.js
-import { emit } from './eventEmitter.js';
-import { Grid } from '../logic/grid.js';
+import { emit, on, off } from './eventEmitter.js';
+import { Grid, GRID_LATTICES, GRID_TOPOLOGIES } from '../logic/grid.js';
+import { createGrid, gridFromJSON } from '../logic/latticeGrid.js';
+import { computeLundaDesign, formatLundaMatrix } from '../logic/lundaDesign.js';
+import { FACE_FILLS } from '../logic/diagramFaces.js';
+import {
+  GRID_SYMMETRIES,
+  supportsSymmetry,
+  getLineOrbit,
+  randomizeSymmetricMirrors
+} from '../logic/symmetry.js';
+import { GRID_SHAPES, createShapeMask, findGridShape } from '../logic/gridShapes.js';
+import { RESIZE_ANCHORS, resizeGrid, extendGrid, scaleGrid } from '../logic/gridResize.js';
+import { EDIT_TOOLS, PAINT_MODES } from '../logic/mirrorTools.js';
+import { serializeDocument, parseDocument } from './documentFormat.js';
+import { EditHistory } from './editHistory.js';
+import { gridToNotation, parseNotation } from '../logic/mirrorNotation.js';
+import {
+  computePDCode,
+  computeDTCode,
+  validatePDCode,
+  formatPDCode,
+  formatDTCode
+} from '../logic/knotCodes.js';
 import { 
   enqueueCurve, 
   startAnimation, 
@@ -9,6 +31,8 @@ import {
   getAnimationSpeed,
   clearAllAnimations 
 } from './animationManager.js';
+import { findAllCurvesInWorker } from './curveJob.js';
+import { MirrorCurve } from '../logic/mirrorCurve.js';
 
 // Internal application state
 // Loaded with the defaults
@@ -16,11 +40,50 @@ let state = {
 	grid: new Grid(5,5),
 	curves: [],          // Permanent curves that stay visible
 	animationPath: null, // Current animation path (temporary)
+	toolPreview: null,   // Lines an unfinished gesture would paint: { gridLineIds, isMirror }
+	lockedLines: new Set(), // IDs of the lines the curve solver keeps as they are
 	settings: {
             showGridLines:  false,
             showGridPoints: false,
             showMirrors:    true,
             showCenterDots: true,
+            linkDiagram:    false, // draw over/under crossings
+
+            // Lunda design: colour the unit squares along a monolinear curve
+            lundaDesign: false,
+            lundaOrder:  2, // number of colours (see LUNDA_ORDERS)
+            lundaColors: ['#333333', '#ffffff', '#aaaaaa'],
+
+            // fill of the faces between the curves and mirrors (see FACE_FILLS);
+            // the checkerboard uses the first two colours
+            faceFill:   FACE_FILLS.NONE,
+            faceColors: ['#f3e2c0', '#8fb3d9', '#e8a87c', '#a8d5a2'],
+
+            // tiling the grid is built on (see GRID_LATTICES)
+            gridLattice: GRID_LATTICES.SQUARE,
+            // shape of the dot pattern (see GRID_SHAPES)
+            gridShape: GRID_SHAPES.RECTANGLE,
+            // how the grid edges are glued together (see GRID_TOPOLOGIES)
+            gridTopology: GRID_TOPOLOGIES.PLANE,
+            // which side of the mirror pattern stays put when Rows or Columns change (see RESIZE_ANCHORS)
+            resizeAnchor: RESIZE_ANCHORS.TOP_LEFT,
+
+            // symmetry kept by Randomize (see GRID_SYMMETRIES), and whether
+            // mirror toggles also toggle the symmetric partner lines
+            symmetry: GRID_SYMMETRIES.NONE,
+            symmetricEditing: false,
+
+            // how dragging on the canvas edits mirrors (see EDIT_TOOLS), and
+            // whether painted lines become mirrors or crossings (see PAINT_MODES)
+            editTool:  EDIT_TOOLS.TOGGLE,
+            paintMode: PAINT_MODES.DRAW,
+
+            // most grid edits kept for Undo
+            historyLimit: 100,
+
+            // whether clicks and taps lock lines for the curve solver
+            // instead of editing them
+            lockMode: false,
 
             // spline options
             smooth:  false,
@@ -47,7 +110,10 @@ let state = {
 		gridPoint: { color: '#888888', radius: 3 },
 		mirror:    { color: '#000000', width: 2 },
 		centerDot: { color: '#888888', radius: 3 },
-		curve:     { width: 2 }
+		curve:     { width: 2 },
+		seam:      { color: '#2185d0', width: 2 },
+		preview:   { color: '#f2711c', width: 3 },
+		locked:    { color: '#a333c8', width: 6 }
             }
 	}
     };
@@ -88,34 +154,269 @@ export function initialize() {
     });
 }
 
+// AbortController of the running ALL_CURVES computation
+let curveJob = null;
+
+/**
+ * Find all curves in a worker and animate them as they arrive
+ * Progress is reported with CURVES_PROGRESS events
+ * ({running, found, progress, message?}). The curves are retraced on the
+ * state grid, which marks their directions as used. Changing the grid
+ * cancels the computation.
+ */
+function startCurveJob() {
+    cancelCurveJob();
+    const grid = state.grid;
+    if (!grid) return;
+    grid.resetUsedDirections();
+
+    const controller = new AbortController();
+    curveJob = controller;
+    const onGridChanged = () => cancelCurveJob('The grid changed.');
+    on('GRID_CHANGED', onGridChanged);
+    emit('CURVES_PROGRESS', { running: true, found: 0, progress: 0 });
+
+    findAllCurvesInWorker(grid, {
+        signal: controller.signal,
+        onCurves: curves => {
+            curves.forEach(data => enqueueCurve(MirrorCurve.fromJSON(data, grid)));
+            // Starts the animation, or restarts it if it caught up with the worker
+            startAnimation();
+        },
+        onProgress: ({ found, progress }) => {
+            emit('CURVES_PROGRESS', { running: true, found, progress });
+        }
+    }).then(found => {
+        emit('CURVES_PROGRESS', { running: false, found, progress: 1 });
+    }).catch(error => {
+        if (!controller.signal.aborted) {
+            emit('CURVES_PROGRESS', { running: false, found: 0, progress: 0, message: error.message });
+        }
+    }).finally(() => {
+        off('GRID_CHANGED', onGridChanged);
+        if (curveJob === controller) curveJob = null;
+    });
+}
+
+/**
+ * Stop the running ALL_CURVES computation, if any
+ * Curves already received keep animating.
+ * @param {string} [message='Cancelled.'] - Reported with the CURVES_PROGRESS event
+ */
+function cancelCurveJob(message = 'Cancelled.') {
+    if (!curveJob) return;
+    curveJob.abort();
+    curveJob = null;
+    emit('CURVES_PROGRESS', { running: false, found: 0, progress: 0, message });
+}
+
+// Grid that a run of Rows and Columns changes resizes from, so that typing
+// a number through smaller values (1, then 12) does not cut the pattern
+let resizeOrigin = null;
+
+/**
+ * Get the grid to resize from
+ * That is the grid before the previous resize, as long as the resized grid
+ * is still current and unchanged, and the current grid otherwise.
+ * @returns {Grid}
+ */
+function getResizeSource() {
+    if (resizeOrigin && resizeOrigin.grid === state.grid &&
+        resizeOrigin.pattern === JSON.stringify(state.grid.toJSON())) {
+        return resizeOrigin.source;
+    }
+    return state.grid;
+}
+
+/**
+ * Set the shape setting to the shape of a square lattice grid's mask
+ * Resizing, scaling and mirror patterns change the mask; a mask of no
+ * named shape is CUSTOM, which UPDATE_GRID carries along instead of
+ * drawing a shape afresh. Other lattices have no shapes and keep the setting.
+ * @param {Grid} grid - The new grid, before it replaces the current one
+ */
+function syncGridShape(grid) {
+    if (grid.lattice !== GRID_LATTICES.SQUARE) return;
+    state.settings.gridShape = findGridShape(grid.mask, grid.rows, grid.cols, state.settings.gridShape);
+}
+
+/**
+ * Keep the locked lines that are still interior lines of a new grid
+ * A resize or an undo mostly keeps the line IDs, so most locks survive.
+ * @param {Grid|null} grid - The new grid, or null to unlock every line
+ */
+function updateLockedLines(grid) {
+    const kept = [...state.lockedLines].filter(id => {
+        const gridLine = grid && grid.getGridLine(id);
+        return gridLine && !grid.isBoundaryGridLine(gridLine);
+    });
+    if (kept.length === state.lockedLines.size) return;
+    state.lockedLines = new Set(kept);
+    emit('LOCKS_CHANGED', state.lockedLines.size);
+}
+
+/**
+ * Put a new grid in place of the current one
+ * Curves and pending animations belong to the old grid, so they are cleared.
+ * @param {Grid} grid - The new grid
+ */
+function replaceGrid(grid) {
+    state.grid = grid;
+    updateLockedLines(grid);
+    state.curves = [];
+    state.animationPath = null;
+
+    // Reset grid layout data
+    if (state.gridLayout) {
+        state.gridLayout.gridRows = grid.rows;
+        state.gridLayout.gridCols = grid.cols;
+        // Force recalculation
+        state.gridLayout.cellSize = null;
+    }
+
+    // Clear all pending animations when grid changes
+    clearAllAnimations();
+
+    console.log("Grid updated, cleared all curves and animations", state.grid);
+    emit('REDRAW');
+    emit('GRID_CHANGED', state.grid);
+}
+
+// Undo and redo stacks of the grid edits (see EDIT_ACTIONS)
+const history = new EditHistory(state.settings.historyLimit);
+
+// Actions that change the grid or its mirrors; each one is a single undo
+// step, so a whole painting gesture (PAINT_MIRRORS) undoes at once
+const EDIT_ACTIONS = new Set([
+    'UPDATE_GRID',
+    'EXTEND_GRID',
+    'SCALE_GRID',
+    'RANDOM',
+    'SET_MIRRORS',
+    'TOGGLE_MIRROR',
+    'PAINT_MIRRORS',
+    'TOGGLE_CROSSING',
+    'LOAD_DOCUMENT',
+    'APPLY_NOTATION'
+]);
+
+/**
+ * Serialize what an undo step restores: the grid with its mirrors and
+ * flipped crossings, and the shape setting (lattice and topology are part
+ * of the grid)
+ * @returns {string}
+ */
+function takeSnapshot() {
+    return JSON.stringify({ grid: state.grid.toJSON(), gridShape: state.settings.gridShape });
+}
+
+/**
+ * Put a snapshot from takeSnapshot in place of the current grid
+ * The grid is rebuilt, so its used directions start afresh, and the
+ * controls are synced as for a loaded document.
+ * @param {string} snapshot
+ */
+function restoreSnapshot(snapshot) {
+    const { grid, gridShape } = JSON.parse(snapshot);
+    const restored = gridFromJSON(grid);
+    state.settings.gridLattice = restored.lattice;
+    state.settings.gridTopology = restored.topology;
+    state.settings.gridShape = gridShape;
+    replaceGrid(restored);
+    emit('DOCUMENT_LOADED', state);
+}
+
+function emitHistoryChanged() {
+    emit('HISTORY_CHANGED', { canUndo: history.canUndo, canRedo: history.canRedo });
+}
+
 /**
  * Dispatch an action to update state
+ * Actions in EDIT_ACTIONS that change the grid are recorded for UNDO.
+ * Every action that does not throw is followed by an ACTION_DISPATCHED
+ * event with its name (autosave listens to it).
  * @param {string} action
  * @param {*} payload
  */
 export function dispatch(action, payload) {
+    const result = EDIT_ACTIONS.has(action)
+        ? applyEdit(action, payload)
+        : applyAction(action, payload);
+    emit('ACTION_DISPATCHED', action);
+    return result;
+}
+
+function applyEdit(action, payload) {
+    // A run of Rows and Columns changes is one step, as for getResizeSource
+    const isResize = action === 'UPDATE_GRID' && !payload.lattice && !payload.shape && !payload.topology;
+    const before = takeSnapshot();
+    const result = applyAction(action, payload);
+    if (history.record(before, takeSnapshot(), isResize ? 'resize' : null)) {
+        emitHistoryChanged();
+    }
+    return result;
+}
+
+function applyAction(action, payload) {
     switch (action) {
 
-    case 'UPDATE_GRID':
-	// payload should have { rows, cols }
-	state.grid = new Grid(payload.rows, payload.cols);
-	state.curves = [];
-	state.animationPath = null;
-	
-	// Reset grid layout data
-	if (state.gridLayout) {
-            state.gridLayout.gridRows = payload.rows;
-            state.gridLayout.gridCols = payload.cols;
-            // Force recalculation
-            state.gridLayout.cellSize = null;
+    case 'UPDATE_GRID': {
+	// payload should have { rows, cols } and optionally { lattice, shape, topology }
+	if (payload.lattice) state.settings.gridLattice = payload.lattice;
+	if (payload.shape) state.settings.gridShape = payload.shape;
+	if (payload.topology) state.settings.gridTopology = payload.topology;
+	const { gridLattice, gridShape, gridTopology, resizeAnchor } = state.settings;
+	// Shapes and topologies only apply to the square lattice
+	if (gridLattice !== GRID_LATTICES.SQUARE) {
+	    replaceGrid(createGrid(gridLattice, payload.rows, payload.cols));
+	    break;
 	}
-	
-	// Clear all pending animations when grid changes
-	clearAllAnimations();
-	
-	console.log("Grid updated, cleared all curves and animations",state.grid);
-	emit('REDRAW');
-    break;
+	// A named shape is drawn afresh at the new size; a custom mask (left
+	// undefined) is moved along with the cells by resizeGrid
+	const isSquare = state.grid && state.grid.lattice === GRID_LATTICES.SQUARE;
+	const mask = gridShape === GRID_SHAPES.CUSTOM
+	    ? undefined
+	    : createShapeMask(gridShape, payload.rows, payload.cols);
+	// The mirror pattern survives a new size or shape, not a new gluing
+	if (!isSquare || state.grid.topology !== gridTopology) {
+	    let newMask = mask;
+	    if (newMask === undefined) {
+		newMask = isSquare
+		    ? resizeGrid(state.grid, payload.rows, payload.cols, { anchor: resizeAnchor }).mask
+		    : null;
+	    }
+	    const grid = new Grid(payload.rows, payload.cols, { mask: newMask, topology: gridTopology });
+	    syncGridShape(grid);
+	    replaceGrid(grid);
+	    break;
+	}
+	const source = getResizeSource();
+	const resized = resizeGrid(source, payload.rows, payload.cols, { anchor: resizeAnchor, mask });
+	syncGridShape(resized);
+	replaceGrid(resized);
+	resizeOrigin = { source, grid: resized, pattern: JSON.stringify(resized.toJSON()) };
+	break;
+    }
+    case 'SET_RESIZE_ANCHOR':
+        // payload should have { anchor }
+        state.settings.resizeAnchor = payload.anchor;
+        break;
+    case 'EXTEND_GRID': {
+        // payload has { top, bottom, left, right }: rows or columns to add (positive) or remove (negative)
+        // Throws if the grid cannot be resized
+        const extended = extendGrid(state.grid, payload);
+        syncGridShape(extended);
+        replaceGrid(extended);
+        break;
+    }
+    case 'SCALE_GRID': {
+        // payload should have { factor } (see SCALE_FACTORS)
+        // Throws if the grid cannot be scaled by that factor
+        const scaled = scaleGrid(state.grid, payload.factor);
+        syncGridShape(scaled);
+        replaceGrid(scaled);
+        break;
+    }
     case 'TOGGLE_MIRRORS':
         // payload should have { show }
         state.settings.showMirrors = payload.show;
@@ -136,6 +437,99 @@ export function dispatch(action, payload) {
         state.settings.showCenterDots = payload.show;
         emit('REDRAW');
         break;
+    case 'TOGGLE_LINK_DIAGRAM':
+        // payload should have { show }
+        state.settings.linkDiagram = payload.show;
+        emit('REDRAW');
+        break;
+    case 'TOGGLE_LUNDA_DESIGN':
+        // payload should have { show }
+        state.settings.lundaDesign = payload.show;
+        emit('REDRAW');
+        break;
+    case 'SET_LUNDA_ORDER':
+        // payload should have { order } (see LUNDA_ORDERS)
+        state.settings.lundaOrder = payload.order;
+        emit('REDRAW');
+        break;
+    case 'SET_LUNDA_COLOR':
+        // payload should have { index, color }
+        state.settings.lundaColors[payload.index] = payload.color;
+        emit('REDRAW');
+        break;
+    case 'EXPORT_LUNDA_DESIGN':
+        // returns the colour matrix of the Lunda design as text
+        // Throws unless the mirrors give a single closed curve
+        return formatLundaMatrix(computeLundaDesign(state.grid, { order: state.settings.lundaOrder }));
+    case 'SET_FACE_FILL':
+        // payload should have { fill } (see FACE_FILLS)
+        state.settings.faceFill = payload.fill;
+        emit('REDRAW');
+        break;
+    case 'SET_FACE_COLOR':
+        // payload should have { index, color }
+        state.settings.faceColors[payload.index] = payload.color;
+        emit('REDRAW');
+        break;
+    case 'SET_SYMMETRY':
+        // payload should have { symmetry } (see GRID_SYMMETRIES)
+        state.settings.symmetry = payload.symmetry;
+        break;
+    case 'TOGGLE_SYMMETRIC_EDITING':
+        // payload should have { enabled }
+        state.settings.symmetricEditing = payload.enabled;
+        break;
+    case 'SET_EDIT_TOOL':
+        // payload should have { tool } (see EDIT_TOOLS)
+        state.settings.editTool = payload.tool;
+        break;
+    case 'SET_PAINT_MODE':
+        // payload should have { mode } (see PAINT_MODES)
+        state.settings.paintMode = payload.mode;
+        break;
+    case 'UNDO':
+    case 'REDO': {
+        const snapshot = action === 'UNDO' ? history.undo() : history.redo();
+        if (snapshot) {
+            restoreSnapshot(snapshot);
+            emitHistoryChanged();
+        }
+        break;
+    }
+    case 'CLEAR_HISTORY':
+        history.clear();
+        emitHistoryChanged();
+        break;
+    case 'SET_HISTORY_LIMIT':
+        // payload should have { limit }; the oldest edits beyond it are dropped
+        // Throws if the limit is not a positive whole number
+        history.setLimit(payload.limit);
+        state.settings.historyLimit = payload.limit;
+        emitHistoryChanged();
+        break;
+    case 'TOGGLE_LOCK_MODE':
+        // payload should have { enabled }
+        state.settings.lockMode = payload.enabled;
+        break;
+    case 'TOGGLE_LINE_LOCK': {
+        // payload should have { gridLineId }; the curve solver keeps locked
+        // lines as they are. Boundary lines are always mirrors and are ignored
+        const gridLine = state.grid.getGridLine(payload.gridLineId);
+        if (!gridLine || state.grid.isBoundaryGridLine(gridLine)) break;
+        if (!state.lockedLines.delete(gridLine.id)) state.lockedLines.add(gridLine.id);
+        emit('LOCKS_CHANGED', state.lockedLines.size);
+        emit('REDRAW');
+        break;
+    }
+    case 'CLEAR_LINE_LOCKS':
+        updateLockedLines(null);
+        emit('REDRAW');
+        break;
+    case 'SET_TOOL_PREVIEW':
+        // payload has { gridLineIds, isMirror }, or is null when the gesture ends
+        state.toolPreview = payload && payload.gridLineIds.length ? payload : null;
+        emit('REDRAW');
+        break;
     case 'SET_ANIMATION_SPEED':
         // payload should have { speed }
         state.settings.animationSpeed = payload.speed;
@@ -157,12 +551,38 @@ export function dispatch(action, payload) {
         break;
 
     case 'RANDOM':
-	state.grid.randomizeMirrors(0.15);
+	// Keep the chosen symmetry where the grid allows it
+	if (supportsSymmetry(state.grid, state.settings.symmetry)) {
+	    randomizeSymmetricMirrors(state.grid, 0.15, state.settings.symmetry);
+	} else {
+	    state.grid.randomizeMirrors(0.15);
+	}
 	// Clear all curves and animations when mirrors change
         state.curves = [];
         state.animationPath = null;
         clearAllAnimations();
+        emit('GRID_CHANGED', state.grid);
 	break;
+    case 'SET_MIRRORS': {
+        // payload should have { mirrors } - IDs of the interior lines that become mirrors
+        // All other interior lines become crossings; boundary mirrors stay
+        const mirrors = new Set(payload.mirrors);
+        for (const id of mirrors) {
+            if (!state.grid.getGridLine(id)) {
+                throw new Error(`Unknown grid line: ${id}`);
+            }
+        }
+        for (const [id, gridLine] of state.grid.gridLines.entries()) {
+            if (!state.grid.isBoundaryGridLine(gridLine)) {
+                state.grid.setMirror(id, mirrors.has(id));
+            }
+        }
+        state.curves = [];
+        state.animationPath = null;
+        clearAllAnimations();
+        emit('GRID_CHANGED', state.grid);
+        break;
+    }
     case 'NEXT_CURVE':
         if (payload) {
             // If a curve is provided directly as payload, enqueue it for animation
@@ -197,22 +617,14 @@ export function dispatch(action, payload) {
         break;
 
     case 'ALL_CURVES':
-        // If no payload, find the next curve
-        
-        // Import findNextCurve dynamically
-        import('../logic/curveStartFinder.js').then(module => {
-            const findAllCurves = module.findAllCurves(state.grid);
-
-	    findAllCurves.forEach(curve => {
-		enqueueCurve(curve);
-	    });
-	    startAnimation();
-	});
-	    
-            return;
-	
-            break;
+        // Curves are found in a worker and animated as they arrive
+        startCurveJob();
+        break;
+    case 'CANCEL_CURVES':
+        cancelCurveJob();
+        break;
     case 'RESET':
+        cancelCurveJob();
         if (state.grid) state.grid.resetUsedDirections();
         // Explicitly set to empty array rather than just clearing
         state.curves = [];
@@ -225,6 +637,7 @@ export function dispatch(action, payload) {
         break;
 
     case 'REDRAW':
+        cancelCurveJob();
         if (state.grid) state.grid.resetUsedDirections();
         // Explicitly set to empty array rather than just clearing
         state.curves = [];
@@ -241,7 +654,17 @@ export function dispatch(action, payload) {
         if (line) {
             // Don't toggle boundary mirrors
             if (!state.grid.isBoundaryGridLine(line)) {
-                state.grid.setMirror(payload.gridLineId, !line.isMirror);
+                // With symmetric editing the partner lines follow
+                const { symmetry, symmetricEditing } = state.settings;
+                const ids = symmetricEditing && supportsSymmetry(state.grid, symmetry)
+                    ? getLineOrbit(state.grid, payload.gridLineId, symmetry)
+                    : [payload.gridLineId];
+                const isMirror = !line.isMirror;
+                for (const id of ids) {
+                    if (!state.grid.isBoundaryGridLine(state.grid.getGridLine(id))) {
+                        state.grid.setMirror(id, isMirror);
+                    }
+                }
                 
                 // Clear all curves and animations when mirrors change
                 state.curves = [];
@@ -250,11 +673,138 @@ export function dispatch(action, payload) {
                 
                 console.log("Mirror toggled, cleared all curves and animations");
                 emit('REDRAW');
+                emit('GRID_CHANGED', state.grid);
             } else {
                 console.log("Boundary mirrors cannot be toggled");
             }
         }
         break;
+    case 'PAINT_MIRRORS': {
+        // payload should have { gridLineIds, isMirror } - the lines a whole gesture painted
+        // Boundary mirrors stay; nothing is redrawn if no line changes
+        for (const id of payload.gridLineIds) {
+            if (!state.grid.getGridLine(id)) {
+                throw new Error(`Unknown grid line: ${id}`);
+            }
+        }
+        // With symmetric editing the partner lines follow
+        const { symmetry, symmetricEditing } = state.settings;
+        const followSymmetry = symmetricEditing && supportsSymmetry(state.grid, symmetry);
+        let changed = false;
+        for (const gridLineId of payload.gridLineIds) {
+            const ids = followSymmetry ? getLineOrbit(state.grid, gridLineId, symmetry) : [gridLineId];
+            for (const id of ids) {
+                const gridLine = state.grid.getGridLine(id);
+                if (gridLine.isMirror !== payload.isMirror && !state.grid.isBoundaryGridLine(gridLine)) {
+                    state.grid.setMirror(id, payload.isMirror);
+                    changed = true;
+                }
+            }
+        }
+        if (changed) {
+            state.curves = [];
+            state.animationPath = null;
+            clearAllAnimations();
+            emit('REDRAW');
+            emit('GRID_CHANGED', state.grid);
+        }
+        break;
+    }
+    case 'TOGGLE_CROSSING': {
+        // payload should have { gridLineId }
+        const crossing = state.grid.getGridLine(payload.gridLineId);
+        if (crossing && !crossing.isMirror) {
+            // Curves stay valid, only the drawing of the crossing changes
+            state.grid.toggleCrossing(payload.gridLineId);
+            emit('GRID_CHANGED', state.grid);
+            emit('REDRAW');
+        }
+        break;
+    }
+    case 'EXPORT_DOCUMENT':
+        // payload may have { includeCurves }; returns the document text
+        return serializeDocument(state, payload);
+    case 'LOAD_DOCUMENT': {
+        // payload should have { text } (document text or parsed object)
+        // Throws without touching the state if the document is invalid
+        const loaded = parseDocument(payload.text, state.settings);
+        
+        clearAllAnimations();
+        updateLockedLines(null);
+        state.grid = loaded.grid;
+        state.settings = loaded.settings;
+        state.curves = loaded.curves;
+        state.animationPath = null;
+        setAnimationSpeed(state.settings.animationSpeed);
+        // A document with an unusable history limit keeps the current one
+        if (!Number.isInteger(state.settings.historyLimit) || state.settings.historyLimit < 1) {
+            state.settings.historyLimit = history.limit;
+        }
+        history.setLimit(state.settings.historyLimit);
+        // The shape follows the mask, whatever the document says
+        syncGridShape(state.grid);
+        
+        // Reset grid layout data
+        if (state.gridLayout) {
+            state.gridLayout.gridRows = loaded.grid.rows;
+            state.gridLayout.gridCols = loaded.grid.cols;
+            state.gridLayout.cellSize = null;
+        }
+        
+        console.log("Document loaded", state.grid);
+        emit('DOCUMENT_LOADED', state);
+        emit('REDRAW');
+        emit('GRID_CHANGED', state.grid);
+        break;
+    }
+    case 'EXPORT_NOTATION':
+        // returns the mirror pattern of the current grid as text
+        return gridToNotation(state.grid);
+    case 'EXPORT_KNOT_CODE': {
+        // payload should have { format: 'pd' | 'dt' }
+        // returns the knot code of the current diagram as text
+        // Throws if the diagram cannot be written in that format
+        if (payload.format === 'pd') {
+            const pdCode = computePDCode(state.grid);
+            const problems = validatePDCode(pdCode);
+            if (problems.length > 0) {
+                throw new Error(`Inconsistent PD code: ${problems.join('; ')}`);
+            }
+            return formatPDCode(pdCode);
+        }
+        if (payload.format === 'dt') {
+            return formatDTCode(computeDTCode(state.grid));
+        }
+        throw new Error(`Unknown knot code format: ${payload.format}`);
+    }
+    case 'APPLY_NOTATION': {
+        // payload should have { text }
+        // Throws a NotationError (with line and column) if the text is invalid
+        const grid = parseNotation(payload.text);
+        
+        clearAllAnimations();
+        updateLockedLines(null);
+        state.grid = grid;
+        state.settings.gridLattice = grid.lattice;
+        state.settings.gridTopology = grid.topology;
+        syncGridShape(grid);
+        state.curves = [];
+        state.animationPath = null;
+        
+        // Reset grid layout data
+        if (state.gridLayout) {
+            state.gridLayout.gridRows = grid.rows;
+            state.gridLayout.gridCols = grid.cols;
+            state.gridLayout.cellSize = null;
+        }
+        
+        console.log("Mirror pattern applied", state.grid);
+        // The grid was replaced wholesale, like loading a document
+        emit('DOCUMENT_LOADED', state);
+        emit('REDRAW');
+        emit('GRID_CHANGED', state.grid);
+        break;
+    }
     default:
         console.warn(`Unknown action: ${action}`);
     }
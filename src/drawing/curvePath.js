@@ -0,0 +1,267 @@
+/**
+ * src/drawing/curvePath.js
+ * Curve geometry shared by the screen drawer and the animation manager.
+ * Converts the grid lines of a curve into canvas points. Where a curve
+ * crosses a seam of the grid topology the path is split into runs: the
+ * first point of every later run carries `moveTo: true`. Points that lie
+ * on a grid line of the curve carry the index of that line in `lineIndex`.
+ *
+ * Exports:
+ *  - getCurveHelperPoints(curve, grid, cellW, cellH, offset): Point[]
+ *  - getCurvePathPoints(curve, grid, cellW, cellH, options): Point[]
+ *  - hasPathBreaks(points): boolean
+ *  - splitPathSteps(curve, points): Array<{index, points}>
+ *  - cutPathGaps(points, gapCenters, gapLength): Point[]
+ */
+import { getSplinePoints, getOpenSplinePoints } from './spline.js';
+
+// Two points closer than this (in cell units) are the same point
+const EPSILON = 1e-9;
+
+function samePoint(a, b) {
+  return Math.abs(a.x - b.x) < EPSILON && Math.abs(a.y - b.y) < EPSILON;
+}
+
+// Midpoint of a grid line in cell units
+function getLineMidpoint(line) {
+  return line.type === 'horizontal'
+    ? { x: line.col + 0.5, y: line.row }
+    : { x: line.col, y: line.row + 0.5 };
+}
+
+// Scale a point in cell units to canvas units, pulled toward a cell center by offset pixels
+function toCanvasPoint(point, center, offset, cellW, cellH) {
+  let x = point.x * cellW;
+  let y = point.y * cellH;
+  if (offset && center) {
+    const dx = (center.x - point.x) * cellW;
+    const dy = (center.y - point.y) * cellH;
+    const length = Math.sqrt(dx * dx + dy * dy);
+    if (length > 0) {
+      x += (dx / length) * offset;
+      y += (dy / length) * offset;
+    }
+  }
+  return { x, y };
+}
+
+/**
+ * Calculate one point per grid line of a curve
+ * @param {Object} curve - The curve object with gridLines and directions
+ * @param {Grid} grid - The grid the curve was built on
+ * @param {number} cellW - Cell width
+ * @param {number} cellH - Cell height
+ * @param {number} [offset=0] - Distance (in pixels) to pull points on mirrors toward the cell the curve bounces into
+ * @returns {Array<{x:number,y:number,lineIndex:number,moveTo?:boolean}>} Points in canvas units
+ */
+export function getCurveHelperPoints(curve, grid, cellW, cellH, offset = 0) {
+  if (!curve || !curve.gridLines || !curve.gridLines.length) return [];
+
+  const points = [];
+  let previous = null; // geometry of the previous step
+
+  curve.gridLines.forEach((line, index) => {
+    const step = grid ? grid.getSegmentGeometry(line.id, curve.directions[index]) : null;
+    const lineOffset = line.isMirror ? offset : 0;
+
+    // Where the previous step ended, in the frame of the cell it crossed
+    const arrival = previous ? previous.to : null;
+    const from = step ? step.from : (arrival || getLineMidpoint(line));
+    const center = step ? step.center : (previous ? previous.center : null);
+
+    // The previous step crossed a seam: finish the run on the far edge
+    if (arrival && !samePoint(arrival, from)) {
+      points.push({ ...toCanvasPoint(arrival, previous.center, lineOffset, cellW, cellH), lineIndex: index });
+      points.push({ ...toCanvasPoint(from, center, lineOffset, cellW, cellH), lineIndex: index, moveTo: true });
+    } else {
+      points.push({ ...toCanvasPoint(from, center, lineOffset, cellW, cellH), lineIndex: index });
+    }
+
+    previous = step;
+  });
+
+  return points;
+}
+
+/**
+ * Check whether a list of points is split into several runs
+ * @param {Array} points
+ * @returns {boolean}
+ */
+export function hasPathBreaks(points) {
+  return points.some(point => point && point.moveTo);
+}
+
+/**
+ * Calculate the points drawn for a curve
+ * Jagged curves connect the grid line midpoints. Curved curves pull the
+ * points on mirrors inward and interpolate a spline through them; each run
+ * between seams is interpolated separately.
+ * @param {Object} curve - The curve object with gridLines and directions
+ * @param {Grid} grid - The grid the curve was built on
+ * @param {number} cellW - Cell width
+ * @param {number} cellH - Cell height
+ * @param {Object} [options]
+ * @param {boolean} [options.curved=false] - Use the curved style
+ * @param {number} [options.offset=0] - Mirror offset in pixels (curved style only)
+ * @param {number} [options.tension=0.5] - Spline tension
+ * @param {number} [options.subdivisions=10] - Spline points per segment
+ * @returns {Array<{x:number,y:number,lineIndex?:number,moveTo?:boolean}>} Points in canvas units
+ */
+export function getCurvePathPoints(curve, grid, cellW, cellH, options = {}) {
+  const { curved = false, offset = 0, tension = 0.5, subdivisions = 10 } = options;
+
+  const helperPoints = getCurveHelperPoints(curve, grid, cellW, cellH, curved ? offset : 0);
+  if (!curved) return helperPoints;
+
+  if (!hasPathBreaks(helperPoints)) {
+    const points = getSplinePoints(helperPoints, tension, subdivisions);
+    // Each control point starts a segment of `subdivisions` points
+    helperPoints.forEach((point, i) => tagPoint(points[i * subdivisions], point));
+    return points;
+  }
+
+  // Split into runs at the seams
+  const runs = [];
+  helperPoints.forEach(point => {
+    if (point.moveTo || runs.length === 0) runs.push([]);
+    runs[runs.length - 1].push({ x: point.x, y: point.y, lineIndex: point.lineIndex });
+  });
+
+  // A closed curve that starts inside a run: join its last run to its first
+  const firstRun = runs[0];
+  const lastRun = runs[runs.length - 1];
+  if (curve.isClosed && runs.length > 1 && samePoint(lastRun[lastRun.length - 1], firstRun[0])) {
+    runs[0] = lastRun.concat(firstRun.slice(1));
+    runs.pop();
+  }
+
+  const points = [];
+  runs.forEach((run, index) => {
+    const runPoints = getOpenSplinePoints(run, tension, subdivisions);
+    run.forEach((point, i) => tagPoint(runPoints[i * subdivisions], point));
+    if (index > 0 && runPoints.length) runPoints[0].moveTo = true;
+    points.push(...runPoints);
+  });
+  return points;
+}
+
+// Copy the grid line index of a control point to the interpolated point on it
+function tagPoint(point, controlPoint) {
+  if (point && controlPoint.lineIndex !== undefined) {
+    point.lineIndex = controlPoint.lineIndex;
+  }
+}
+
+/**
+ * Split the points of a curve into its steps
+ * Step i runs from the point on grid line i to the point on the next grid
+ * line, through one cell quarter. A step that ends on a seam ends on the
+ * far edge, in the frame of the cell it crossed.
+ * @param {Object} curve - The curve the points were calculated for
+ * @param {Array<{x:number,y:number,lineIndex?:number,moveTo?:boolean}>} points - From getCurvePathPoints
+ * @returns {Array<{index:number, points:Array<{x:number,y:number}>}>} The steps, in path order
+ */
+export function splitPathSteps(curve, points) {
+  // The last grid line of a closed curve is its first one again
+  const closingIndex = curve.isClosed ? curve.gridLines.length - 1 : -1;
+  const lineOf = point => (point.lineIndex === closingIndex ? 0 : point.lineIndex);
+
+  const steps = [];
+  let current = null;
+  points.forEach(point => {
+    if (point.lineIndex === undefined) {
+      if (current) current.points.push(point);
+      return;
+    }
+    const line = lineOf(point);
+    if (current && !point.moveTo && line === lineOf({ lineIndex: current.index + 1 })) {
+      current.points.push(point);
+      steps.push(current);
+    }
+    current = { index: line, points: [point] };
+  });
+  return steps;
+}
+
+/**
+ * Cut gaps into a path, centred on some of its points
+ * Used to break the under-strand at the crossings of a link diagram.
+ * Gaps do not extend across the breaks of the path.
+ * @param {Array<{x:number,y:number,moveTo?:boolean}>} points - The path
+ * @param {number[]} gapCenters - Indices of the points to centre gaps on
+ * @param {number} gapLength - Length of each gap, in canvas units
+ * @returns {Array<{x:number,y:number,moveTo?:boolean}>} The visible pieces, each starting with moveTo
+ */
+export function cutPathGaps(points, gapCenters, gapLength) {
+  if (!gapCenters.length || gapLength <= 0 || points.length < 2) return points;
+
+  // Arc length of every point, measured from the start of its run
+  const distances = [];
+  const runs = []; // { start, end } indices, end inclusive
+  points.forEach((point, i) => {
+    if (i === 0 || point.moveTo) {
+      distances.push(0);
+      runs.push({ start: i, end: i });
+    } else {
+      const previous = points[i - 1];
+      distances.push(distances[i - 1] + Math.hypot(point.x - previous.x, point.y - previous.y));
+      runs[runs.length - 1].end = i;
+    }
+  });
+
+  const half = gapLength / 2;
+  const result = [];
+  runs.forEach(({ start, end }) => {
+    const runLength = distances[end];
+
+    // Merged gap intervals inside this run
+    const gaps = gapCenters
+      .filter(i => i >= start && i <= end)
+      .map(i => [distances[i] - half, distances[i] + half])
+      .sort((a, b) => a[0] - b[0]);
+    const merged = [];
+    gaps.forEach(gap => {
+      const last = merged[merged.length - 1];
+      if (last && gap[0] <= last[1]) {
+        last[1] = Math.max(last[1], gap[1]);
+      } else {
+        merged.push(gap.slice());
+      }
+    });
+
+    // Visible intervals between the gaps
+    let from = 0;
+    const visible = [];
+    merged.forEach(([gapStart, gapEnd]) => {
+      if (gapStart > from) visible.push([from, gapStart]);
+      from = Math.max(from, gapEnd);
+    });
+    if (from < runLength) visible.push([from, runLength]);
+
+    let i = start;
+    visible.forEach(([a, b]) => {
+      if (b - a < EPSILON) return;
+      // Advance to the segment containing a
+      while (i < end && distances[i + 1] < a) i++;
+      result.push({ ...pointAtDistance(points, distances, i, end, a), moveTo: true });
+      while (i < end && distances[i + 1] < b) {
+        i++;
+        if (distances[i] > a) result.push(points[i]);
+      }
+      result.push(pointAtDistance(points, distances, i, end, b));
+    });
+  });
+  return result;
+}
+
+// Interpolate the point at arc length d on the segment starting at index i
+function pointAtDistance(points, distances, i, end, d) {
+  if (i >= end) return { x: points[end].x, y: points[end].y };
+  const segmentLength = distances[i + 1] - distances[i];
+  const ratio = segmentLength > 0 ? (d - distances[i]) / segmentLength : 0;
+  return {
+    x: points[i].x + (points[i + 1].x - points[i].x) * ratio,
+    y: points[i].y + (points[i + 1].y - points[i].y) * ratio
+  };
+}
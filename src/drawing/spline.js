@@ -5,6 +5,7 @@
  *
  * Exports:
  *  - getSplinePoints(rawPoints: Point[], tension: number): Point[]
+ *  - getOpenSplinePoints(rawPoints: Point[], tension: number): Point[]
  */
 
 // Linear interpolation between two scalars
@@ -103,3 +104,38 @@ export function getSplinePoints(rawPoints, tension = 0.5, subdivisions = 10) {
   
   return curve;
 }
+
+/**
+ * Generate Catmull-Rom spline points for an open run of rawPoints.
+ * The end tangents are one-sided, and the last control point is included.
+ *
+ * @param {Array<{x:number,y:number}>} rawPoints - Input control points in order.
+ * @param {number} tension - Tension parameter (0 = standard Catmull-Rom, 1 = linear).
+ * @param {number} [subdivisions=10] - Number of interpolated points per segment.
+ * @returns {Array<{x:number,y:number}>} - Array of interpolated points from first to last.
+ */
+export function getOpenSplinePoints(rawPoints, tension = 0.5, subdivisions = 10) {
+  const N = rawPoints.length;
+  if (N < 2) {
+    return rawPoints.slice();
+  }
+
+  // Central differences inside the run, one-sided differences at its ends
+  const tangents = rawPoints.map((point, i) => {
+    const prev = rawPoints[Math.max(i - 1, 0)];
+    const next = rawPoints[Math.min(i + 1, N - 1)];
+    const scale = (i === 0 || i === N - 1) ? 1 : 0.5;
+    return {
+      x: (next.x - prev.x) * (1 - tension) * scale,
+      y: (next.y - prev.y) * (1 - tension) * scale
+    };
+  });
+
+  const curve = [];
+  for (let i = 0; i < N - 1; i++) {
+    curve.push(...segmentSubdivision(rawPoints[i], rawPoints[i + 1], tangents[i], tangents[i + 1], subdivisions));
+  }
+  curve.push({ x: rawPoints[N - 1].x, y: rawPoints[N - 1].y });
+
+  return curve;
+}
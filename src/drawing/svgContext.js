@@ -0,0 +1,166 @@
+/**
+ * src/drawing/svgContext.js
+ * A stand-in for CanvasRenderingContext2D that records SVG instead of pixels.
+ * drawScreen draws into it with the same calls as into the canvas, so the
+ * SVG export has exactly the geometry of the screen. Only what drawScreen
+ * uses is supported: save/restore, translate, paths of lines and arcs,
+ * stroke and fill (nonzero), fillRect, clearRect of the whole drawing,
+ * strokeStyle, fillStyle, lineWidth and setLineDash.
+ *
+ * Exports:
+ *  - SvgContext (new SvgContext(width, height); toSVG(): string)
+ */
+
+// Coordinates are written with at most this many decimals
+const PRECISION = 2;
+
+function formatNumber(value) {
+  return String(Number(value.toFixed(PRECISION)));
+}
+
+function escapeAttribute(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+export class SvgContext {
+  /**
+   * @param {number} width - Drawing width (what ctx.canvas.width reports)
+   * @param {number} height - Drawing height
+   */
+  constructor(width, height) {
+    this.canvas = { width, height };
+    this.elements = [];
+    this.stack = [];
+    this.path = [];
+    this.current = null; // current point of the path, for arcs
+    this.strokeStyle = '#000000';
+    this.fillStyle = '#000000';
+    this.lineWidth = 1;
+    this.lineDash = [];
+    this.offsetX = 0;
+    this.offsetY = 0;
+  }
+
+  save() {
+    const { strokeStyle, fillStyle, lineWidth, lineDash, offsetX, offsetY } = this;
+    this.stack.push({ strokeStyle, fillStyle, lineWidth, lineDash, offsetX, offsetY });
+  }
+
+  restore() {
+    const saved = this.stack.pop();
+    if (saved) Object.assign(this, saved);
+  }
+
+  translate(x, y) {
+    this.offsetX += x;
+    this.offsetY += y;
+  }
+
+  setLineDash(segments) {
+    this.lineDash = segments.slice();
+  }
+
+  beginPath() {
+    this.path = [];
+    this.current = null;
+  }
+
+  moveTo(x, y) {
+    this.addCommand('M', x, y);
+  }
+
+  lineTo(x, y) {
+    this.addCommand(this.current ? 'L' : 'M', x, y);
+  }
+
+  closePath() {
+    if (this.path.length) this.path.push('Z');
+  }
+
+  /**
+   * Add a circular arc; like the canvas, a line joins the current point to its start
+   */
+  arc(x, y, radius, startAngle, endAngle, counterclockwise = false) {
+    const pointAt = angle => [x + radius * Math.cos(angle), y + radius * Math.sin(angle)];
+    this.lineTo(...pointAt(startAngle));
+    const r = formatNumber(radius);
+    const sweep = counterclockwise ? 0 : 1;
+    let span = counterclockwise ? startAngle - endAngle : endAngle - startAngle;
+    if (span >= 2 * Math.PI) {
+      // A full circle is two half circles (a single SVG arc cannot end where it starts)
+      const direction = counterclockwise ? -1 : 1;
+      this.addArc(r, 0, sweep, pointAt(startAngle + direction * Math.PI));
+      this.addArc(r, 0, sweep, pointAt(startAngle));
+      return;
+    }
+    span = ((span % (2 * Math.PI)) + 2 * Math.PI) % (2 * Math.PI);
+    this.addArc(r, span > Math.PI ? 1 : 0, sweep, pointAt(endAngle));
+  }
+
+  stroke() {
+    if (!this.path.length) return;
+    const dash = this.lineDash.length
+      ? ` stroke-dasharray="${this.lineDash.map(formatNumber).join(' ')}"`
+      : '';
+    this.elements.push(
+      `<path d="${this.path.join(' ')}" fill="none" stroke="${escapeAttribute(this.strokeStyle)}"` +
+      ` stroke-width="${formatNumber(this.lineWidth)}"${dash}/>`
+    );
+  }
+
+  fill() {
+    if (!this.path.length) return;
+    this.elements.push(`<path d="${this.path.join(' ')}" fill="${escapeAttribute(this.fillStyle)}"/>`);
+  }
+
+  fillRect(x, y, width, height) {
+    this.elements.push(
+      `<rect x="${formatNumber(x + this.offsetX)}" y="${formatNumber(y + this.offsetY)}"` +
+      ` width="${formatNumber(width)}" height="${formatNumber(height)}" fill="${escapeAttribute(this.fillStyle)}"/>`
+    );
+  }
+
+  /**
+   * Clearing the whole drawing starts it afresh; smaller areas cannot be
+   * erased from a vector drawing and are ignored
+   */
+  clearRect(x, y, width, height) {
+    if (x + this.offsetX <= 0 && y + this.offsetY <= 0 &&
+        x + this.offsetX + width >= this.canvas.width && y + this.offsetY + height >= this.canvas.height) {
+      this.elements = [];
+    }
+  }
+
+  /**
+   * Get the recorded drawing as an SVG document
+   * @returns {string}
+   */
+  toSVG() {
+    const { width, height } = this.canvas;
+    return [
+      `<svg xmlns="http://www.w3.org/2000/svg" width="${formatNumber(width)}" height="${formatNumber(height)}"` +
+      ` viewBox="0 0 ${formatNumber(width)} ${formatNumber(height)}">`,
+      ...this.elements.map(element => `  ${element}`),
+      '</svg>',
+      ''
+    ].join('\n');
+  }
+
+  addCommand(command, x, y) {
+    x += this.offsetX;
+    y += this.offsetY;
+    this.path.push(`${command}${formatNumber(x)} ${formatNumber(y)}`);
+    this.current = { x, y };
+  }
+
+  addArc(r, largeArc, sweep, [x, y]) {
+    x += this.offsetX;
+    y += this.offsetY;
+    this.path.push(`A${r} ${r} 0 ${largeArc} ${sweep} ${formatNumber(x)} ${formatNumber(y)}`);
+    this.current = { x, y };
+  }
+}
@@ -0,0 +1,122 @@
+/**
+ * Curve solver for Mirror Curve application
+ * Searches for interior mirror placements that give a requested number of
+ * curves, e.g. the single closed curve of a monolinear Sona drawing.
+ *
+ * The search is a random local search: it toggles one orbit of lines at a
+ * time (a single line without symmetry) and keeps the change unless it
+ * moves the curve count away from the target. A few worse moves are kept
+ * as well, so the search does not get stuck.
+ */
+
+import { findAllCurves } from './curveStartFinder.js';
+import { GRID_SYMMETRIES, getLineOrbits } from './symmetry.js';
+
+// Chance of keeping a change that moves away from the target
+const ESCAPE_PROBABILITY = 0.1;
+
+// Longest run of the search between two breaks for the page
+const CHUNK_MS = 30;
+
+/**
+ * Find mirrors that give a number of curves
+ * The search runs in chunks so the page stays responsive.
+ * @param {Grid} grid - The starting grid (not modified)
+ * @param {Object} [options]
+ * @param {number} [options.target=1] - Number of curves wanted
+ * @param {string[]} [options.fixed=[]] - IDs of lines that keep their current state
+ * @param {number} [options.maxMirrors=Infinity] - Most interior mirrors allowed
+ * @param {string} [options.symmetry=GRID_SYMMETRIES.NONE] - Symmetry the mirrors must have
+ * @param {number} [options.maxIterations=5000] - Number of changes to try
+ * @param {(fraction: number) => void} [options.onProgress] - Called between
+ *   chunks with the share of the iterations used
+ * @param {AbortSignal} [options.signal] - Aborts the search
+ * @returns {Promise<{solved: boolean, components: number, mirrors: string[], iterations: number}>}
+ *   The interior mirrors of the best placement found and its curve count
+ * @throws {Error} If the constraints contradict each other or the search was aborted
+ */
+export async function solveForCurveCount(grid, {
+  target = 1,
+  fixed = [],
+  maxMirrors = Infinity,
+  symmetry = GRID_SYMMETRIES.NONE,
+  maxIterations = 5000,
+  onProgress,
+  signal
+} = {}) {
+  if (!Number.isInteger(target) || target < 1) {
+    throw new Error('The number of curves must be a positive integer');
+  }
+  const work = grid.clone();
+  const fixedIds = new Set(fixed);
+  const isInterior = id => !work.isBoundaryGridLine(work.getGridLine(id));
+
+  // Lines that change together; orbits with a fixed line are locked
+  const free = [];
+  let mirrorCount = 0;
+  for (const fullOrbit of getLineOrbits(work, symmetry)) {
+    const orbit = fullOrbit.filter(isInterior);
+    if (orbit.length === 0) continue;
+
+    const locked = orbit.filter(id => fixedIds.has(id));
+    const state = work.getGridLine(locked.length ? locked[0] : orbit[0]).isMirror;
+    if (locked.some(id => work.getGridLine(id).isMirror !== state)) {
+      throw new Error(`Fixed lines ${locked.join(', ')} differ, so the ${symmetry} symmetry cannot hold`);
+    }
+    orbit.forEach(id => work.setMirror(id, state));
+    if (state) mirrorCount += orbit.length;
+    if (locked.length === 0) free.push(orbit);
+  }
+
+  // Remove mirrors until the limit is met
+  const removable = free.filter(orbit => work.getGridLine(orbit[0]).isMirror);
+  while (mirrorCount > maxMirrors && removable.length > 0) {
+    const [orbit] = removable.splice(Math.floor(Math.random() * removable.length), 1);
+    orbit.forEach(id => work.setMirror(id, false));
+    mirrorCount -= orbit.length;
+  }
+  if (mirrorCount > maxMirrors) {
+    throw new Error(`The fixed lines already have ${mirrorCount} mirrors, more than ${maxMirrors}`);
+  }
+
+  const countCurves = () => findAllCurves(work).length;
+  const distance = components => Math.abs(components - target);
+
+  let components = countCurves();
+  let best = { components, mirrors: work.toJSON().mirrors };
+  let iterations = 0;
+  const searching = () => components !== target && iterations < maxIterations && free.length > 0;
+  while (searching()) {
+    if (signal && signal.aborted) {
+      throw new Error('Search cancelled');
+    }
+    const chunkStart = Date.now();
+    while (searching() && Date.now() - chunkStart < CHUNK_MS) {
+      iterations++;
+      const orbit = free[Math.floor(Math.random() * free.length)];
+      const adding = !work.getGridLine(orbit[0]).isMirror;
+      if (adding && mirrorCount + orbit.length > maxMirrors) continue;
+
+      orbit.forEach(id => work.setMirror(id, adding));
+      const next = countCurves();
+      if (distance(next) <= distance(components) || Math.random() < ESCAPE_PROBABILITY) {
+        components = next;
+        mirrorCount += adding ? orbit.length : -orbit.length;
+        if (distance(components) < distance(best.components)) {
+          best = { components, mirrors: work.toJSON().mirrors };
+        }
+      } else {
+        orbit.forEach(id => work.setMirror(id, !adding));
+      }
+    }
+    if (onProgress) onProgress(iterations / maxIterations);
+    if (searching()) await new Promise(resolve => setTimeout(resolve, 0));
+  }
+
+  return {
+    solved: best.components === target,
+    components: best.components,
+    mirrors: best.mirrors,
+    iterations
+  };
+}
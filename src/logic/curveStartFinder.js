@@ -1,8 +1,10 @@
 /**
  * CurveFinder - Simple helper functions to find mirror curves on a grid
+ * Starts come from the grid's worklist of unused directions
+ * (Grid.findUnusedStart), so finding all curves takes time linear in the
+ * size of the grid.
  */
 import { MirrorCurve } from '../logic/mirrorCurve.js';
-import { Grid } from '../logic/grid.js';
 
 /**
  * Find the next available curve in a grid
@@ -10,38 +12,19 @@ import { Grid } from '../logic/grid.js';
  * @returns {MirrorCurve|null} The next available curve or null if none
  */
 export function findNextCurve(grid) {
-  console.log('Looking for the next available curve...');
-  
-  // Find any grid line that has a mirror and an unused direction
-  for (const [id, gridLine] of grid.gridLines.entries()) {
- 
-    // Get unused directions for this grid line
-    const unusedDirections = grid.getUnusedDirections(id);
-    
-    // If there are unused directions, create a curve with the first one
-    if (unusedDirections.length > 0) {
-      const direction = unusedDirections[0];
-      console.log(`Starting curve from ${id} in direction ${direction}`);
-      
-      // Create a new curve
-      const curve = new MirrorCurve(gridLine, direction);
-      
-      try {
-          // Build the curve
-        const success = curve.buildCurve(grid);
-        
-        if (success) {
-          console.log(`Built curve with ${curve.gridLines.length} segments (${curve.isClosed ? 'closed loop' : 'open path'})`);
-          return curve;
-        }
-      } catch (error) {
-        console.error(`Error building curve from ${id} in direction ${direction}:`, error);
-        // Continue with the next grid line
-      }
+  // Find the first grid line with an unused direction
+  let start;
+  while ((start = grid.findUnusedStart()) !== null) {
+    const { gridLine, direction } = start;
+
+    // Create a new curve
+    const curve = new MirrorCurve(gridLine, direction);
+    if (curve.buildCurve(grid)) {
+      return curve;
     }
+    // A curve that could not be built still used its start; try the next one
   }
-  
-  console.log('No more curves available');
+
   return null;
 }
 
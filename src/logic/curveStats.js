@@ -0,0 +1,89 @@
+/**
+ * Curve statistics for Mirror Curve application
+ * Summarizes the curves of a grid: components, lengths, reflections and crossings
+ */
+
+import { findAllCurves } from './curveStartFinder.js';
+
+/**
+ * Get the grid lines a curve passes through, each visit once
+ * (a closed curve ends on its starting line, which is not a second visit)
+ * @param {MirrorCurve} curve
+ * @returns {Object[]} Grid lines in order of traversal
+ */
+export function getCurveVisits(curve) {
+  return curve.isClosed ? curve.gridLines.slice(0, -1) : curve.gridLines.slice();
+}
+
+/**
+ * Compute statistics for all curves of a grid
+ * Works on a copy of the grid, so curves already traced on the grid are
+ * not disturbed.
+ *
+ * Every visit to a mirror is a reflection. Every other grid line is passed
+ * by exactly two strands and is a crossing: a self-crossing when both
+ * strands belong to the same curve, a mutual crossing otherwise.
+ *
+ * @param {Grid} grid - The grid to analyse
+ * @returns {{
+ *   components: number,
+ *   curves: Array<{length: number, reflections: number, crossings: number, selfCrossings: number, isClosed: boolean}>,
+ *   selfCrossings: number,
+ *   mutualCrossings: number,
+ *   lengthHistogram: Array<{length: number, count: number}>
+ * }} Curves are listed in the order findAllCurves traces them; length is
+ *   the number of edges (cell diagonals) of the curve.
+ */
+export function computeCurveStats(grid) {
+  const curves = findAllCurves(grid.clone());
+
+  // Which curves pass through each crossing
+  const crossingCurves = new Map(); // grid line id -> curve indices
+  const curveStats = curves.map((curve, index) => {
+    const visits = getCurveVisits(curve);
+    let reflections = 0;
+    for (const gridLine of visits) {
+      if (gridLine.isMirror) {
+        reflections++;
+      } else {
+        if (!crossingCurves.has(gridLine.id)) crossingCurves.set(gridLine.id, []);
+        crossingCurves.get(gridLine.id).push(index);
+      }
+    }
+    return {
+      length: curve.isClosed ? visits.length : visits.length - 1,
+      reflections,
+      crossings: 0,
+      selfCrossings: 0,
+      isClosed: curve.isClosed
+    };
+  });
+
+  let selfCrossings = 0;
+  let mutualCrossings = 0;
+  for (const indices of crossingCurves.values()) {
+    const distinct = [...new Set(indices)];
+    if (distinct.length === 1) {
+      selfCrossings++;
+      curveStats[distinct[0]].selfCrossings++;
+    } else {
+      mutualCrossings++;
+    }
+    distinct.forEach(index => curveStats[index].crossings++);
+  }
+
+  // Number of curves of each length, shortest first
+  const counts = new Map();
+  curveStats.forEach(({ length }) => counts.set(length, (counts.get(length) || 0) + 1));
+  const lengthHistogram = [...counts.entries()]
+    .sort((a, b) => a[0] - b[0])
+    .map(([length, count]) => ({ length, count }));
+
+  return {
+    components: curves.length,
+    curves: curveStats,
+    selfCrossings,
+    mutualCrossings,
+    lengthHistogram
+  };
+}
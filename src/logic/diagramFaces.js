@@ -0,0 +1,238 @@
+/**
+ * Faces of a mirror curve diagram for Mirror Curve application
+ * The curves and mirrors cut the grid into faces. Every cell has a face
+ * around its centre dot, closed off by the four curve segments through the
+ * cell. Everything else is made of corner pieces, one per unit square (cell
+ * quarter): the triangle between a cell corner and the curve segment
+ * through that quarter. Corner pieces join across grid lines that are not
+ * mirrors, and along a mirror, where the curve bounces off without touching
+ * it. Corner pieces and centre faces always alternate across a curve, which
+ * gives the checkerboard colouring.
+ */
+
+import { GRID_LATTICES } from './grid.js';
+
+export const FACE_FILLS = {
+  NONE: 'none',
+  CHECKERBOARD: 'checkerboard', // two colours, alternating across the curves
+  PALETTE: 'palette'            // faces on either side of a curve or mirror differ
+};
+
+// Colouring attempts tried before the palette is declared too small
+const PALETTE_SEARCH_LIMIT = 100000;
+
+/**
+ * Compute the faces of the diagram of a grid
+ * Only the mirrors are needed: every unit square is crossed by exactly one
+ * curve segment, whichever curves it belongs to.
+ * @param {Grid} grid - A square lattice grid
+ * @returns {{count: number, cellFaces: Array<Array<number|null>>,
+ *   squareFaces: Array<Array<number|null>>, isCenter: boolean[], neighbours: number[][]}}
+ *   cellFaces[row][col] is the centre face of a cell, squareFaces[row][col]
+ *   the face of the corner piece of a unit square (rows and cols count unit
+ *   squares); both are null outside the active cells. Faces are neighbours
+ *   when a curve or a mirror separates them.
+ * @throws {Error} If the grid is not on the square lattice
+ */
+export function computeDiagramFaces(grid) {
+  if (grid.lattice !== GRID_LATTICES.SQUARE) {
+    throw new Error(`Faces are only computed on the square lattice, not the ${grid.lattice} one`);
+  }
+
+  const rows = grid.rows * 2;
+  const cols = grid.cols * 2;
+  const parent = new Int32Array(rows * cols);
+  for (let i = 0; i < parent.length; i++) parent[i] = i;
+  const find = node => {
+    while (parent[node] !== node) {
+      parent[node] = parent[parent[node]];
+      node = parent[node];
+    }
+    return node;
+  };
+  const union = (p, q) => {
+    parent[find(p)] = find(q);
+  };
+
+  const isActive = (row, col) => grid.isCellActive(row >> 1, col >> 1);
+
+  // Unit squares facing each other across a line; `mirror` tells whether they are walled off
+  const across = [];
+  for (let row = 0; row < rows; row++) {
+    for (let col = 0; col < cols; col++) {
+      if (!isActive(row, col)) continue;
+      // Look up and to the left from the squares on the top and left sides of a cell
+      if (row % 2 === 0) {
+        const other = resolveSquare(grid, row - 1, col);
+        if (isActive(other.row, other.col)) {
+          const line = grid.getGridLine(grid.canonicalGridLineId('h', row / 2, col >> 1));
+          across.push({ square: row * cols + col, other: other.row * cols + other.col, mirror: line.isMirror });
+        }
+      }
+      if (col % 2 === 0) {
+        const other = resolveSquare(grid, row, col - 1);
+        if (isActive(other.row, other.col)) {
+          const line = grid.getGridLine(grid.canonicalGridLineId('v', row >> 1, col / 2));
+          across.push({ square: row * cols + col, other: other.row * cols + other.col, mirror: line.isMirror });
+        }
+      }
+    }
+  }
+  across.forEach(({ square, other, mirror }) => {
+    if (!mirror) union(square, other);
+  });
+
+  // Along a mirror the corner pieces at both ends of it meet behind the curve
+  for (let row = 0; row < grid.rows; row++) {
+    for (let col = 0; col < grid.cols; col++) {
+      if (!grid.isCellActive(row, col)) continue;
+      const top = 2 * row * cols;
+      const bottom = (2 * row + 1) * cols;
+      const left = 2 * col;
+      const right = 2 * col + 1;
+      const sides = [
+        ['h', row, col, top + left, top + right],
+        ['h', row + 1, col, bottom + left, bottom + right],
+        ['v', row, col, top + left, bottom + left],
+        ['v', row, col + 1, top + right, bottom + right]
+      ];
+      for (const [type, lineRow, lineCol, p, q] of sides) {
+        const line = grid.getGridLine(grid.canonicalGridLineId(type, lineRow, lineCol));
+        if (line && line.isMirror) union(p, q);
+      }
+    }
+  }
+
+  // Number the faces: corner pieces first, then the centre faces
+  const faceOfRoot = new Map();
+  const isCenter = [];
+  const squareFaces = Array.from({ length: rows }, () => new Array(cols).fill(null));
+  for (let row = 0; row < rows; row++) {
+    for (let col = 0; col < cols; col++) {
+      if (!isActive(row, col)) continue;
+      const root = find(row * cols + col);
+      if (!faceOfRoot.has(root)) {
+        faceOfRoot.set(root, isCenter.length);
+        isCenter.push(false);
+      }
+      squareFaces[row][col] = faceOfRoot.get(root);
+    }
+  }
+  const cellFaces = Array.from({ length: grid.rows }, (_, row) =>
+    Array.from({ length: grid.cols }, (_, col) => {
+      if (!grid.isCellActive(row, col)) return null;
+      isCenter.push(true);
+      return isCenter.length - 1;
+    }));
+
+  // A centre face touches the corner pieces of its cell; corner pieces touch across mirrors
+  const neighbourSets = isCenter.map(() => new Set());
+  const link = (p, q) => {
+    if (p === q) return; // a mirror inside a face
+    neighbourSets[p].add(q);
+    neighbourSets[q].add(p);
+  };
+  for (let row = 0; row < rows; row++) {
+    for (let col = 0; col < cols; col++) {
+      if (squareFaces[row][col] !== null) link(squareFaces[row][col], cellFaces[row >> 1][col >> 1]);
+    }
+  }
+  across.forEach(({ square, other, mirror }) => {
+    if (mirror) {
+      link(squareFaces[Math.floor(square / cols)][square % cols], squareFaces[Math.floor(other / cols)][other % cols]);
+    }
+  });
+
+  return {
+    count: isCenter.length,
+    cellFaces,
+    squareFaces,
+    isCenter,
+    neighbours: neighbourSets.map(set => [...set])
+  };
+}
+
+// Map unit square coordinates one step outside the rectangle across a seam
+function resolveSquare(grid, row, col) {
+  const cell = grid.resolveCell(Math.floor(row / 2), Math.floor(col / 2));
+  let subRow = row - 2 * Math.floor(row / 2);
+  const subCol = col - 2 * Math.floor(col / 2);
+  if (cell.flipped) subRow = 1 - subRow;
+  return { row: 2 * cell.row + subRow, col: 2 * cell.col + subCol };
+}
+
+/**
+ * Colour the faces of a diagram
+ * The checkerboard gives the centre faces colour 1 and the others colour 0.
+ * The palette colouring is a DSatur search: it repeatedly colours the face
+ * with the most differently coloured neighbours, and backtracks when a face
+ * has no colour left.
+ * @param {Object} faces - From computeDiagramFaces
+ * @param {Object} [options]
+ * @param {string} [options.fill=FACE_FILLS.CHECKERBOARD] - FACE_FILLS.CHECKERBOARD or FACE_FILLS.PALETTE
+ * @param {number} [options.colours=2] - Palette size (palette fill only)
+ * @returns {number[]} The colour index of every face
+ * @throws {Error} If the fill is unknown or the palette is too small
+ */
+export function colourDiagramFaces(faces, { fill = FACE_FILLS.CHECKERBOARD, colours = 2 } = {}) {
+  if (fill === FACE_FILLS.CHECKERBOARD) {
+    return faces.isCenter.map(isCenter => (isCenter ? 1 : 0));
+  }
+  if (fill !== FACE_FILLS.PALETTE) {
+    throw new Error(`Unknown face fill: ${fill}`);
+  }
+
+  const { count, neighbours } = faces;
+  const k = colours;
+  const colour = new Int32Array(count).fill(-1);
+  // usage[face * k + c]: neighbours of the face with colour c
+  const usage = new Int32Array(count * k);
+  const saturation = new Int32Array(count);
+
+  const assign = (face, c) => {
+    colour[face] = c;
+    for (const other of neighbours[face]) {
+      if (usage[other * k + c]++ === 0) saturation[other]++;
+    }
+  };
+  const unassign = face => {
+    const c = colour[face];
+    colour[face] = -1;
+    for (const other of neighbours[face]) {
+      if (--usage[other * k + c] === 0) saturation[other]--;
+    }
+  };
+  const pick = () => {
+    let best = -1;
+    for (let face = 0; face < count; face++) {
+      if (colour[face] !== -1) continue;
+      if (best === -1 || saturation[face] > saturation[best] ||
+          (saturation[face] === saturation[best] && neighbours[face].length > neighbours[best].length)) {
+        best = face;
+      }
+    }
+    return best;
+  };
+
+  const coloured = [];
+  let attempts = 0;
+  let face = pick();
+  let next = 0;
+  while (face !== -1) {
+    while (next < k && usage[face * k + next] > 0) next++;
+    if (next < k) {
+      assign(face, next);
+      coloured.push(face);
+      face = pick();
+      next = 0;
+    } else {
+      if (!coloured.length || ++attempts > PALETTE_SEARCH_LIMIT) {
+        throw new Error(`The faces cannot be coloured with ${k} colours; add colours to the palette`);
+      }
+      face = coloured.pop();
+      next = colour[face] + 1;
+      unassign(face);
+    }
+  }
+  return Array.from(colour);
+}
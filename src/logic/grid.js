@@ -2,6 +2,23 @@
  * Grid class for Mirror Curve application
  * Manages the grid structure and mirrors without any rendering dependencies
  */
+
+// Surface topologies: which opposite edges of the rectangle are glued together
+export const GRID_TOPOLOGIES = {
+  PLANE: 'plane',       // no gluing, the border is a mirror
+  CYLINDER: 'cylinder', // left and right edges glued
+  TORUS: 'torus',       // left/right and top/bottom edges glued
+  KLEIN: 'klein',       // left/right glued with a flip, top/bottom glued
+  MOBIUS: 'mobius'      // left and right edges glued with a flip
+};
+
+// Tilings that grids can be built on (see latticeGrid.js for the others)
+export const GRID_LATTICES = {
+  SQUARE: 'square',
+  TRIANGULAR: 'triangular',
+  HEXAGONAL: 'hexagonal'
+};
+
 export class Grid {
   // Direction constants
   static NW = 0;
@@ -13,28 +30,52 @@ export class Grid {
    * Create a new Grid
    * @param {number} rows - Number of rows in the grid
    * @param {number} cols - Number of columns in the grid
+   * @param {Object} [options]
+   * @param {boolean[][]|null} [options.mask] - Cell mask, mask[row][col] is true for active cells.
+   *   Omit (or pass null) for a full rectangle.
+   * @param {string} [options.topology] - One of GRID_TOPOLOGIES (default plane)
    */
-  constructor(rows, cols) {
+  constructor(rows, cols, options = {}) {
     this.rows = rows;
     this.cols = cols;
+    this.lattice = GRID_LATTICES.SQUARE;
+    this.mask = options.mask ? options.mask.map(maskRow => maskRow.map(Boolean)) : null;
+    this.topology = options.topology || GRID_TOPOLOGIES.PLANE;
+    if (!Object.values(GRID_TOPOLOGIES).includes(this.topology)) {
+      throw new Error(`Unknown topology: ${this.topology}`);
+    }
+
+    // Gluing of opposite edges. Seams are represented by a single grid line:
+    // the left column of vertical lines and the top row of horizontal lines.
+    const { CYLINDER, TORUS, KLEIN, MOBIUS } = GRID_TOPOLOGIES;
+    this.wrapCols = [CYLINDER, TORUS, KLEIN, MOBIUS].includes(this.topology);
+    this.flipCols = [KLEIN, MOBIUS].includes(this.topology);
+    this.wrapRows = [TORUS, KLEIN].includes(this.topology);
+
     this.gridLines = new Map(); // Map of all grid lines
-    this.usedDirections = new Map(); // Map of used directions for each grid line
+    this.revision = 0; // Counts mirror changes, so derived data can be cached
     
     // Initialize grid lines and connections
     this.initializeGridLines();
     this.computeConnections();
+    this.buildLineIndex(); // Numbered lines and typed navigation tables for curve tracing
     this.placeBoundaryMirrors(); // Place mirrors on all boundary grid lines
     this.initializeUsedDirections(); // Mark appropriate directions as used
   }
 
   /**
    * Create all horizontal and vertical grid lines
+   * Only lines bordering at least one active cell are created, and each
+   * seam is created once (the bottom row and right column of lines are
+   * images of the top row and left column when those edges are glued).
    * Stores results in this.gridLines
    */
   initializeGridLines() {
     // Create horizontal grid lines
-    for (let row = 0; row <= this.rows; row++) {
+    const lastRow = this.wrapRows ? this.rows - 1 : this.rows;
+    for (let row = 0; row <= lastRow; row++) {
       for (let col = 0; col < this.cols; col++) {
+        if (!this.touchesActiveCell({ type: 'horizontal', row, col })) continue;
         const id = this.generateGridLineId('h', row, col);
         this.gridLines.set(id, {
           id: id,
@@ -42,19 +83,23 @@ export class Grid {
           row: row,
           col: col,
           isMirror: false,
+          crossingFlipped: false, // over/under swapped from the alternating default
           connections: { 
             [Grid.NW]: null, 
             [Grid.NE]: null, 
             [Grid.SW]: null, 
             [Grid.SE]: null 
-          }
+          },
+          twists: {} // Direction changes when a connection crosses a flipped seam
         });
       }
     }
     
     // Create vertical grid lines
+    const lastCol = this.wrapCols ? this.cols - 1 : this.cols;
     for (let row = 0; row < this.rows; row++) {
-      for (let col = 0; col <= this.cols; col++) {
+      for (let col = 0; col <= lastCol; col++) {
+        if (!this.touchesActiveCell({ type: 'vertical', row, col })) continue;
         const id = this.generateGridLineId('v', row, col);
         this.gridLines.set(id, {
           id: id,
@@ -62,166 +107,416 @@ export class Grid {
           row: row,
           col: col,
           isMirror: false,
+          crossingFlipped: false, // over/under swapped from the alternating default
           connections: { 
             [Grid.NW]: null, 
             [Grid.NE]: null, 
             [Grid.SW]: null, 
             [Grid.SE]: null 
-          }
+          },
+          twists: {} // Direction changes when a connection crosses a flipped seam
         });
       }
     }
   }
 
+  /**
+   * Check whether a cell is part of the grid domain
+   * Cells outside the rows × cols rectangle are never active.
+   * @param {number} row - Cell row
+   * @param {number} col - Cell column
+   * @returns {boolean} True if the cell is active
+   */
+  isCellActive(row, col) {
+    if (row < 0 || row >= this.rows || col < 0 || col >= this.cols) return false;
+    if (!this.mask) return true;
+    return Boolean(this.mask[row] && this.mask[row][col]);
+  }
+
+  /**
+   * Map cell coordinates one step outside the rectangle across a seam
+   * @param {number} row - Cell row (may be -1 or rows)
+   * @param {number} col - Cell column (may be -1 or cols)
+   * @returns {{row: number, col: number, flipped: boolean}} The glued cell;
+   *   flipped is true when the seam reverses the vertical orientation
+   */
+  resolveCell(row, col) {
+    let flipped = false;
+    if (this.wrapCols && (col === -1 || col === this.cols)) {
+      col = col === -1 ? this.cols - 1 : 0;
+      if (this.flipCols) {
+        row = this.rows - 1 - row;
+        flipped = true;
+      }
+    }
+    if (this.wrapRows && (row === -1 || row === this.rows)) {
+      row = row === -1 ? this.rows - 1 : 0;
+    }
+    return { row, col, flipped };
+  }
+
+  /**
+   * Get the two cells on either side of a grid line
+   * Horizontal lines separate the cell above from the cell below,
+   * vertical lines separate the cell to the left from the cell to the right.
+   * Cells across a seam are returned as their glued counterparts.
+   * @param {Object} gridLine - The grid line
+   * @returns {Array<{row: number, col: number}>} The two neighbouring cells
+   */
+  getAdjacentCells(gridLine) {
+    const { type, row, col } = gridLine;
+    const [before, after] = type === 'horizontal'
+      ? [this.resolveCell(row - 1, col), this.resolveCell(row, col)]
+      : [this.resolveCell(row, col - 1), this.resolveCell(row, col)];
+    return [
+      { row: before.row, col: before.col },
+      { row: after.row, col: after.col }
+    ];
+  }
+
+  /**
+   * Check whether at least one side of a grid line is an active cell
+   * @param {Object} gridLine - Object with type, row and col
+   * @returns {boolean}
+   */
+  touchesActiveCell(gridLine) {
+    return this.getAdjacentCells(gridLine).some(cell => this.isCellActive(cell.row, cell.col));
+  }
+
   /**
    * Place mirrors on all boundary grid lines
+   * Every edge between an active and an inactive cell is a boundary mirror.
    */
   placeBoundaryMirrors() {
-    // Top boundary (horizontal lines at row 0)
-    for (let col = 0; col < this.cols; col++) {
-      const id = this.generateGridLineId('h', 0, col);
-      this.setMirror(id, true);
+    for (const [id, gridLine] of this.gridLines.entries()) {
+      if (this.isBoundaryGridLine(gridLine)) {
+        this.setMirror(id, true);
+      }
     }
-    
-    // Bottom boundary (horizontal lines at row = this.rows)
-    for (let col = 0; col < this.cols; col++) {
-      const id = this.generateGridLineId('h', this.rows, col);
-      this.setMirror(id, true);
+  }
+
+  /**
+   * Find the cell crossed when leaving a grid line in a direction
+   * @param {Object} gridLine - The grid line
+   * @param {number} direction - Direction (use Grid.NW, Grid.NE, etc.)
+   * @returns {{row: number, col: number, direction: number}|null} The cell and the
+   *   direction of travel in that cell's orientation, or null if the cell is not active
+   */
+  getTraversedCell(gridLine, direction) {
+    const { type, row, col } = gridLine;
+    const north = direction === Grid.NW || direction === Grid.NE;
+    const east = direction === Grid.NE || direction === Grid.SE;
+
+    // Cell above/below a horizontal line, left/right of a vertical line
+    const cell = type === 'horizontal'
+      ? this.resolveCell(north ? row - 1 : row, col)
+      : this.resolveCell(row, east ? col : col - 1);
+
+    if (!this.isCellActive(cell.row, cell.col)) return null;
+
+    return {
+      row: cell.row,
+      col: cell.col,
+      direction: cell.flipped ? this.flipVertical(direction) : direction
+    };
+  }
+
+  /**
+   * Mirror a direction top to bottom (NW <-> SW, NE <-> SE)
+   * @param {number} direction - Direction (use Grid.NW, Grid.NE, etc.)
+   * @returns {number} Flipped direction
+   */
+  flipVertical(direction) {
+    switch (direction) {
+      case Grid.NW: return Grid.SW;
+      case Grid.NE: return Grid.SE;
+      case Grid.SW: return Grid.NW;
+      case Grid.SE: return Grid.NE;
+      default: return direction;
     }
-    
-    // Left boundary (vertical lines at col 0)
-    for (let row = 0; row < this.rows; row++) {
-      const id = this.generateGridLineId('v', row, 0);
-      this.setMirror(id, true);
+  }
+
+  /**
+   * Get the ID of the grid line stored for an edge position
+   * Edges on the bottom row or right column of a glued rectangle are
+   * images of the seam lines on the top row or left column.
+   * @param {string} type - 'h' for horizontal, 'v' for vertical
+   * @param {number} row - Row index
+   * @param {number} col - Column index
+   * @returns {string} ID of the grid line at that position
+   */
+  canonicalGridLineId(type, row, col) {
+    if (type === 'v' && this.wrapCols && col === this.cols) {
+      return this.generateGridLineId('v', this.flipCols ? this.rows - 1 - row : row, 0);
     }
-    
-    // Right boundary (vertical lines at col = this.cols)
-    for (let row = 0; row < this.rows; row++) {
-      const id = this.generateGridLineId('v', row, this.cols);
-      this.setMirror(id, true);
+    if (type === 'h' && this.wrapRows && row === this.rows) {
+      return this.generateGridLineId('h', 0, col);
+    }
+    return this.generateGridLineId(type, row, col);
+  }
+
+  /**
+   * Get every position at which a grid line is drawn
+   * Seam lines appear on both glued edges of the rectangle.
+   * @param {Object} gridLine - The grid line
+   * @returns {Array<{row: number, col: number}>} Edge positions (same type as the line)
+   */
+  getLinePlacements(gridLine) {
+    const placements = [{ row: gridLine.row, col: gridLine.col }];
+    if (this.isSeamGridLine(gridLine)) {
+      if (gridLine.type === 'vertical') {
+        const row = this.flipCols ? this.rows - 1 - gridLine.row : gridLine.row;
+        placements.push({ row, col: this.cols });
+      } else {
+        placements.push({ row: this.rows, col: gridLine.col });
+      }
     }
+    return placements;
+  }
+
+  /**
+   * Check if a grid line lies on a glued edge of the rectangle
+   * @param {Object} gridLine - The grid line to check
+   * @returns {boolean} True if the line is a seam
+   */
+  isSeamGridLine(gridLine) {
+    if (!gridLine) return false;
+    return gridLine.type === 'vertical'
+      ? this.wrapCols && gridLine.col === 0
+      : this.wrapRows && gridLine.row === 0;
   }
 
   /**
    * Pre-compute connections between all grid lines
-   * This creates a navigation map for all four directions
+   * This creates a navigation map for all four directions.
+   * Moving from a line in a direction crosses one cell; the connection is
+   * null when that cell is not active. Connections across a flipped seam
+   * also record the new direction of travel in gridLine.twists.
    */
   computeConnections() {
-    // For each grid line
+    const directions = [Grid.NW, Grid.NE, Grid.SW, Grid.SE];
+
     for (const gridLine of this.gridLines.values()) {
-      const { type, row, col } = gridLine;
-      
-      if (type === 'horizontal') {
-        // For horizontal lines
-        // NW connection - vertical line to the left
-        if (col >= 0 && row > 0) {
-          gridLine.connections[Grid.NW] = this.generateGridLineId('v', row - 1, col);
-        }
-        
-        // NE connection - vertical line to the right
-        if (row > 0) {
-          gridLine.connections[Grid.NE] = this.generateGridLineId('v', row - 1, col + 1);
-        }
-        
-        // SW connection - vertical line to the left (below)
-        if (col >= 0 && row < this.rows) {
-          gridLine.connections[Grid.SW] = this.generateGridLineId('v', row, col);
-        }
-        
-        // SE connection - vertical line to the right (below)
-        if (row < this.rows) {
-          gridLine.connections[Grid.SE] = this.generateGridLineId('v', row, col + 1);
-        }
-      } else {
-        // For vertical lines
-        // NW connection - horizontal line above
-        if (row >= 0 && col > 0) {
-          gridLine.connections[Grid.NW] = this.generateGridLineId('h', row, col - 1);
-        }
-        
-        // NE connection - horizontal line above (to the right)
-        if (row >= 0 && col < this.cols) {
-          gridLine.connections[Grid.NE] = this.generateGridLineId('h', row, col);
+      gridLine.twists = {};
+
+      for (const direction of directions) {
+        const cell = this.getTraversedCell(gridLine, direction);
+        if (!cell) {
+          gridLine.connections[direction] = null;
+          continue;
         }
-        
-        // SW connection - horizontal line below
-        if (row < this.rows && col > 0) {
-          gridLine.connections[Grid.SW] = this.generateGridLineId('h', row + 1, col - 1);
+
+        const north = cell.direction === Grid.NW || cell.direction === Grid.NE;
+        const east = cell.direction === Grid.NE || cell.direction === Grid.SE;
+        let arrival = cell.direction;
+        let nextId;
+
+        if (gridLine.type === 'horizontal') {
+          // The curve ends on the vertical line on the left or right side of the cell
+          const col = east ? cell.col + 1 : cell.col;
+          nextId = this.canonicalGridLineId('v', cell.row, col);
+          if (col === this.cols && this.wrapCols && this.flipCols) {
+            arrival = this.flipVertical(arrival);
+          }
+        } else {
+          // The curve ends on the horizontal line above or below the cell
+          nextId = this.canonicalGridLineId('h', north ? cell.row : cell.row + 1, cell.col);
         }
-        
-        // SE connection - horizontal line below (to the right)
-        if (row < this.rows && col < this.cols) {
-          gridLine.connections[Grid.SE] = this.generateGridLineId('h', row + 1, col);
+
+        gridLine.connections[direction] = nextId;
+        if (arrival !== direction) {
+          gridLine.twists[direction] = arrival;
         }
       }
-      
-      // Validate connections (remove those that point outside the grid)
-      //for (const direction in gridLine.connections) {
-      //  const connId = gridLine.connections[direction];
-      //  if (connId !== null && !this.gridLines.has(connId)) {
-      //    gridLine.connections[direction] = null;
-      //  }
-      //}
     }
   }
 
   /**
-   * Initialize the tracking of used directions
-   * For boundary mirrors, marks the specific directions as used according to their position
+   * Number the grid lines and tabulate their connections
+   * Curve tracing on large grids walks these typed arrays instead of the
+   * string-keyed connections. Line i is this.lines[i] (gridLine.index is i);
+   * slot i * directionCount + d describes leaving line i in direction d:
+   *  - nextLines: index of the next line, -1 when the move leaves the grid
+   *  - arrivals: direction of travel at the next line
+   *  - reflections: direction after reflection in line i (as a mirror)
+   * Used directions are kept as one bit per direction in usedMasks.
    */
-  initializeUsedDirections() {
-    // Initialize empty sets for all grid lines
-    for (const [id, gridLine] of this.gridLines.entries()) {
-      this.usedDirections.set(id, new Set());
-    }
-    
-    // Set used directions for boundary mirrors as specified
-    for (const [id, gridLine] of this.gridLines.entries()) {
-      // If it's not a boundary line, all directions are initially available
-      if (!this.isBoundaryGridLine(gridLine)) {
-        continue;
+  buildLineIndex() {
+    const directions = this.getDirections();
+    const count = Math.max(...directions) + 1;
+    this.lines = [...this.gridLines.values()];
+    this.lines.forEach((gridLine, index) => { gridLine.index = index; });
+    this.directionCount = count;
+
+    const size = this.lines.length * count;
+    this.nextLines = new Int32Array(size).fill(-1);
+    this.arrivals = new Int8Array(size);
+    this.reflections = new Int8Array(size);
+    this.opposites = new Int8Array(count);
+    directions.forEach(direction => { this.opposites[direction] = this.getOppositeDirection(direction); });
+
+    this.lines.forEach((gridLine, index) => {
+      for (const direction of directions) {
+        const slot = index * count + direction;
+        const nextId = gridLine.connections[direction];
+        if (nextId != null) this.nextLines[slot] = this.gridLines.get(nextId).index;
+        const twist = gridLine.twists[direction];
+        this.arrivals[slot] = twist === undefined ? direction : twist;
+        this.reflections[slot] = this.reflectDirection(gridLine, direction);
       }
-      
-      // Mark the appropriate directions as used based on the boundary position
-      if (gridLine.type === 'horizontal') {
-        if (gridLine.row === 0) {
-          // Horizontal top - NW NE are used
-          this.usedDirections.get(id).add(Grid.NW);
-          this.usedDirections.get(id).add(Grid.NE);
-        } else if (gridLine.row === this.rows) {
-          // Horizontal bottom - SW SE are used
-          this.usedDirections.get(id).add(Grid.SW);
-          this.usedDirections.get(id).add(Grid.SE);
-        }
-      } else { // vertical
-        if (gridLine.col === 0) {
-          // Vertical left - SW NW are used
-          this.usedDirections.get(id).add(Grid.SW);
-          this.usedDirections.get(id).add(Grid.NW);
-        } else if (gridLine.col === this.cols) {
-          // Vertical right - NE SE are used
-          this.usedDirections.get(id).add(Grid.NE);
-          this.usedDirections.get(id).add(Grid.SE);
+    });
+
+    this.usedMasks = new Uint16Array(this.lines.length);
+    this.nextStart = 0; // lines before this one have no unused direction
+  }
+
+  /**
+   * Get the directions a curve can travel in on this lattice
+   * @returns {number[]} Direction constants (Grid.NW, Grid.NE, Grid.SW, Grid.SE)
+   */
+  getDirections() {
+    return [Grid.NW, Grid.NE, Grid.SW, Grid.SE];
+  }
+
+  /**
+   * Get the reverse of a direction
+   * @param {number} direction - Direction (use Grid.NW, Grid.NE, etc.)
+   * @returns {number} The direction pointing the other way
+   */
+  getOppositeDirection(direction) {
+    switch (direction) {
+      case Grid.NW: return Grid.SE;
+      case Grid.NE: return Grid.SW;
+      case Grid.SW: return Grid.NE;
+      case Grid.SE: return Grid.NW;
+      default: return direction;
+    }
+  }
+
+  /**
+   * Get the direction of travel after moving from a grid line
+   * The direction only changes when the move crosses a flipped seam.
+   * @param {string} lineId - Starting grid line ID
+   * @param {number} direction - Direction (use Grid.NW, Grid.NE, etc.)
+   * @returns {number} Direction of travel at the next grid line
+   */
+  getArrivalDirection(lineId, direction) {
+    const gridLine = this.getGridLine(lineId);
+    if (!gridLine || gridLine.twists[direction] === undefined) return direction;
+    return gridLine.twists[direction];
+  }
+
+  /**
+   * Get the geometry of one step of a curve, in cell units
+   * Positions are given in the frame of the crossed cell, so a step
+   * across a seam ends on the far edge of the rectangle.
+   * @param {string} lineId - Starting grid line ID
+   * @param {number} direction - Direction (use Grid.NW, Grid.NE, etc.)
+   * @returns {{from: {x, y}, to: {x, y}, center: {x, y}}|null} Start and end
+   *   midpoints and the center of the crossed cell, or null if the step leaves the grid
+   */
+  getSegmentGeometry(lineId, direction) {
+    const gridLine = this.getGridLine(lineId);
+    if (!gridLine) return null;
+    const cell = this.getTraversedCell(gridLine, direction);
+    if (!cell) return null;
+
+    const north = cell.direction === Grid.NW || cell.direction === Grid.NE;
+    const east = cell.direction === Grid.NE || cell.direction === Grid.SE;
+
+    // The starting line is the cell side opposite to the direction of travel
+    const from = gridLine.type === 'horizontal'
+      ? { x: cell.col + 0.5, y: north ? cell.row + 1 : cell.row }
+      : { x: east ? cell.col : cell.col + 1, y: cell.row + 0.5 };
+
+    return {
+      from,
+      to: { x: from.x + (east ? 0.5 : -0.5), y: from.y + (north ? -0.5 : 0.5) },
+      center: { x: cell.col + 0.5, y: cell.row + 0.5 }
+    };
+  }
+
+  /**
+   * Get the size of the drawing of the grid, in cell units
+   * @returns {{width: number, height: number}}
+   */
+  getBounds() {
+    return { width: this.cols, height: this.rows };
+  }
+
+  /**
+   * Get the segments drawn for a grid line, in cell units
+   * Seam lines are drawn on both glued edges.
+   * @param {Object} gridLine - The grid line
+   * @returns {Array<[{x, y}, {x, y}]>} One segment per placement
+   */
+  getLineSegments(gridLine) {
+    return this.getLinePlacements(gridLine).map(({ row, col }) => [
+      { x: col, y: row },
+      gridLine.type === 'horizontal' ? { x: col + 1, y: row } : { x: col, y: row + 1 }
+    ]);
+  }
+
+  /**
+   * Get the grid points (corners of active cells), in cell units
+   * @returns {Array<{x: number, y: number}>}
+   */
+  getGridPoints() {
+    const points = [];
+    for (let r = 0; r <= this.rows; r++) {
+      for (let c = 0; c <= this.cols; c++) {
+        if (this.isCellActive(r - 1, c - 1) || this.isCellActive(r - 1, c) ||
+            this.isCellActive(r, c - 1) || this.isCellActive(r, c)) {
+          points.push({ x: c, y: r });
         }
       }
     }
+    return points;
+  }
+
+  /**
+   * Get the centers of the active cells, in cell units
+   * @returns {Array<{x: number, y: number}>}
+   */
+  getCellCenters() {
+    const centers = [];
+    for (let r = 0; r < this.rows; r++) {
+      for (let c = 0; c < this.cols; c++) {
+        if (this.isCellActive(r, c)) centers.push({ x: c + 0.5, y: r + 0.5 });
+      }
+    }
+    return centers;
+  }
+
+  /**
+   * Initialize the tracking of used directions
+   * Directions that lead out of the active domain (the outward side of
+   * boundary mirrors) are marked as used
+   */
+  initializeUsedDirections() {
+    const count = this.directionCount;
+    const directions = this.getDirections();
+    this.lines.forEach((gridLine, index) => {
+      let used = 0;
+      for (const direction of directions) {
+        if (this.nextLines[index * count + direction] === -1) used |= 1 << direction;
+      }
+      this.usedMasks[index] = used;
+    });
+    this.nextStart = 0;
   }
 
   /**
    * Check if a grid line is on the boundary
+   * A boundary line has an active cell on exactly one side.
    * @param {Object} gridLine - The grid line to check
    * @returns {boolean} True if the grid line is on the boundary
    */
   isBoundaryGridLine(gridLine) {
     if (!gridLine) return false;
     
-    const { type, row, col } = gridLine;
-    
-    if (type === 'horizontal') {
-      return row === 0 || row === this.rows;
-    } else { // vertical
-      return col === 0 || col === this.cols;
-    }
+    const [a, b] = this.getAdjacentCells(gridLine);
+    return this.isCellActive(a.row, a.col) !== this.isCellActive(b.row, b.col);
   }
 
   /**
@@ -245,14 +540,14 @@ export class Grid {
     if (!gridLine) return null;
     
     // Make sure direction is valid
-    if (![Grid.NW, Grid.NE, Grid.SW, Grid.SE].includes(direction)) {
+    if (!this.getDirections().includes(direction)) {
       return null;
     }
     
     const nextLineId = gridLine.connections[direction];
     
     // Check if this move would leave the grid
-    if (nextLineId === null) {
+    if (nextLineId == null) {
       throw new Error("Curve left the grid");
     }
     
@@ -266,8 +561,20 @@ export class Grid {
    */
   setMirror(lineId, isMirror) {
     const gridLine = this.getGridLine(lineId);
-    if (gridLine) {
+    if (gridLine && gridLine.isMirror !== isMirror) {
       gridLine.isMirror = isMirror;
+      this.revision++;
+    }
+  }
+
+  /**
+   * Swap the over- and under-strand of a crossing (a grid line that is not a mirror)
+   * @param {string} lineId - Grid line ID
+   */
+  toggleCrossing(lineId) {
+    const gridLine = this.getGridLine(lineId);
+    if (gridLine && !gridLine.isMirror) {
+      gridLine.crossingFlipped = !gridLine.crossingFlipped;
     }
   }
 
@@ -286,6 +593,16 @@ export class Grid {
       return incomingDirection;
     }
     
+    return this.reflectDirection(gridLine, incomingDirection);
+  }
+
+  /**
+   * Reflect a direction in a grid line, whether or not it is a mirror
+   * @param {Object} gridLine - The grid line
+   * @param {number} incomingDirection - Direction (use Grid.NW, Grid.NE, etc.)
+   * @returns {number} Reflected direction
+   */
+  reflectDirection(gridLine, incomingDirection) {
     // Calculate reflection based on line orientation and incoming direction
     // For horizontal mirrors: NW <-> SW, NE <-> SE
     // For vertical mirrors: NW <-> NE, SW <-> SE
@@ -309,14 +626,31 @@ export class Grid {
     }
   }
 
+  /**
+   * Used directions of every grid line, in the form they had before usedMasks
+   * A copy built from usedMasks: changing it does not mark directions (use
+   * markDirectionUsed).
+   * @returns {Map<string, Set<number>>} Grid line ID -> used directions
+   */
+  get usedDirections() {
+    const directions = this.getDirections();
+    const used = new Map();
+    this.lines.forEach((gridLine, index) => {
+      const mask = this.usedMasks[index];
+      used.set(gridLine.id, new Set(directions.filter(direction => mask & (1 << direction))));
+    });
+    return used;
+  }
+
   /**
    * Mark a direction as used for a grid line
    * @param {string} gridLineId - Grid line ID
    * @param {number} direction - Direction (use Grid.NW, Grid.NE, etc.)
    */
   markDirectionUsed(gridLineId, direction) {
-    if (this.usedDirections.has(gridLineId)) {
-      this.usedDirections.get(gridLineId).add(direction);
+    const gridLine = this.getGridLine(gridLineId);
+    if (gridLine) {
+      this.usedMasks[gridLine.index] |= 1 << direction;
     }
   }
 
@@ -327,10 +661,11 @@ export class Grid {
    * @returns {boolean} True if the direction is already used
    */
   isDirectionUsed(gridLineId, direction) {
-    if (!this.usedDirections.has(gridLineId)) {
+    const gridLine = this.getGridLine(gridLineId);
+    if (!gridLine) {
       return false;
     }
-    return this.usedDirections.get(gridLineId).has(direction);
+    return (this.usedMasks[gridLine.index] & (1 << direction)) !== 0;
   }
 
   /**
@@ -339,27 +674,38 @@ export class Grid {
    * @returns {number[]} Array of available directions
    */
   getUnusedDirections(gridLineId) {
-    const allDirections = [Grid.NW, Grid.NE, Grid.SW, Grid.SE];
+    const allDirections = this.getDirections();
     const gridLine = this.getGridLine(gridLineId);
     
-    if (!gridLine || !this.usedDirections.has(gridLineId)) {
+    if (!gridLine) {
       return [];
     }
     
-    const usedDirs = this.usedDirections.get(gridLineId);
-    const validDirs = allDirections.filter(dir => {
-      // Filter out directions where connection is null
-      //if (gridLine.connections[dir] === null) {
-        //return false;
-      //}
-      // Filter out directions that are already used
-      if (usedDirs.has(dir)) {
-        return false;
+    // Filter out directions that are already used
+    const used = this.usedMasks[gridLine.index];
+    return allDirections.filter(dir => (used & (1 << dir)) === 0);
+  }
+
+  /**
+   * Find the first grid line (in index order) with an unused direction
+   * Used directions are only ever added until the next reset, so the
+   * search resumes where the previous one stopped instead of rescanning
+   * the whole grid.
+   * @returns {{gridLine: Object, direction: number}|null} The start and its
+   *   lowest unused direction, or null when every direction is used
+   */
+  findUnusedStart() {
+    const full = (1 << this.directionCount) - 1;
+    while (this.nextStart < this.lines.length) {
+      const unused = ~this.usedMasks[this.nextStart] & full;
+      if (unused) {
+        // Lowest set bit
+        const direction = 31 - Math.clz32(unused & -unused);
+        return { gridLine: this.lines[this.nextStart], direction };
       }
-      return true;
-    });
-    
-    return validDirs;
+      this.nextStart++;
+    }
+    return null;
   }
 
   /**
@@ -381,11 +727,11 @@ export class Grid {
     if (!gridLine) return true;
     
     // Make sure direction is valid
-    if (![Grid.NW, Grid.NE, Grid.SW, Grid.SE].includes(direction)) {
+    if (!this.getDirections().includes(direction)) {
       return true;
     }
     
-    return gridLine.connections[direction] === null;
+    return gridLine.connections[direction] == null;
   }
 
   /**
@@ -412,11 +758,7 @@ export class Grid {
 
 	for (const [id, gridLine] of this.gridLines.entries()) {
 	    // skip boundary lines
-	    const { type, row, col } = this.parseGridLineId(id);
-	    const isBoundary =
-		  (type === 'h' && (row === 0 || row === this.rows)) ||
-		  (type === 'v' && (col === 0 || col === this.cols));
-	    if (isBoundary) continue;
+	    if (this.isBoundaryGridLine(gridLine)) continue;
 
 	    // with probability p, flip its mirror status
 	    if (Math.random() < p) {
@@ -425,6 +767,96 @@ export class Grid {
 	}
     }
 
+  /**
+   * Serialize the grid to a plain object
+   * Boundary mirrors are implied by the mask and topology, so only the
+   * interior mirrors are listed, along with the flipped crossings.
+   * @returns {Object} { rows, cols, topology, mask, mirrors, flippedCrossings }
+   */
+  toJSON() {
+    const mirrors = [];
+    const flippedCrossings = [];
+    for (const gridLine of this.gridLines.values()) {
+      if (gridLine.isMirror && !this.isBoundaryGridLine(gridLine)) {
+        mirrors.push(gridLine.id);
+      }
+      if (!gridLine.isMirror && gridLine.crossingFlipped) {
+        flippedCrossings.push(gridLine.id);
+      }
+    }
+    return {
+      rows: this.rows,
+      cols: this.cols,
+      topology: this.topology,
+      mask: this.mask ? this.mask.map(maskRow => maskRow.slice()) : null,
+      mirrors,
+      flippedCrossings
+    };
+  }
+
+  /**
+   * Create a grid from the output of toJSON
+   * @param {Object} data - Serialized grid
+   * @returns {Grid} The restored grid
+   * @throws {Error} If the data is malformed
+   */
+  static fromJSON(data) {
+    if (!data || typeof data !== 'object') {
+      throw new Error('Invalid grid: expected an object');
+    }
+    const {
+      rows, cols, topology = GRID_TOPOLOGIES.PLANE, mask = null, mirrors = [], flippedCrossings = []
+    } = data;
+    if (!Number.isInteger(rows) || rows < 1 || !Number.isInteger(cols) || cols < 1) {
+      throw new Error('Invalid grid: rows and cols must be positive integers');
+    }
+    if (!Object.values(GRID_TOPOLOGIES).includes(topology)) {
+      throw new Error(`Invalid grid: unknown topology "${topology}"`);
+    }
+    if (mask !== null) {
+      const validMask = Array.isArray(mask) && mask.length === rows &&
+        mask.every(maskRow => Array.isArray(maskRow) && maskRow.length === cols &&
+          maskRow.every(cell => typeof cell === 'boolean'));
+      if (!validMask) {
+        throw new Error(`Invalid grid: mask must be a ${rows}x${cols} array of booleans`);
+      }
+    }
+    if (!Array.isArray(mirrors)) {
+      throw new Error('Invalid grid: mirrors must be an array of grid line IDs');
+    }
+    if (!Array.isArray(flippedCrossings)) {
+      throw new Error('Invalid grid: flippedCrossings must be an array of grid line IDs');
+    }
+
+    // Subclasses (the other lattices) are restored through this as well
+    const grid = new this(rows, cols, { mask, topology });
+    for (const id of mirrors) {
+      const gridLine = typeof id === 'string' ? grid.getGridLine(id) : null;
+      if (!gridLine) {
+        throw new Error(`Invalid grid: no grid line "${id}"`);
+      }
+      if (!grid.isBoundaryGridLine(gridLine)) {
+        grid.setMirror(id, true);
+      }
+    }
+    for (const id of flippedCrossings) {
+      const gridLine = typeof id === 'string' ? grid.getGridLine(id) : null;
+      if (!gridLine || gridLine.isMirror) {
+        throw new Error(`Invalid grid: no crossing "${id}"`);
+      }
+      gridLine.crossingFlipped = true;
+    }
+    return grid;
+  }
+
+  /**
+   * Create an independent copy of the grid (mirrors included, used directions reset)
+   * @returns {Grid} The copy
+   */
+  clone() {
+    return this.constructor.fromJSON(this.toJSON());
+  }
+
   /**
    * Generate a standard grid line ID
    * @param {string} type - 'h' for horizontal, 'v' for vertical
@@ -0,0 +1,212 @@
+/**
+ * Grid resizing for Mirror Curve application
+ * Builds a grid of another size from an existing one, keeping its pattern.
+ * Resizing adds or removes rows and columns at the sides and copies the
+ * interior mirrors (and flipped crossings) that still fit. Scaling refines
+ * every cell into a block of cells wired so that the curves keep their
+ * number and, in the plane, the link they form.
+ */
+
+import { Grid, GRID_LATTICES } from './grid.js';
+import { findAllCurves } from './curveStartFinder.js';
+import { isOverStrand } from './linkDiagram.js';
+
+export const RESIZE_ANCHORS = {
+  TOP_LEFT: 'top-left', // rows and columns come and go at the bottom and right
+  CENTER: 'center'      // split between opposite sides, the odd one at the bottom or right
+};
+
+export const GRID_SIDES = ['top', 'bottom', 'left', 'right'];
+
+export const SCALE_FACTORS = [2, 3];
+
+// Most cells a scaled grid may have: the largest grid the Rows and Columns
+// inputs make (40x40), which the app can draw and undo quickly
+export const MAX_SCALED_CELLS = 1600;
+
+// How a cell is refined. Each side of the block is split into factor edges:
+// the one at index port(row, col) of the old line takes over that line
+// (mirror or crossing) and the others are mirrors. Inside the block, the
+// listed edges are mirrors and the rest are crossings, which leaves one path
+// through the block between each pair of neighbouring sides, as the curve
+// takes through a cell. Halves cannot be split evenly, so with factor 2 the
+// blocks alternate like a checkerboard between the two halves of the sides.
+const SCALE_BLOCKS = {
+  2: { port: (row, col) => (row + col) % 2, mirrors: ['h_1_0'] },
+  3: { port: () => 1, mirrors: ['h_1_0', 'v_0_2', 'h_2_2', 'v_2_1'] } // a pinwheel
+};
+
+/**
+ * Add or remove rows and columns at the sides of a grid
+ * Lines keep their mirror and crossing state when they are still interior
+ * lines of the new grid; lines that become boundary lines are mirrors
+ * anyway. On glued grids the seams stay where they were relative to the
+ * old cells, and when cells are cut off at the start of a glued edge, the
+ * line along the cut becomes the seam.
+ * @param {Grid} grid - A square lattice grid (not modified)
+ * @param {Object} margins - Rows or columns to add (positive) or remove
+ *   (negative) at each side
+ * @param {number} [margins.top=0]
+ * @param {number} [margins.bottom=0]
+ * @param {number} [margins.left=0]
+ * @param {number} [margins.right=0]
+ * @param {Object} [options]
+ * @param {boolean[][]|null} [options.mask] - Mask of the new grid; by default
+ *   the old mask is moved along and new cells are active
+ * @returns {Grid} The new grid
+ * @throws {Error} If the grid is not on the square lattice or would have no rows or columns
+ */
+export function extendGrid(grid, { top = 0, bottom = 0, left = 0, right = 0 } = {}, options = {}) {
+  checkSquareLattice(grid, 'resized');
+  const rows = grid.rows + top + bottom;
+  const cols = grid.cols + left + right;
+  if (rows < 1 || cols < 1) {
+    throw new Error(`A grid needs at least one row and one column, not ${rows}x${cols}`);
+  }
+
+  let mask = options.mask;
+  if (mask === undefined) {
+    mask = grid.mask && Array.from({ length: rows }, (_, row) =>
+      Array.from({ length: cols }, (_, col) => {
+        const oldRow = row - top;
+        const oldCol = col - left;
+        const inside = oldRow >= 0 && oldRow < grid.rows && oldCol >= 0 && oldCol < grid.cols;
+        return !inside || grid.mask[oldRow][oldCol];
+      }));
+  }
+
+  const resized = new Grid(rows, cols, { mask, topology: grid.topology });
+  const { mirrors, flippedCrossings } = grid.toJSON();
+  const moveLine = id => {
+    const { type, row, col } = grid.parseGridLineId(id);
+    const movedRow = row + top;
+    const movedCol = col + left;
+    if (movedRow < 0 || movedRow > rows || movedCol < 0 || movedCol > cols) return null;
+    // The far side of a seam is an image of the seam, which the cut at the near side fills
+    const movedId = resized.generateGridLineId(type, movedRow, movedCol);
+    if (resized.canonicalGridLineId(type, movedRow, movedCol) !== movedId) return null;
+    const gridLine = resized.getGridLine(movedId);
+    return gridLine && !resized.isBoundaryGridLine(gridLine) ? gridLine : null;
+  };
+  mirrors.forEach(id => {
+    const gridLine = moveLine(id);
+    if (gridLine) resized.setMirror(gridLine.id, true);
+  });
+  flippedCrossings.forEach(id => {
+    const gridLine = moveLine(id);
+    if (gridLine && !gridLine.isMirror) gridLine.crossingFlipped = true;
+  });
+  return resized;
+}
+
+/**
+ * Resize a grid to a number of rows and columns
+ * @param {Grid} grid - A square lattice grid (not modified)
+ * @param {number} rows - Rows of the new grid
+ * @param {number} cols - Columns of the new grid
+ * @param {Object} [options]
+ * @param {string} [options.anchor=RESIZE_ANCHORS.TOP_LEFT] - One of RESIZE_ANCHORS
+ * @param {boolean[][]|null} [options.mask] - Mask of the new grid (see extendGrid)
+ * @returns {Grid} The new grid
+ * @throws {Error} If the anchor is unknown, or as extendGrid
+ */
+export function resizeGrid(grid, rows, cols, { anchor = RESIZE_ANCHORS.TOP_LEFT, mask } = {}) {
+  if (!Object.values(RESIZE_ANCHORS).includes(anchor)) {
+    throw new Error(`Unknown resize anchor: ${anchor}`);
+  }
+  const addedRows = rows - grid.rows;
+  const addedCols = cols - grid.cols;
+  const top = anchor === RESIZE_ANCHORS.CENTER ? Math.trunc(addedRows / 2) : 0;
+  const left = anchor === RESIZE_ANCHORS.CENTER ? Math.trunc(addedCols / 2) : 0;
+  return extendGrid(grid, {
+    top,
+    bottom: addedRows - top,
+    left,
+    right: addedCols - left
+  }, { mask });
+}
+
+/**
+ * Refine every cell of a grid into a factor x factor block
+ * The curve through a block follows one path between each pair of
+ * neighbouring sides, which cross each other; their crossings are set so
+ * that the paths met first along the curves lie on top (and a path crosses
+ * itself going down). In the plane such a pile of paths can be lifted apart
+ * and straightened, so the scaled curves form the same link as the old ones.
+ * On glued topologies only the number of curves is kept: a curve that wraps
+ * around a seam meets its paths in an order that need not lift apart, and
+ * the crossings can tie it into another knot.
+ * @param {Grid} grid - A square lattice grid (not modified)
+ * @param {number} factor - One of SCALE_FACTORS
+ * @returns {Grid} The scaled grid
+ * @throws {Error} If the factor is not supported, the grid is not on the
+ *   square lattice, factor 2 does not fit the seams, or the scaled grid
+ *   would have more than MAX_SCALED_CELLS cells
+ */
+export function scaleGrid(grid, factor) {
+  const block = SCALE_BLOCKS[factor];
+  if (!block) {
+    throw new Error(`Grids are scaled by ${SCALE_FACTORS.join(' or ')}, not ${factor}`);
+  }
+  checkSquareLattice(grid, 'scaled');
+  // The checkerboard of factor 2 blocks must close up across the seams
+  if (factor === 2 && ((grid.wrapCols && grid.cols % 2) || ((grid.wrapRows || grid.flipCols) && grid.rows % 2))) {
+    throw new Error(`Scaling a ${grid.topology} grid by 2 needs an even number of rows and columns along its glued edges`);
+  }
+  const rows = grid.rows * factor;
+  const cols = grid.cols * factor;
+  if (rows * cols > MAX_SCALED_CELLS) {
+    throw new Error(`Scaling by ${factor} would make a ${rows}x${cols} grid, more than ${MAX_SCALED_CELLS} cells`);
+  }
+
+  const mask = grid.mask && Array.from({ length: rows }, (_, row) =>
+    Array.from({ length: cols }, (_, col) =>
+      grid.mask[Math.floor(row / factor)][Math.floor(col / factor)]));
+  const scaled = new Grid(rows, cols, { mask, topology: grid.topology });
+  const blockMirrors = new Set(block.mirrors);
+
+  const isBlockSide = ({ type, row, col }) =>
+    type === 'horizontal' ? row % factor === 0 : col % factor === 0;
+
+  for (const gridLine of scaled.gridLines.values()) {
+    if (scaled.isBoundaryGridLine(gridLine)) continue;
+    const { type, row, col } = gridLine;
+    const t = type === 'horizontal' ? 'h' : 'v';
+    if (!isBlockSide(gridLine)) {
+      scaled.setMirror(gridLine.id, blockMirrors.has(`${t}_${row % factor}_${col % factor}`));
+      continue;
+    }
+    const along = type === 'horizontal' ? col : row;
+    const oldRow = Math.floor(row / factor);
+    const oldCol = Math.floor(col / factor);
+    const old = grid.getGridLine(grid.canonicalGridLineId(t, oldRow, oldCol));
+    if (along % factor === block.port(oldRow, oldCol) && old && !old.isMirror) {
+      gridLine.crossingFlipped = old.crossingFlipped;
+    } else {
+      scaled.setMirror(gridLine.id, true);
+    }
+  }
+
+  // Stack the paths inside the blocks in the order the curves meet them.
+  // Curves are read from a block side, so that no path is split in two.
+  const stacked = new Set();
+  findAllCurves(scaled.clone()).forEach(curve => {
+    const visits = curve.isClosed ? curve.gridLines.length - 1 : curve.gridLines.length;
+    const first = curve.isClosed ? Math.max(0, curve.gridLines.findIndex(isBlockSide)) : 0;
+    for (let n = 0; n < visits; n++) {
+      const i = (first + n) % visits;
+      const gridLine = scaled.getGridLine(curve.gridLines[i].id);
+      if (gridLine.isMirror || isBlockSide(gridLine) || stacked.has(gridLine.id)) continue;
+      stacked.add(gridLine.id);
+      gridLine.crossingFlipped = false;
+      gridLine.crossingFlipped = !isOverStrand(gridLine, curve.directions[i]);
+    }
+  });
+  return scaled;
+}
+
+function checkSquareLattice(grid, verb) {
+  if (grid.lattice !== GRID_LATTICES.SQUARE) {
+    throw new Error(`Only square lattice grids can be ${verb}, not ${grid.lattice} ones`);
+  }
+}
@@ -0,0 +1,88 @@
+/**
+ * Grid shapes for Mirror Curve application
+ * Builds cell masks for the non-rectangular dot patterns used in Sona drawings
+ */
+
+// Shape names
+export const GRID_SHAPES = {
+  RECTANGLE: 'rectangle',
+  CROSS: 'cross',
+  L_SHAPE: 'l-shape',
+  RING: 'ring',
+  CUSTOM: 'custom' // a mask that is none of the above, from a mirror pattern or document
+};
+
+/**
+ * Build a cell mask for a named shape
+ * @param {string} shape - One of GRID_SHAPES (CUSTOM has no mask of its own and gives null)
+ * @param {number} rows - Number of rows in the grid
+ * @param {number} cols - Number of columns in the grid
+ * @returns {boolean[][]|null} mask[row][col] (true = active cell), or null for a full rectangle
+ */
+export function createShapeMask(shape, rows, cols) {
+  let isActive;
+
+  switch (shape) {
+    case GRID_SHAPES.CROSS: {
+      // Plus sign: the middle third of the rows and of the columns
+      const rowBand = Math.floor(rows / 3);
+      const colBand = Math.floor(cols / 3);
+      isActive = (row, col) =>
+        (row >= rowBand && row < rows - rowBand) ||
+        (col >= colBand && col < cols - colBand);
+      break;
+    }
+    case GRID_SHAPES.L_SHAPE: {
+      // Left half of the columns plus the bottom half of the rows
+      const armWidth = Math.ceil(cols / 2);
+      const armHeight = Math.ceil(rows / 2);
+      isActive = (row, col) => col < armWidth || row >= rows - armHeight;
+      break;
+    }
+    case GRID_SHAPES.RING: {
+      // Frame with a rectangular hole in the middle
+      const thickness = Math.max(1, Math.floor(Math.min(rows, cols) / 3));
+      isActive = (row, col) =>
+        row < thickness || row >= rows - thickness ||
+        col < thickness || col >= cols - thickness;
+      break;
+    }
+    case GRID_SHAPES.RECTANGLE:
+    default:
+      return null;
+  }
+
+  const mask = [];
+  for (let row = 0; row < rows; row++) {
+    const maskRow = [];
+    for (let col = 0; col < cols; col++) {
+      maskRow.push(isActive(row, col));
+    }
+    mask.push(maskRow);
+  }
+  return mask;
+}
+
+/**
+ * Find the named shape whose mask a grid has
+ * @param {boolean[][]|null} mask - Mask of the grid (null for a full rectangle)
+ * @param {number} rows - Number of rows in the grid
+ * @param {number} cols - Number of columns in the grid
+ * @param {string} [preferred] - Shape to try first, since small grids can
+ *   have the mask of several shapes
+ * @returns {string} One of GRID_SHAPES, CUSTOM if no named shape matches
+ */
+export function findGridShape(mask, rows, cols, preferred = GRID_SHAPES.RECTANGLE) {
+  const named = Object.values(GRID_SHAPES).filter(shape => shape !== GRID_SHAPES.CUSTOM);
+  const candidates = named.includes(preferred) ? [preferred, ...named] : named;
+  const isActive = (cells, row, col) => !cells || cells[row][col];
+  return candidates.find(shape => {
+    const shapeMask = createShapeMask(shape, rows, cols);
+    for (let row = 0; row < rows; row++) {
+      for (let col = 0; col < cols; col++) {
+        if (isActive(mask, row, col) !== isActive(shapeMask, row, col)) return false;
+      }
+    }
+    return true;
+  }) || GRID_SHAPES.CUSTOM;
+}
@@ -0,0 +1,291 @@
+/**
+ * Kauffman bracket and Jones polynomial for Mirror Curve application
+ * Evaluates the state sum of the link diagram drawn by the curves of a grid.
+ *
+ * Smoothing a crossing joins its four arms in pairs. One smoothing joins
+ * the arms on each side of the grid line, exactly what a mirror on that line
+ * would do; the other joins the arms across it, which no grid line can
+ * express. So instead of re-tracing curves on modified grids, the curves
+ * are traced once and every state is counted with a union-find over the
+ * arcs between crossings.
+ */
+
+import { Grid, GRID_LATTICES } from './grid.js';
+import { findAllCurves } from './curveStartFinder.js';
+import { isCrossing, isOverStrand } from './linkDiagram.js';
+import { PLANAR_TOPOLOGIES, getCrossingSign } from './linkInvariants.js';
+
+// The state sum has 2^n terms; refuse diagrams larger than this by default
+export const MAX_BRACKET_CROSSINGS = 20;
+
+// Arm pairings of a smoothing (arms are indexed by direction)
+const PAIRS_ALONG_LINE = { horizontal: [[Grid.NW, Grid.NE], [Grid.SW, Grid.SE]], vertical: [[Grid.NW, Grid.SW], [Grid.NE, Grid.SE]] };
+const PAIRS_ACROSS_LINE = { horizontal: [[Grid.NW, Grid.SW], [Grid.NE, Grid.SE]], vertical: [[Grid.NW, Grid.NE], [Grid.SW, Grid.SE]] };
+
+const OPPOSITE = { [Grid.NW]: Grid.SE, [Grid.NE]: Grid.SW, [Grid.SW]: Grid.NE, [Grid.SE]: Grid.NW };
+
+/**
+ * Trace the curves of a grid into an abstract diagram
+ * @param {Grid} grid - The grid (not modified)
+ * @returns {{
+ *   crossings: Array<{gridLineId: string, aPairs: number[][], bPairs: number[][], sign: number}>,
+ *   arcs: Array<[number, number]>,
+ *   freeLoops: number,
+ *   writhe: number
+ * }} Arms are numbered crossing * 4 + direction; each arc joins the arm a
+ *   strand leaves through to the arm it enters the next crossing through
+ * @throws {Error} If the grid is not on the square lattice, its diagram is
+ *   not planar or a curve is not closed
+ */
+export function buildCrossingDiagram(grid) {
+  if (grid.lattice !== GRID_LATTICES.SQUARE) {
+    throw new Error(`The Kauffman bracket is only computed on the square lattice, not the ${grid.lattice} one`);
+  }
+  if (!PLANAR_TOPOLOGIES.includes(grid.topology)) {
+    throw new Error(`The Kauffman bracket needs a planar diagram; the grid is a ${grid.topology}`);
+  }
+  const curves = findAllCurves(grid.clone());
+
+  const crossingIndex = new Map(); // grid line id -> index
+  const crossings = [];
+  const lineTypes = [];
+  const passes = []; // per crossing: [{ direction, over }]
+  const visitsPerCurve = curves.map(curve => {
+    if (!curve.isClosed) {
+      throw new Error('The Kauffman bracket needs closed curves');
+    }
+    const visits = [];
+    for (let i = 0; i < curve.gridLines.length - 1; i++) {
+      const gridLine = curve.gridLines[i];
+      if (!isCrossing(gridLine)) continue;
+      if (!crossingIndex.has(gridLine.id)) {
+        crossingIndex.set(gridLine.id, crossings.length);
+        crossings.push({ gridLineId: gridLine.id });
+        lineTypes.push(gridLine.type);
+        passes.push([]);
+      }
+      const index = crossingIndex.get(gridLine.id);
+      const direction = curve.directions[i];
+      passes[index].push({ direction, over: isOverStrand(gridLine, direction) });
+      visits.push({ index, direction });
+    }
+    return visits;
+  });
+
+  // A-smoothing joins the regions swept when the over-strand turns counterclockwise
+  let writhe = 0;
+  crossings.forEach((crossing, index) => {
+    const over = passes[index].find(pass => pass.over);
+    const under = passes[index].find(pass => !pass.over);
+    const overAlongNeSw = over.direction === Grid.NE || over.direction === Grid.SW;
+    // A vertical pairing keeps the arms on the left and on the right together
+    const verticalPairs = lineTypes[index] === 'horizontal'
+      ? PAIRS_ACROSS_LINE.horizontal
+      : PAIRS_ALONG_LINE.vertical;
+    const horizontalPairs = lineTypes[index] === 'horizontal'
+      ? PAIRS_ALONG_LINE.horizontal
+      : PAIRS_ACROSS_LINE.vertical;
+    crossing.aPairs = overAlongNeSw ? verticalPairs : horizontalPairs;
+    crossing.bPairs = overAlongNeSw ? horizontalPairs : verticalPairs;
+    crossing.sign = getCrossingSign(over.direction, under.direction);
+    writhe += crossing.sign;
+  });
+
+  // Arcs between consecutive crossing visits
+  const arcs = [];
+  let freeLoops = 0;
+  visitsPerCurve.forEach(visits => {
+    if (visits.length === 0) {
+      freeLoops++;
+      return;
+    }
+    visits.forEach((visit, k) => {
+      const next = visits[(k + 1) % visits.length];
+      arcs.push([visit.index * 4 + visit.direction, next.index * 4 + OPPOSITE[next.direction]]);
+    });
+  });
+
+  return { crossings, arcs, freeLoops, writhe };
+}
+
+/**
+ * Count the states of a diagram by number of B-smoothings and loops
+ * Processes states [start, end); the counts are added to `counts`.
+ * @param {Object} diagram - From buildCrossingDiagram
+ * @param {number} start - First state (bit i set = B-smoothing at crossing i)
+ * @param {number} end - One past the last state
+ * @param {number[][]} counts - counts[bSmoothings][loops], updated in place
+ */
+export function countStates(diagram, start, end, counts) {
+  const { crossings, arcs, freeLoops } = diagram;
+  const n = crossings.length;
+  const arcCount = arcs.length;
+
+  // Arc of every arm
+  const armArc = new Int32Array(n * 4);
+  arcs.forEach(([from, to], arc) => {
+    armArc[from] = arc;
+    armArc[to] = arc;
+  });
+  // Arcs joined by each smoothing
+  const aPairs = crossings.map((crossing, i) =>
+    crossing.aPairs.map(([p, q]) => [armArc[i * 4 + p], armArc[i * 4 + q]]));
+  const bPairs = crossings.map((crossing, i) =>
+    crossing.bPairs.map(([p, q]) => [armArc[i * 4 + p], armArc[i * 4 + q]]));
+
+  const parent = new Int32Array(arcCount);
+  const find = node => {
+    while (parent[node] !== node) {
+      parent[node] = parent[parent[node]];
+      node = parent[node];
+    }
+    return node;
+  };
+
+  for (let state = start; state < end; state++) {
+    for (let i = 0; i < arcCount; i++) parent[i] = i;
+
+    let merges = 0;
+    let bSmoothings = 0;
+    for (let i = 0; i < n; i++) {
+      const isB = (state >> i) & 1;
+      bSmoothings += isB;
+      for (const [p, q] of isB ? bPairs[i] : aPairs[i]) {
+        const rootP = find(p);
+        const rootQ = find(q);
+        if (rootP !== rootQ) {
+          parent[rootP] = rootQ;
+          merges++;
+        }
+      }
+    }
+
+    const loops = arcCount - merges + freeLoops;
+    counts[bSmoothings][loops] = (counts[bSmoothings][loops] || 0) + 1;
+  }
+}
+
+// Laurent polynomials are Maps from exponent to coefficient
+function addTerm(poly, exponent, coefficient) {
+  const value = (poly.get(exponent) || 0) + coefficient;
+  if (value === 0) {
+    poly.delete(exponent);
+  } else {
+    poly.set(exponent, value);
+  }
+}
+
+function multiply(a, b) {
+  const product = new Map();
+  for (const [ea, ca] of a) {
+    for (const [eb, cb] of b) addTerm(product, ea + eb, ca * cb);
+  }
+  return product;
+}
+
+// Sorted list of terms, highest power first
+function toTerms(poly) {
+  return [...poly.entries()]
+    .sort((a, b) => b[0] - a[0])
+    .map(([exponent, coefficient]) => ({ exponent, coefficient }));
+}
+
+/**
+ * Turn state counts into the Kauffman bracket and Jones polynomial
+ * <D> = sum over states of A^(#A - #B) d^(loops - 1), with d = -A^2 - A^-2,
+ * and V(t) = (-A^3)^(-w) <D> evaluated at A = t^(-1/4).
+ * @param {number[][]} counts - From countStates, over all states
+ * @param {number} crossingCount - Number of crossings
+ * @param {number} writhe - Writhe of the diagram
+ * @returns {{bracket: Array<{exponent, coefficient}>, jones: Array<{exponent, coefficient}>}}
+ *   bracket exponents are powers of A, jones exponents powers of t (may be halves)
+ */
+export function bracketFromCounts(counts, crossingCount, writhe) {
+  const loopFactor = new Map([[2, -1], [-2, -1]]);
+  const loopPowers = [new Map([[0, 1]])];
+
+  const bracket = new Map();
+  counts.forEach((byLoops, bSmoothings) => {
+    byLoops.forEach((count, loops) => {
+      if (!count) return;
+      while (loopPowers.length < loops) {
+        loopPowers.push(multiply(loopPowers[loopPowers.length - 1], loopFactor));
+      }
+      const exponent = crossingCount - 2 * bSmoothings;
+      for (const [e, c] of loopPowers[loops - 1]) addTerm(bracket, exponent + e, c * count);
+    });
+  });
+
+  // (-A^3)^(-w) = (-1)^w A^(-3w)
+  const normalization = new Map([[-3 * writhe, writhe % 2 === 0 ? 1 : -1]]);
+  const jonesInA = multiply(bracket, normalization);
+  const jones = new Map();
+  for (const [exponent, coefficient] of jonesInA) addTerm(jones, -exponent / 4, coefficient);
+
+  return { bracket: toTerms(bracket), jones: toTerms(jones) };
+}
+
+/**
+ * Compute the Kauffman bracket and Jones polynomial of the diagram of a grid
+ * The state sum runs in chunks so the page stays responsive.
+ * @param {Grid} grid - The grid (not modified)
+ * @param {Object} [options]
+ * @param {(fraction: number) => void} [options.onProgress] - Called between chunks
+ * @param {AbortSignal} [options.signal] - Aborts the computation
+ * @param {number} [options.maxCrossings=MAX_BRACKET_CROSSINGS] - Size guard
+ * @returns {Promise<{crossings: number, writhe: number, bracket: Array, jones: Array}>}
+ * @throws {Error} If the diagram is not planar or has too many crossings, or
+ *   the computation was aborted
+ */
+export async function computeKauffmanBracket(grid, { onProgress, signal, maxCrossings = MAX_BRACKET_CROSSINGS } = {}) {
+  const diagram = buildCrossingDiagram(grid);
+  const n = diagram.crossings.length;
+  if (n > maxCrossings) {
+    throw new Error(`Too many crossings (${n}); the limit is ${maxCrossings}`);
+  }
+
+  const total = 2 ** n;
+  const counts = Array.from({ length: n + 1 }, () => []);
+  const CHUNK_MS = 30;
+  let state = 0;
+  while (state < total) {
+    if (signal && signal.aborted) {
+      throw new Error('Computation cancelled');
+    }
+    const chunkStart = Date.now();
+    while (state < total && Date.now() - chunkStart < CHUNK_MS) {
+      const end = Math.min(total, state + 1024);
+      countStates(diagram, state, end, counts);
+      state = end;
+    }
+    if (onProgress) onProgress(state / total);
+    if (state < total) await new Promise(resolve => setTimeout(resolve, 0));
+  }
+
+  return {
+    crossings: n,
+    writhe: diagram.writhe,
+    ...bracketFromCounts(counts, n, diagram.writhe)
+  };
+}
+
+/**
+ * Format a Laurent polynomial for display
+ * @param {Array<{exponent: number, coefficient: number}>} terms - Highest power first
+ * @param {string} variable - Name of the variable
+ * @returns {string} e.g. "-t^-4 + t^-3 + t^-1" or "t^(1/2)"
+ */
+export function formatLaurentPolynomial(terms, variable) {
+  if (!terms.length) return '0';
+  return terms.map(({ exponent, coefficient }, i) => {
+    const magnitude = Math.abs(coefficient);
+    let power = '';
+    if (exponent !== 0) {
+      const shown = Number.isInteger(exponent) ? `${exponent}` : `(${exponent * 2}/2)`;
+      power = exponent === 1 ? variable : `${variable}^${shown}`;
+    }
+    const factor = power && magnitude === 1 ? power : `${magnitude}${power}`;
+    if (i === 0) return coefficient < 0 ? `-${factor}` : factor;
+    return coefficient < 0 ? ` - ${factor}` : ` + ${factor}`;
+  }).join('');
+}
@@ -0,0 +1,179 @@
+/**
+ * Knot codes for Mirror Curve application
+ * Writes the link diagram of a grid (see linkDiagram.js) as planar diagram
+ * (PD) code and Dowker–Thistlethwaite (DT) code, the formats read by SnapPy
+ * and KnotInfo.
+ *
+ * PD code: the strands between crossings are numbered 1..2n along the
+ * components, in the direction findAllCurves traces them. Every crossing is
+ * written as [a, b, c, d]: a is the incoming under-strand, followed by the
+ * other three counterclockwise. Components without crossings do not appear.
+ */
+
+import { Grid, GRID_LATTICES } from './grid.js';
+import { findAllCurves } from './curveStartFinder.js';
+import { isCrossing, isOverStrand } from './linkDiagram.js';
+import { PLANAR_TOPOLOGIES } from './linkInvariants.js';
+
+// Arms of a crossing in counterclockwise order on screen
+const COUNTERCLOCKWISE = [Grid.NE, Grid.NW, Grid.SW, Grid.SE];
+
+const OPPOSITE = { [Grid.NW]: Grid.SE, [Grid.NE]: Grid.SW, [Grid.SW]: Grid.NE, [Grid.SE]: Grid.NW };
+
+/**
+ * Trace the crossing visits of every component
+ * @param {Grid} grid - The grid (not modified)
+ * @returns {Array<Array<{gridLineId: string, direction: number, over: boolean}>>}
+ *   The visits of each component, in traversal order
+ * @throws {Error} If the diagram is not planar or a curve is not closed
+ */
+function traceCrossingVisits(grid) {
+  if (grid.lattice !== GRID_LATTICES.SQUARE) {
+    throw new Error(`Knot codes are only computed on the square lattice, not the ${grid.lattice} one`);
+  }
+  if (!PLANAR_TOPOLOGIES.includes(grid.topology)) {
+    throw new Error(`Knot codes need a planar diagram; the grid is a ${grid.topology}`);
+  }
+  return findAllCurves(grid.clone()).map(curve => {
+    if (!curve.isClosed) {
+      throw new Error('Knot codes need closed curves');
+    }
+    const visits = [];
+    for (let i = 0; i < curve.gridLines.length - 1; i++) {
+      const gridLine = curve.gridLines[i];
+      if (!isCrossing(gridLine)) continue;
+      const direction = curve.directions[i];
+      visits.push({ gridLineId: gridLine.id, direction, over: isOverStrand(gridLine, direction) });
+    }
+    return visits;
+  });
+}
+
+/**
+ * Compute the PD code of the diagram of a grid
+ * @param {Grid} grid - The grid (not modified)
+ * @returns {Array<[number, number, number, number]>} One entry per crossing,
+ *   in the order the crossings are first met
+ * @throws {Error} If the diagram is not planar or a curve is not closed
+ */
+export function computePDCode(grid) {
+  const crossings = new Map(); // grid line id -> labels by arm
+  let nextLabel = 1;
+
+  traceCrossingVisits(grid).forEach(visits => {
+    const first = nextLabel;
+    visits.forEach((visit, k) => {
+      if (!crossings.has(visit.gridLineId)) {
+        crossings.set(visit.gridLineId, { arms: {}, under: null });
+      }
+      const crossing = crossings.get(visit.gridLineId);
+      // Strand k arrives at visit k and strand k + 1 leaves it
+      const incoming = first + k;
+      const outgoing = k + 1 < visits.length ? incoming + 1 : first;
+      crossing.arms[OPPOSITE[visit.direction]] = incoming;
+      crossing.arms[visit.direction] = outgoing;
+      if (!visit.over) crossing.under = OPPOSITE[visit.direction];
+    });
+    nextLabel += visits.length;
+  });
+
+  return [...crossings.values()].map(({ arms, under }) => {
+    const start = COUNTERCLOCKWISE.indexOf(under);
+    return [0, 1, 2, 3].map(k => arms[COUNTERCLOCKWISE[(start + k) % 4]]);
+  });
+}
+
+/**
+ * Check that a PD code is consistent
+ * @param {Array<number[]>} pdCode - The code to check
+ * @returns {string[]} Descriptions of the problems found (empty if consistent)
+ */
+export function validatePDCode(pdCode) {
+  const problems = [];
+  if (!Array.isArray(pdCode)) {
+    return ['PD code must be an array of crossings'];
+  }
+
+  const occurrences = new Map(); // label -> count
+  pdCode.forEach((crossing, index) => {
+    if (!Array.isArray(crossing) || crossing.length !== 4) {
+      problems.push(`Crossing ${index + 1} must have 4 labels`);
+      return;
+    }
+    crossing.forEach(label => {
+      if (!Number.isInteger(label) || label < 1) {
+        problems.push(`Crossing ${index + 1} has an invalid label ${label}`);
+        return;
+      }
+      occurrences.set(label, (occurrences.get(label) || 0) + 1);
+    });
+  });
+
+  for (const [label, count] of [...occurrences.entries()].sort((a, b) => a[0] - b[0])) {
+    if (count !== 2) {
+      problems.push(`Label ${label} appears ${count} time${count === 1 ? '' : 's'} instead of twice`);
+    }
+  }
+  for (let label = 1; label <= pdCode.length * 2; label++) {
+    if (!occurrences.has(label)) {
+      problems.push(`Label ${label} is missing`);
+    }
+  }
+  return problems;
+}
+
+/**
+ * Compute the DT code of the diagram of a grid
+ * The visits of the knot are numbered 1..2n; every crossing pairs an odd
+ * and an even number. The code lists the even partners of 1, 3, 5, ...,
+ * negated where the knot passes over at the even visit.
+ * @param {Grid} grid - The grid (not modified)
+ * @returns {number[]} The DT code (empty for a diagram without crossings)
+ * @throws {Error} If the diagram is not a planar knot diagram
+ */
+export function computeDTCode(grid) {
+  const components = traceCrossingVisits(grid);
+  if (components.length !== 1) {
+    throw new Error(`DT codes describe knots; the diagram has ${components.length} components`);
+  }
+
+  const numbers = new Map(); // grid line id -> { odd, even, evenOver }
+  components[0].forEach((visit, k) => {
+    const number = k + 1;
+    if (!numbers.has(visit.gridLineId)) numbers.set(visit.gridLineId, {});
+    const crossing = numbers.get(visit.gridLineId);
+    if (number % 2 === 1) {
+      crossing.odd = number;
+    } else {
+      crossing.even = number;
+      crossing.evenOver = visit.over;
+    }
+  });
+
+  const code = [];
+  for (const { odd, even, evenOver } of numbers.values()) {
+    if (odd === undefined || even === undefined) {
+      throw new Error('The diagram has a crossing without an odd and an even visit');
+    }
+    code[(odd - 1) / 2] = evenOver ? -even : even;
+  }
+  return code;
+}
+
+/**
+ * Format a PD code for SnapPy and KnotInfo, e.g. "[[1, 5, 2, 4], [3, 1, 4, 6]]"
+ * @param {Array<number[]>} pdCode
+ * @returns {string}
+ */
+export function formatPDCode(pdCode) {
+  return `[${pdCode.map(crossing => `[${crossing.join(', ')}]`).join(', ')}]`;
+}
+
+/**
+ * Format a DT code for SnapPy and KnotInfo, e.g. "[4, 6, 2]"
+ * @param {number[]} dtCode
+ * @returns {string}
+ */
+export function formatDTCode(dtCode) {
+  return `[${dtCode.join(', ')}]`;
+}
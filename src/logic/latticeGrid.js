@@ -0,0 +1,351 @@
+/**
+ * Lattice grids for Mirror Curve application
+ * Grids on the triangular and hexagonal tilings. The cells are polygons and
+ * the grid lines are their edges; as on the square lattice, a curve runs
+ * from edge midpoint to edge midpoint through the cells, goes straight on
+ * through an edge that is not a mirror and is reflected by a mirror.
+ *
+ * Directions are angles in steps of 30 degrees, measured on screen (x to
+ * the right, y down): direction k points at k * 30 degrees. Both tilings
+ * use six of the twelve: every segment of a curve is parallel to an edge
+ * of the triangular tiling. A mirror along an edge at angle a reflects
+ * direction k to 2a - k.
+ *
+ * Only the plane topology is supported, without shape masks.
+ */
+
+import { Grid, GRID_LATTICES, GRID_TOPOLOGIES } from './grid.js';
+
+const DIRECTION_COUNT = 12;
+const DIRECTIONS = Array.from({ length: DIRECTION_COUNT }, (_, k) => k);
+const STEP = Math.PI / 6;
+
+// Vertices closer than this (in cell units) are the same vertex
+const PRECISION = 1000;
+
+const vertexKey = ({ x, y }) => `${Math.round(x * PRECISION)},${Math.round(y * PRECISION)}`;
+// The same key for both directions of an edge
+const getEdgeKey = (keyA, keyB) => (keyA < keyB ? `${keyA}|${keyB}` : `${keyB}|${keyA}`);
+const midpoint = (a, b) => ({ x: (a.x + b.x) / 2, y: (a.y + b.y) / 2 });
+const toSteps = angle => ((Math.round(angle / STEP) % DIRECTION_COUNT) + DIRECTION_COUNT) % DIRECTION_COUNT;
+
+/**
+ * Base class of the lattice grids
+ * Subclasses describe their cells with createCells(); everything else,
+ * from connections to reflections, follows from the polygons.
+ */
+export class LatticeGrid extends Grid {
+  /**
+   * @param {number} rows - Number of rows of cells
+   * @param {number} cols - Number of cells per row
+   * @param {Object} [options] - Accepted for compatibility with Grid; only
+   *   the plane topology without a mask is supported
+   */
+  constructor(rows, cols, options = {}) {
+    if (options.mask || (options.topology && options.topology !== GRID_TOPOLOGIES.PLANE)) {
+      throw new Error('Lattice grids only support the plane topology without a shape mask');
+    }
+    super(rows, cols, { topology: GRID_TOPOLOGIES.PLANE });
+  }
+
+  /**
+   * Describe the cells of the grid
+   * @abstract
+   * @returns {Array<Array<{x: number, y: number}>>} One polygon per cell, in cell units
+   */
+  createCells() {
+    throw new Error('createCells must be implemented by a lattice');
+  }
+
+  /**
+   * Create the grid lines from the edges of the cells
+   * Line IDs are "e_<n>", numbered in the order the edges are met.
+   */
+  initializeGridLines() {
+    this.cells = this.createCells().map(polygon => ({
+      polygon,
+      center: {
+        x: polygon.reduce((sum, p) => sum + p.x, 0) / polygon.length,
+        y: polygon.reduce((sum, p) => sum + p.y, 0) / polygon.length
+      }
+    }));
+    this.vertices = new Map(); // vertex key -> point
+
+    // "key|key" -> line id, kept for findCellEdge
+    const edgeIds = new Map();
+    this.edgeIds = edgeIds;
+    this.cells.forEach(({ polygon }, cellIndex) => {
+      polygon.forEach((a, i) => {
+        const b = polygon[(i + 1) % polygon.length];
+        const [keyA, keyB] = [vertexKey(a), vertexKey(b)];
+        this.vertices.set(keyA, a);
+        const edgeKey = getEdgeKey(keyA, keyB);
+
+        if (!edgeIds.has(edgeKey)) {
+          const id = `e_${edgeIds.size}`;
+          edgeIds.set(edgeKey, id);
+          this.gridLines.set(id, {
+            id,
+            type: 'edge',
+            from: a,
+            to: b,
+            angle: toSteps(Math.atan2(b.y - a.y, b.x - a.x)) % 6, // in 30 degree steps, 0-5
+            cells: [],
+            isMirror: false,
+            crossingFlipped: false, // over/under swapped from the alternating default
+            connections: {},
+            twists: {},
+            segments: {} // direction -> geometry of the step through the cell
+          });
+        }
+        this.gridLines.get(edgeIds.get(edgeKey)).cells.push(cellIndex);
+      });
+    });
+  }
+
+  /**
+   * Connect every grid line to the neighbouring edges of its cells
+   * In each cell a line connects, through each of its endpoints, to the
+   * other edge of the cell at that endpoint.
+   */
+  computeConnections() {
+    for (const gridLine of this.gridLines.values()) {
+      const from = midpoint(gridLine.from, gridLine.to);
+      for (const cellIndex of gridLine.cells) {
+        const { polygon, center } = this.cells[cellIndex];
+        for (const endpoint of [gridLine.from, gridLine.to]) {
+          const other = this.findCellEdge(polygon, endpoint, gridLine);
+          const to = midpoint(other.from, other.to);
+          const direction = toSteps(Math.atan2(to.y - from.y, to.x - from.x));
+          gridLine.connections[direction] = other.id;
+          gridLine.segments[direction] = { from, to, center };
+        }
+      }
+    }
+  }
+
+  /**
+   * Find the edge of a cell that meets a vertex, other than a given line
+   * @param {Array<{x, y}>} polygon - The cell
+   * @param {{x, y}} vertex - A vertex of the cell
+   * @param {Object} gridLine - An edge of the cell at that vertex
+   * @returns {Object} The other grid line of the cell at the vertex
+   */
+  findCellEdge(polygon, vertex, gridLine) {
+    const key = vertexKey(vertex);
+    const i = polygon.findIndex(p => vertexKey(p) === key);
+    const previous = polygon[(i + polygon.length - 1) % polygon.length];
+    const next = polygon[(i + 1) % polygon.length];
+    const otherKey = [previous, next].map(vertexKey).find(k => {
+      return k !== vertexKey(gridLine.from) && k !== vertexKey(gridLine.to);
+    });
+    const id = this.edgeIds.get(getEdgeKey(key, otherKey));
+    if (id) return this.gridLines.get(id);
+    throw new Error(`No edge between ${key} and ${otherKey}`);
+  }
+
+  /**
+   * Check if a grid line is on the boundary (an edge of only one cell)
+   * @param {Object} gridLine - The grid line to check
+   * @returns {boolean} True if the grid line is on the boundary
+   */
+  isBoundaryGridLine(gridLine) {
+    return Boolean(gridLine) && gridLine.cells.length < 2;
+  }
+
+  /**
+   * Get the directions a curve can travel in on a lattice
+   * @returns {number[]} 0-11, in steps of 30 degrees
+   */
+  getDirections() {
+    return DIRECTIONS;
+  }
+
+  /**
+   * Get the reverse of a direction
+   * @param {number} direction - Direction (0-11)
+   * @returns {number} The direction pointing the other way
+   */
+  getOppositeDirection(direction) {
+    return (direction + DIRECTION_COUNT / 2) % DIRECTION_COUNT;
+  }
+
+  /**
+   * Reflect a direction in a grid line, whether or not it is a mirror
+   * @param {Object} gridLine - The grid line
+   * @param {number} incomingDirection - Direction (0-11)
+   * @returns {number} Reflected direction
+   */
+  reflectDirection(gridLine, incomingDirection) {
+    const reflected = (2 * gridLine.angle - incomingDirection) % DIRECTION_COUNT;
+    return (reflected + DIRECTION_COUNT) % DIRECTION_COUNT;
+  }
+
+  /**
+   * Get the geometry of one step of a curve, in cell units
+   * @param {string} lineId - Starting grid line ID
+   * @param {number} direction - Direction (0-11)
+   * @returns {{from: {x, y}, to: {x, y}, center: {x, y}}|null} Start and end
+   *   midpoints and the center of the crossed cell, or null if there is no such step
+   */
+  getSegmentGeometry(lineId, direction) {
+    const gridLine = this.getGridLine(lineId);
+    return (gridLine && gridLine.segments[direction]) || null;
+  }
+
+  /**
+   * Get the size of the drawing of the grid, in cell units
+   * @returns {{width: number, height: number}}
+   */
+  getBounds() {
+    let width = 0;
+    let height = 0;
+    for (const { x, y } of this.vertices.values()) {
+      width = Math.max(width, x);
+      height = Math.max(height, y);
+    }
+    return { width, height };
+  }
+
+  /**
+   * Get the segment drawn for a grid line, in cell units
+   * @param {Object} gridLine - The grid line
+   * @returns {Array<[{x, y}, {x, y}]>}
+   */
+  getLineSegments(gridLine) {
+    return [[gridLine.from, gridLine.to]];
+  }
+
+  /**
+   * Get the grid points (the vertices of the cells), in cell units
+   * @returns {Array<{x: number, y: number}>}
+   */
+  getGridPoints() {
+    return [...this.vertices.values()];
+  }
+
+  /**
+   * Get the centers of the cells, in cell units
+   * @returns {Array<{x: number, y: number}>}
+   */
+  getCellCenters() {
+    return this.cells.map(cell => cell.center);
+  }
+
+  /**
+   * Serialize the grid to a plain object
+   * @returns {Object} As Grid.toJSON, with the lattice
+   */
+  toJSON() {
+    return { lattice: this.lattice, ...super.toJSON() };
+  }
+}
+
+/**
+ * Triangles with horizontal bases, in rows that alternate between
+ * starting with a downward and an upward triangle. Each row has `cols`
+ * triangles of one orientation and `cols - 1` of the other, filling a
+ * band `cols` edges wide.
+ */
+export class TriangularGrid extends LatticeGrid {
+  constructor(rows, cols, options = {}) {
+    super(rows, cols, options);
+    this.lattice = GRID_LATTICES.TRIANGULAR;
+  }
+
+  createCells() {
+    const height = Math.sqrt(3) / 2;
+    const cells = [];
+    for (let row = 0; row < this.rows; row++) {
+      const top = row * height;
+      const bottom = top + height;
+      const topShift = row % 2 === 0 ? 0 : 0.5; // x of the first top vertex
+      for (let i = 0; i < this.cols; i++) {
+        if (topShift === 0) {
+          // Downward triangle, then the upward one to its right
+          cells.push([{ x: i, y: top }, { x: i + 1, y: top }, { x: i + 0.5, y: bottom }]);
+          if (i < this.cols - 1) {
+            cells.push([{ x: i + 0.5, y: bottom }, { x: i + 1, y: top }, { x: i + 1.5, y: bottom }]);
+          }
+        } else {
+          // Upward triangle, then the downward one to its right
+          cells.push([{ x: i, y: bottom }, { x: i + 0.5, y: top }, { x: i + 1, y: bottom }]);
+          if (i < this.cols - 1) {
+            cells.push([{ x: i + 0.5, y: top }, { x: i + 1.5, y: top }, { x: i + 1, y: bottom }]);
+          }
+        }
+      }
+    }
+    return cells;
+  }
+}
+
+/**
+ * Hexagons with a vertex at the top, in rows of `cols` hexagons; odd rows
+ * are shifted half a hexagon to the right.
+ */
+export class HexagonalGrid extends LatticeGrid {
+  constructor(rows, cols, options = {}) {
+    super(rows, cols, options);
+    this.lattice = GRID_LATTICES.HEXAGONAL;
+  }
+
+  createCells() {
+    const width = Math.sqrt(3); // across the flat sides, for edges of length 1
+    const cells = [];
+    for (let row = 0; row < this.rows; row++) {
+      for (let col = 0; col < this.cols; col++) {
+        const center = {
+          x: width / 2 + col * width + (row % 2) * (width / 2),
+          y: 1 + row * 1.5
+        };
+        const polygon = [];
+        for (let k = 0; k < 6; k++) {
+          const angle = -Math.PI / 2 + k * (Math.PI / 3);
+          polygon.push({ x: center.x + Math.cos(angle), y: center.y + Math.sin(angle) });
+        }
+        cells.push(polygon);
+      }
+    }
+    return cells;
+  }
+}
+
+const LATTICE_CLASSES = {
+  [GRID_LATTICES.TRIANGULAR]: TriangularGrid,
+  [GRID_LATTICES.HEXAGONAL]: HexagonalGrid
+};
+
+/**
+ * Create a grid on a lattice
+ * @param {string} lattice - One of GRID_LATTICES
+ * @param {number} rows - Number of rows of cells
+ * @param {number} cols - Number of columns (cells per row)
+ * @param {Object} [options] - Grid options (mask and topology; other lattices only take the plane)
+ * @returns {Grid} The new grid
+ * @throws {Error} If the lattice is unknown
+ */
+export function createGrid(lattice, rows, cols, options = {}) {
+  if (lattice === GRID_LATTICES.SQUARE) return new Grid(rows, cols, options);
+  const LatticeClass = LATTICE_CLASSES[lattice];
+  if (!LatticeClass) {
+    throw new Error(`Unknown lattice: ${lattice}`);
+  }
+  return new LatticeClass(rows, cols, options);
+}
+
+/**
+ * Create a grid from the output of toJSON, on any lattice
+ * @param {Object} data - Serialized grid (lattice defaults to square)
+ * @returns {Grid} The restored grid
+ * @throws {Error} If the data is malformed
+ */
+export function gridFromJSON(data) {
+  const lattice = (data && data.lattice) || GRID_LATTICES.SQUARE;
+  if (lattice === GRID_LATTICES.SQUARE) return Grid.fromJSON(data);
+  const LatticeClass = LATTICE_CLASSES[lattice];
+  if (!LatticeClass) {
+    throw new Error(`Invalid grid: unknown lattice "${lattice}"`);
+  }
+  return LatticeClass.fromJSON(data);
+}
@@ -0,0 +1,59 @@
+/**
+ * Link diagram rules for Mirror Curve application
+ * Every grid line that is not a mirror is a crossing of two strands. This
+ * module decides which strand passes over.
+ */
+
+import { Grid } from "./grid.js";
+
+/**
+ * Check if a grid line is a crossing
+ * @param {Object} gridLine - The grid line
+ * @returns {boolean} True if two strands cross on this line
+ */
+export function isCrossing(gridLine) {
+  return Boolean(gridLine) && !gridLine.isMirror;
+}
+
+/**
+ * Check if the strand leaving a crossing in a direction passes over
+ * On horizontal lines the NE-SW strand is over, on vertical lines the
+ * NW-SE strand. Since a curve alternates between horizontal and vertical
+ * lines (and a mirror swaps the diagonal it travels on), this makes the
+ * crossings alternate along every component. (Across the flipped seam of
+ * a Möbius band or Klein bottle no alternating choice exists.)
+ * On the triangular and hexagonal lattices (lines with an angle) the
+ * strand turned counterclockwise (on screen) from the edge passes over,
+ * which alternates in the same way.
+ * Crossings with gridLine.crossingFlipped set are swapped.
+ * @param {Object} gridLine - The crossing
+ * @param {number} direction - Direction of travel through the crossing
+ * @returns {boolean} True if the strand is the over-strand
+ */
+export function isOverStrand(gridLine, direction) {
+  let alternating;
+  if (gridLine.angle !== undefined) {
+    // Angle from the edge to the strand, in 30 degree steps modulo a half turn
+    const turn = (((direction - gridLine.angle) % 6) + 6) % 6;
+    alternating = turn > 3;
+  } else {
+    const alongNeSw = direction === Grid.NE || direction === Grid.SW;
+    alternating = gridLine.type === 'horizontal' ? alongNeSw : !alongNeSw;
+  }
+  return gridLine.crossingFlipped ? !alternating : alternating;
+}
+
+/**
+ * Find where a curve passes under another strand
+ * @param {MirrorCurve} curve - The curve (gridLines and directions)
+ * @returns {number[]} Indices into curve.gridLines of the under-crossings
+ */
+export function getUnderCrossings(curve) {
+  const indices = [];
+  curve.gridLines.forEach((gridLine, index) => {
+    if (isCrossing(gridLine) && !isOverStrand(gridLine, curve.directions[index])) {
+      indices.push(index);
+    }
+  });
+  return indices;
+}
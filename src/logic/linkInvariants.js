@@ -0,0 +1,134 @@
+/**
+ * Link invariants for Mirror Curve application
+ * Reads the curves of a grid as an oriented link diagram (see linkDiagram.js)
+ * and computes Gauss codes, crossing signs, writhes and linking numbers.
+ */
+
+import { Grid, GRID_LATTICES, GRID_TOPOLOGIES } from './grid.js';
+import { findAllCurves } from './curveStartFinder.js';
+import { isCrossing, isOverStrand } from './linkDiagram.js';
+
+// Topologies whose diagrams can be drawn in the plane without changing them;
+// on the others crossing signs and linking numbers are not well defined
+export const PLANAR_TOPOLOGIES = [GRID_TOPOLOGIES.PLANE, GRID_TOPOLOGIES.CYLINDER];
+
+// Direction of travel on screen (x right, y down)
+const SCREEN_VECTORS = {
+  [Grid.NW]: { x: -1, y: -1 },
+  [Grid.NE]: { x: 1, y: -1 },
+  [Grid.SW]: { x: -1, y: 1 },
+  [Grid.SE]: { x: 1, y: 1 }
+};
+
+/**
+ * Sign of a crossing from the directions of its two strands
+ * A crossing is positive when the under-strand points to the left of the
+ * over-strand (right-hand rule); the screen's y axis points down, which
+ * flips the sign of the cross product.
+ * @param {number} overDirection - Direction of the over-strand
+ * @param {number} underDirection - Direction of the under-strand
+ * @returns {number} +1 or -1
+ */
+export function getCrossingSign(overDirection, underDirection) {
+  const over = SCREEN_VECTORS[overDirection];
+  const under = SCREEN_VECTORS[underDirection];
+  const cross = over.x * under.y - over.y * under.x;
+  return cross < 0 ? 1 : -1;
+}
+
+/**
+ * Compute the link invariants of the curves of a grid
+ * Works on a copy of the grid. Components are oriented in the direction
+ * findAllCurves traces them, and crossings are numbered from 1 in the
+ * order they are first met.
+ * @param {Grid} grid - The grid to analyse
+ * @returns {{
+ *   crossings: Array<{number: number, gridLineId: string, sign: number, over: number, under: number}>,
+ *   components: Array<{gaussCode: Array<{crossing: number, over: boolean, sign: number}>, gaussCodeText: string, writhe: number}>,
+ *   linkingNumbers: number[][],
+ *   writhe: number
+ * }} over/under are component indices; linkingNumbers[i][j] is the linking
+ *   number of components i and j (0 on the diagonal)
+ * @throws {Error} If the grid is not on the square lattice or its diagram is not planar
+ */
+export function computeLinkInvariants(grid) {
+  if (grid.lattice !== GRID_LATTICES.SQUARE) {
+    throw new Error(`Link invariants are only computed on the square lattice, not the ${grid.lattice} one`);
+  }
+  if (!PLANAR_TOPOLOGIES.includes(grid.topology)) {
+    throw new Error(`Link invariants need a planar diagram; the grid is a ${grid.topology}`);
+  }
+  const curves = findAllCurves(grid.clone());
+
+  // Both passes through every crossing, in traversal order
+  const passes = new Map(); // grid line id -> [{ component, direction, over }]
+  const order = []; // grid line ids in order of first visit
+  const sequences = curves.map((curve, component) => {
+    const visits = curve.isClosed ? curve.gridLines.length - 1 : curve.gridLines.length;
+    const sequence = [];
+    for (let i = 0; i < visits; i++) {
+      const gridLine = curve.gridLines[i];
+      if (!isCrossing(gridLine)) continue;
+      const direction = curve.directions[i];
+      if (!passes.has(gridLine.id)) {
+        passes.set(gridLine.id, []);
+        order.push(gridLine.id);
+      }
+      const pass = { component, direction, over: isOverStrand(gridLine, direction) };
+      passes.get(gridLine.id).push(pass);
+      sequence.push({ gridLineId: gridLine.id, over: pass.over });
+    }
+    return sequence;
+  });
+
+  // Number and sign the crossings
+  const crossingByLine = new Map();
+  const crossings = [];
+  order.forEach(gridLineId => {
+    const [first, second] = passes.get(gridLineId);
+    if (!second) return; // an open curve left before the second pass
+    const over = first.over ? first : second;
+    const under = first.over ? second : first;
+    const crossing = {
+      number: crossings.length + 1,
+      gridLineId,
+      sign: getCrossingSign(over.direction, under.direction),
+      over: over.component,
+      under: under.component
+    };
+    crossings.push(crossing);
+    crossingByLine.set(gridLineId, crossing);
+  });
+
+  const components = sequences.map((sequence, component) => {
+    const gaussCode = sequence
+      .filter(({ gridLineId }) => crossingByLine.has(gridLineId))
+      .map(({ gridLineId, over }) => {
+        const { number, sign } = crossingByLine.get(gridLineId);
+        return { crossing: number, over, sign };
+      });
+    const selfCrossings = crossings.filter(c => c.over === component && c.under === component);
+    return {
+      gaussCode,
+      gaussCodeText: gaussCode
+        .map(({ crossing, over, sign }) => `${over ? 'O' : 'U'}${crossing}${sign > 0 ? '+' : '-'}`)
+        .join(' '),
+      writhe: selfCrossings.reduce((sum, c) => sum + c.sign, 0)
+    };
+  });
+
+  // Half the sum of the signs of the crossings between two components
+  const linkingNumbers = curves.map(() => curves.map(() => 0));
+  crossings.forEach(({ over, under, sign }) => {
+    if (over === under) return;
+    linkingNumbers[over][under] += sign / 2;
+    linkingNumbers[under][over] += sign / 2;
+  });
+
+  return {
+    crossings,
+    components,
+    linkingNumbers,
+    writhe: crossings.reduce((sum, c) => sum + c.sign, 0)
+  };
+}
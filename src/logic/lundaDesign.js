@@ -0,0 +1,66 @@
+/**
+ * Lunda designs for Mirror Curve application
+ * Following Gerdes, the unit squares (cell quarters) that a monolinear
+ * mirror curve passes through are numbered 0, 1, 2, ... along the curve,
+ * and each square gets colour n mod k, where k is the order of the design.
+ * Order 2 gives the classic black and white Lunda designs, in which every
+ * row and column of unit squares has as many squares of either colour;
+ * order 3 gives three-coloured designs.
+ *
+ * Designs are only made on the plane. A curve on a glued topology (cylinder,
+ * torus, ...) crosses the seams, and its colouring need not balance the rows
+ * and columns, so it is not a Lunda design in Gerdes' sense.
+ */
+
+import { GRID_LATTICES, GRID_TOPOLOGIES } from './grid.js';
+import { findAllCurves } from './curveStartFinder.js';
+
+export const LUNDA_ORDERS = [2, 3];
+
+/**
+ * Compute the Lunda design of a grid
+ * Works on a copy of the grid. The numbering starts where findAllCurves
+ * starts the curve (starting elsewhere permutes the colours).
+ * @param {Grid} grid - The grid; its mirrors must give a single closed curve
+ * @param {Object} [options]
+ * @param {number} [options.order=2] - One of LUNDA_ORDERS
+ * @returns {{order: number, rows: number, cols: number, matrix: Array<Array<number|null>>}}
+ *   matrix[row][col] is the colour (0 to order - 1) of a unit square, null
+ *   outside the active cells; rows and cols count unit squares
+ * @throws {Error} If the order is not supported, the grid is not a square
+ *   grid in the plane or the curve is not monolinear
+ */
+export function computeLundaDesign(grid, { order = 2 } = {}) {
+  if (!LUNDA_ORDERS.includes(order)) {
+    throw new Error(`Lunda designs have order ${LUNDA_ORDERS.join(' or ')}, not ${order}`);
+  }
+  if (grid.lattice !== GRID_LATTICES.SQUARE) {
+    throw new Error(`Lunda designs are only drawn on the square lattice, not the ${grid.lattice} one`);
+  }
+  if (grid.topology !== GRID_TOPOLOGIES.PLANE) {
+    throw new Error(`Lunda designs are only drawn in the plane, not on the ${grid.topology}`);
+  }
+  const curves = findAllCurves(grid.clone());
+  if (curves.length !== 1 || !curves[0].isClosed) {
+    throw new Error(`Lunda designs need a single closed curve; the grid has ${curves.length} curves`);
+  }
+
+  const rows = grid.rows * 2;
+  const cols = grid.cols * 2;
+  const matrix = Array.from({ length: rows }, () => new Array(cols).fill(null));
+  curves[0].getUnitSquares(grid).forEach(({ row, col }, n) => {
+    matrix[row][col] = n % order;
+  });
+  return { order, rows, cols, matrix };
+}
+
+/**
+ * Format the matrix of a Lunda design as text
+ * @param {Object} design - From computeLundaDesign
+ * @returns {string} One line per row of unit squares: a digit per colour, . outside the grid
+ */
+export function formatLundaMatrix(design) {
+  return design.matrix
+    .map(row => row.map(value => (value === null ? '.' : String(value))).join(''))
+    .join('\n');
+}
@@ -40,91 +40,142 @@ export class MirrorCurve {
   
   /**
    * Build the complete curve by traversing the grid
+   * Walks the typed navigation tables of the grid (see Grid.buildLineIndex),
+   * so tracing takes constant time per step even on very large grids.
    * @param {Grid} grid - The grid object containing mirrors and connectivity
    * @returns {boolean} - True if the curve was successfully built
    */
-    buildCurve(grid) {
-    // Maximum number of segments to prevent infinite loops
-    const MAX_SEGMENTS = 1000000;
-    
+  buildCurve(grid) {
+    const { lines, nextLines, arrivals, reflections, opposites, usedMasks, directionCount } = grid;
+
+    // A closed curve visits every line and direction at most once
+    const maxSegments = lines.length * directionCount + 1;
+
+    const start = grid.getGridLine(this.gridLines[0].id);
+    if (!start) return false;
+    const startDirection = this.directions[0];
+    let current = start.index;
+    let direction = startDirection;
+
     // Mark the initial direction as used
-    let currentGridLine = this.gridLines[0];
-    let currentDirection = this.directions[0];
-    grid.markDirectionUsed(currentGridLine.id, currentDirection);
-    
+    usedMasks[current] |= 1 << direction;
+
     // Build the curve until it forms a loop or reaches an edge
-    while (this.gridLines.length < MAX_SEGMENTS) {
-      try {
-        // Get the next grid line in the current direction
-        const nextLineId = grid.getAdjacentGridLine(currentGridLine.id, currentDirection);
-        
-        // If getAdjacentGridLine returned null, we'd already be in the catch block
-        // So if we're here, we have a valid next line
-        const nextGridLine = grid.getGridLine(nextLineId);
-        
-        // If the next line doesn't exist for some reason, stop
-        if (!nextGridLine) {
-          console.warn(`Invalid grid line returned: ${nextLineId}`);
-          return false;
-        }
-        
-        // Determine the next direction based on whether the line is a mirror
-        let nextDirection = currentDirection;
-        if (nextGridLine.isMirror) {
-          nextDirection = grid.getReflectedDirection(nextLineId, currentDirection);
-        }
-        
-        // Add the segment to the curve
-          this.addSegment(nextGridLine, nextDirection);
-
-	  
-          // Mark the outgoingdirection as used
-	  grid.markDirectionUsed(nextLineId, nextDirection);
-	  const oppositeDirection = currentDirection === Grid.NW ? Grid.SE
-		: currentDirection === Grid.SE ? Grid.NW
-		: currentDirection === Grid.NE ? Grid.SW
-		: /* else SW */             Grid.NE;
-	  
-	  // Mark that incoming direction as used
-	  grid.markDirectionUsed(
-	      nextLineId,
-	      oppositeDirection);
-
-          
-        // Check if we've formed a loop back to the start
-        if (this.gridLines.length > 2) { // Need at least 3 points for a meaningful loop
-          // Check if we're back at the starting point with matching direction
-          if (nextGridLine.id === this.gridLines[0].id && 
-              nextDirection === this.directions[0]) {
-            this.isClosed = true;
-            return true;
-          }
-        }
-        
-        
-        
-        // Update current position for next iteration
-        currentGridLine = nextGridLine;
-        currentDirection = nextDirection;
+    while (this.gridLines.length < maxSegments) {
+      const slot = current * directionCount + direction;
+      const next = nextLines[slot];
+
+      // The move would leave the grid: record where the curve exits
+      if (next === -1) {
+        this.leftGrid = true;
+        this.exitPoint = lines[current];
+        this.exitDirection = direction;
+        return true;
       }
-      catch (error) {
-        // If we get "Curve left the grid" error, mark it and record exit information
-        if (error.message === "Curve left the grid") {
-          this.leftGrid = true;
-          this.exitPoint = currentGridLine;
-          this.exitDirection = currentDirection;
-          return true; // Successfully built curve, it just left the grid
-        }
-        // For any other error, propagate it
-        throw error;
+
+      // Crossing a flipped seam changes the direction of travel
+      const arrival = arrivals[slot];
+      const nextGridLine = lines[next];
+
+      // Mirrors reflect the curve, other lines let it through
+      const nextDirection = nextGridLine.isMirror
+        ? reflections[next * directionCount + arrival]
+        : arrival;
+
+      this.addSegment(nextGridLine, nextDirection);
+
+      // Mark the outgoing and incoming directions as used
+      usedMasks[next] |= (1 << nextDirection) | (1 << opposites[arrival]);
+
+      // Check if we're back at the starting point with matching direction
+      if (this.gridLines.length > 2 && next === start.index && nextDirection === startDirection) {
+        this.isClosed = true;
+        return true;
       }
+
+      current = next;
+      direction = nextDirection;
     }
-    
+
     // If we reach here, we hit the maximum number of segments
     console.warn('Maximum segments reached without forming a loop');
     return false;
   }
   
+  /**
+   * List the unit squares the curve passes through, in order
+   * Unit squares are the quarters of the cells, so a grid of R x C cells
+   * has 2R x 2C of them; every step of a curve crosses one diagonally.
+   * Square lattice only.
+   * @param {Grid} grid - The grid the curve was built on
+   * @returns {Array<{row: number, col: number}>} One unit square per step,
+   *   in half cells (it lies in cell row >> 1, col >> 1)
+   */
+  getUnitSquares(grid) {
+    const steps = this.isClosed ? this.gridLines.length - 1 : this.gridLines.length;
+    const squares = [];
+    for (let i = 0; i < steps; i++) {
+      const step = grid.getSegmentGeometry(this.gridLines[i].id, this.directions[i]);
+      if (!step) break; // an open curve's last line leads out of the grid
+      squares.push({
+        row: Math.floor(step.from.y + step.to.y),
+        col: Math.floor(step.from.x + step.to.x)
+      });
+    }
+    return squares;
+  }
+
+  /**
+   * Serialize the curve to a plain object
+   * A curve is fully determined by its start and the mirrors of its grid,
+   * so only the start is stored; the length is kept to check the rebuild.
+   * @returns {Object} { start, direction, length, isClosed, color? }
+   */
+  toJSON() {
+    const data = {
+      start: this.gridLines[0].id,
+      direction: this.directions[0],
+      length: this.gridLines.length,
+      isClosed: this.isClosed
+    };
+    if (this.color) data.color = this.color;
+    return data;
+  }
+
+  /**
+   * Rebuild a curve from the output of toJSON
+   * Marks the directions of the curve as used on the grid, like buildCurve.
+   * @param {Object} data - Serialized curve
+   * @param {Grid} grid - The grid to trace the curve on
+   * @returns {MirrorCurve} The rebuilt curve
+   * @throws {Error} If the data is malformed or does not match the grid
+   */
+  static fromJSON(data, grid) {
+    if (!data || typeof data !== 'object') {
+      throw new Error('Invalid curve: expected an object');
+    }
+    const startGridLine = typeof data.start === 'string' ? grid.getGridLine(data.start) : null;
+    if (!startGridLine) {
+      throw new Error(`Invalid curve: no grid line "${data.start}"`);
+    }
+    if (!grid.getDirections().includes(data.direction)) {
+      throw new Error(`Invalid curve: unknown direction "${data.direction}"`);
+    }
+    if (data.color !== undefined && typeof data.color !== 'string') {
+      throw new Error('Invalid curve: color must be a string');
+    }
+
+    const curve = new MirrorCurve(startGridLine, data.direction);
+    if (!curve.buildCurve(grid)) {
+      throw new Error(`Invalid curve: could not trace the curve from ${data.start}`);
+    }
+    if (data.length !== undefined && data.length !== curve.gridLines.length) {
+      throw new Error(`Invalid curve: curve from ${data.start} does not match the mirrors`);
+    }
+    if (data.color) curve.color = data.color;
+    return curve;
+  }
+
   /**
    * Generate a string representation of the curve
    * @returns {string} Formatted representation of the curve
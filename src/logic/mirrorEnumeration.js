@@ -0,0 +1,136 @@
+/**
+ * Mirror enumeration for Mirror Curve application
+ * Goes through every subset of the interior lines of a grid as mirrors and
+ * counts the curves of each configuration with findAllCurves.
+ *
+ * Configuration k makes interior line i a mirror when bit i of k is set.
+ * With a symmetry, only the smallest configuration of every symmetry class
+ * is counted and reported, together with the size of its class.
+ *
+ * The enumeration state is a plain object, so it can be written to disk
+ * and the enumeration resumed from it later.
+ */
+
+import { gridFromJSON } from './latticeGrid.js';
+import { findAllCurves } from './curveStartFinder.js';
+import { GRID_SYMMETRIES, getSymmetryPermutations } from './symmetry.js';
+
+// Configurations are bit masks, so the interior lines must fit in 30 bits
+export const MAX_ENUMERATION_LINES = 30;
+
+/**
+ * Create the state of a new enumeration
+ * @param {Grid} grid - The grid; its mirrors are ignored
+ * @param {Object} [options]
+ * @param {string} [options.symmetry=GRID_SYMMETRIES.NONE] - Count configurations modulo this symmetry
+ * @returns {{
+ *   grid: Object, symmetry: string, lineIds: string[], total: number,
+ *   next: number, distribution: Object<number, {classes: number, configurations: number}>
+ * }} grid is in Grid.toJSON form; next is the first configuration not yet counted
+ * @throws {Error} If the grid has too many interior lines, or the symmetry does not map them onto each other
+ */
+export function createEnumerationState(grid, { symmetry = GRID_SYMMETRIES.NONE } = {}) {
+  const lineIds = [...grid.gridLines.values()]
+    .filter(gridLine => !grid.isBoundaryGridLine(gridLine))
+    .map(gridLine => gridLine.id);
+  if (lineIds.length > MAX_ENUMERATION_LINES) {
+    throw new Error(`The grid has ${lineIds.length} interior lines; at most ${MAX_ENUMERATION_LINES} can be enumerated`);
+  }
+  getInteriorPermutations(grid, lineIds, symmetry); // validates the symmetry
+
+  return {
+    grid: { ...grid.toJSON(), mirrors: [], flippedCrossings: [] },
+    symmetry,
+    lineIds,
+    total: 2 ** lineIds.length,
+    next: 0,
+    distribution: {}
+  };
+}
+
+/**
+ * Enumerate configurations, advancing the state as it goes
+ * Every yielded configuration has been added to state.distribution, and
+ * state.next is past it, so the state can be saved between any two records.
+ * @param {Object} state - From createEnumerationState (or a saved copy)
+ * @param {Object} [options]
+ * @param {number} [options.end=state.total] - Stop before this configuration
+ * @yields {{index: number, mirrors: string[], components: number, count: number}}
+ *   A configuration (the smallest of its symmetry class), its number of
+ *   curves and the number of configurations in its class
+ */
+export function* enumerateConfigurations(state, { end = state.total } = {}) {
+  const grid = gridFromJSON(state.grid);
+  const { lineIds } = state;
+  const permutations = getInteriorPermutations(grid, lineIds, state.symmetry);
+  const stop = Math.min(end, state.total);
+
+  while (state.next < stop) {
+    const index = state.next;
+    state.next++;
+
+    const classSize = getClassSize(index, permutations);
+    if (classSize === 0) continue; // not the smallest of its class
+
+    const mirrors = [];
+    lineIds.forEach((id, bit) => {
+      const isMirror = ((index >>> bit) & 1) === 1;
+      grid.setMirror(id, isMirror);
+      if (isMirror) mirrors.push(id);
+    });
+    const components = findAllCurves(grid).length;
+
+    const row = state.distribution[components] || { classes: 0, configurations: 0 };
+    row.classes++;
+    row.configurations += classSize;
+    state.distribution[components] = row;
+
+    yield { index, mirrors, components, count: classSize };
+  }
+}
+
+/**
+ * Format the distribution of an enumeration as a text table
+ * @param {Object} state - Enumeration state
+ * @returns {string} One row per number of curves
+ */
+export function formatDistribution(state) {
+  const rows = Object.entries(state.distribution)
+    .map(([components, row]) => [Number(components), row])
+    .sort((a, b) => a[0] - b[0]);
+  const lines = ['curves  classes  configurations'];
+  rows.forEach(([components, { classes, configurations }]) => {
+    lines.push(`${String(components).padStart(6)}  ${String(classes).padStart(7)}  ${String(configurations).padStart(14)}`);
+  });
+  const done = state.next >= state.total ? 'complete' : `${state.next} of ${state.total} configurations`;
+  lines.push(`(${done})`);
+  return lines.join('\n');
+}
+
+// Group elements as permutations of the interior line bits
+function getInteriorPermutations(grid, lineIds, symmetry) {
+  const bitOf = new Map(lineIds.map((id, bit) => [id, bit]));
+  return getSymmetryPermutations(grid, symmetry).map(permutation => lineIds.map(id => {
+    const bit = bitOf.get(permutation.get(id));
+    if (bit === undefined) {
+      throw new Error(`The ${symmetry} symmetry does not map the interior lines of the grid onto each other`);
+    }
+    return bit;
+  }));
+}
+
+// Size of the symmetry class of a configuration, or 0 if a smaller
+// configuration is in the same class
+function getClassSize(index, permutations) {
+  let stabilizer = 0;
+  for (const permutation of permutations) {
+    let image = 0;
+    for (let bit = 0; bit < permutation.length; bit++) {
+      if ((index >>> bit) & 1) image |= 1 << permutation[bit];
+    }
+    image >>>= 0;
+    if (image < index) return 0;
+    if (image === index) stabilizer++;
+  }
+  return permutations.length / stabilizer;
+}
@@ -0,0 +1,210 @@
+/**
+ * Plain-text mirror notation for Mirror Curve application
+ * A grid of R rows and C columns is written as 2R+1 lines of 2C+1 characters:
+ *
+ *   +-+-+      even lines: '+' grid points, '-' horizontal mirrors
+ *   |o o|      odd lines:  '|' vertical mirrors, 'o' active cells
+ *   + +-+      a space is an open edge (or an inactive cell)
+ *   |o|o|
+ *   +-+-+
+ *
+ * An optional "# topology: torus" line before the pattern sets the
+ * topology; glued edges are written on both sides and must agree.
+ * Boundary mirrors are implied by the cells and may be left out.
+ * Rows or columns without active cells at the border of the grid are not
+ * written, so they do not survive a round trip.
+ */
+
+import { Grid, GRID_LATTICES, GRID_TOPOLOGIES } from "./grid.js";
+
+const POINT = '+';
+const HORIZONTAL_MIRROR = '-';
+const VERTICAL_MIRROR = '|';
+const ACTIVE_CELL = 'o';
+const OPEN = ' ';
+
+/**
+ * Error raised for malformed notation, with the position of the problem
+ */
+export class NotationError extends Error {
+  /**
+   * @param {string} message - Description of the problem
+   * @param {number} line - 1-based line number in the input text
+   * @param {number} column - 1-based column number in the input text
+   */
+  constructor(message, line, column) {
+    super(`Line ${line}, column ${column}: ${message}`);
+    this.name = 'NotationError';
+    this.line = line;
+    this.column = column;
+  }
+}
+
+/**
+ * Write a grid in mirror notation
+ * @param {Grid} grid - The grid to serialize
+ * @returns {string} The notation text
+ * @throws {Error} If the grid is not on the square lattice
+ */
+export function gridToNotation(grid) {
+  if (grid.lattice !== GRID_LATTICES.SQUARE) {
+    throw new Error(`Mirror notation only describes square grids, not ${grid.lattice} ones`);
+  }
+  const height = grid.rows * 2 + 1;
+  const width = grid.cols * 2 + 1;
+  const chars = Array.from({ length: height }, () => new Array(width).fill(OPEN));
+
+  // Grid points at the corners of active cells, dots in the active cells
+  for (let row = 0; row < grid.rows; row++) {
+    for (let col = 0; col < grid.cols; col++) {
+      if (!grid.isCellActive(row, col)) continue;
+      chars[row * 2 + 1][col * 2 + 1] = ACTIVE_CELL;
+      for (const [r, c] of [[row, col], [row, col + 1], [row + 1, col], [row + 1, col + 1]]) {
+        chars[r * 2][c * 2] = POINT;
+      }
+    }
+  }
+
+  // Mirrors, on both sides of a glued edge
+  for (const [id, gridLine] of grid.gridLines.entries()) {
+    if (!gridLine.isMirror) continue;
+    const { type } = grid.parseGridLineId(id);
+    for (const { row, col } of grid.getLinePlacements(gridLine)) {
+      if (type === 'h') {
+        chars[row * 2][col * 2 + 1] = HORIZONTAL_MIRROR;
+      } else {
+        chars[row * 2 + 1][col * 2] = VERTICAL_MIRROR;
+      }
+    }
+  }
+
+  const lines = chars.map(lineChars => lineChars.join('').replace(/\s+$/, ''));
+  if (grid.topology !== GRID_TOPOLOGIES.PLANE) {
+    lines.unshift(`# topology: ${grid.topology}`);
+  }
+  return lines.join('\n');
+}
+
+/**
+ * Read a grid from mirror notation
+ * Blank lines around the pattern are ignored and short lines are padded
+ * with spaces, so trailing whitespace may be trimmed.
+ * @param {string} text - The notation text
+ * @returns {Grid} A new grid with the mirrors of the pattern
+ * @throws {NotationError} If the text is not valid notation
+ */
+export function parseNotation(text) {
+  const sourceLines = String(text).replace(/\r\n?/g, '\n').split('\n');
+
+  // Header comments, then the pattern
+  let topology = GRID_TOPOLOGIES.PLANE;
+  let first = 0;
+  while (first < sourceLines.length) {
+    const line = sourceLines[first];
+    if (line.trim() === '') {
+      first++;
+    } else if (line.trim().startsWith('#')) {
+      const match = line.match(/^\s*#\s*topology\s*:\s*(\S+)\s*$/i);
+      if (match) {
+        topology = match[1].toLowerCase();
+        if (!Object.values(GRID_TOPOLOGIES).includes(topology)) {
+          throw new NotationError(`unknown topology "${match[1]}"`, first + 1, line.indexOf(match[1]) + 1);
+        }
+      }
+      first++;
+    } else {
+      break;
+    }
+  }
+  let last = sourceLines.length - 1;
+  while (last >= first && sourceLines[last].trim() === '') last--;
+
+  const lines = sourceLines.slice(first, last + 1);
+  const lineOffset = first; // index in lines + lineOffset + 1 = line number
+  if (lines.length === 0) {
+    throw new NotationError('no pattern found', sourceLines.length, 1);
+  }
+  if (lines.length < 3 || lines.length % 2 === 0) {
+    throw new NotationError(
+      `expected an odd number of lines (2 per row plus 1), found ${lines.length}`,
+      last + 1, 1);
+  }
+
+  const width = Math.max(...lines.map(line => line.length));
+  if (width < 3 || width % 2 === 0) {
+    const longest = lines.findIndex(line => line.length === width);
+    throw new NotationError(
+      `expected an odd line length (2 per column plus 1), found ${width}`,
+      longest + lineOffset + 1, width);
+  }
+
+  const rows = (lines.length - 1) / 2;
+  const cols = (width - 1) / 2;
+  const charAt = (r, c) => lines[r][c] || OPEN;
+  const fail = (message, r, c) => {
+    throw new NotationError(message, r + lineOffset + 1, c + 1);
+  };
+
+  // Check every character against what may appear at its position
+  for (let r = 0; r < lines.length; r++) {
+    for (let c = 0; c < width; c++) {
+      const ch = charAt(r, c);
+      const allowed = r % 2 === 0
+        ? (c % 2 === 0 ? [POINT, OPEN] : [HORIZONTAL_MIRROR, OPEN])
+        : (c % 2 === 0 ? [VERTICAL_MIRROR, OPEN] : [ACTIVE_CELL, OPEN]);
+      if (!allowed.includes(ch)) {
+        const expected = allowed.filter(a => a !== OPEN).map(a => `'${a}'`).join(' or ');
+        fail(`unexpected '${ch}', expected ${expected} or a space`, r, c);
+      }
+    }
+  }
+
+  // Cells
+  const mask = [];
+  let allActive = true;
+  for (let row = 0; row < rows; row++) {
+    const maskRow = [];
+    for (let col = 0; col < cols; col++) {
+      const active = charAt(row * 2 + 1, col * 2 + 1) === ACTIVE_CELL;
+      allActive = allActive && active;
+      maskRow.push(active);
+    }
+    mask.push(maskRow);
+  }
+  if (mask.every(maskRow => maskRow.every(active => !active))) {
+    fail(`no active cells ('${ACTIVE_CELL}')`, 0, 0);
+  }
+
+  const grid = new Grid(rows, cols, { mask: allActive ? null : mask, topology });
+
+  // Mirrors, read at every position; glued positions map to one grid line
+  const marks = new Map(); // grid line id -> { isMirror, r, c }
+  for (let r = 0; r < lines.length; r++) {
+    for (let c = r % 2 === 0 ? 1 : 0; c < width; c += 2) {
+      const horizontal = r % 2 === 0;
+      const isMirror = charAt(r, c) !== OPEN;
+      const id = horizontal
+        ? grid.canonicalGridLineId('h', r / 2, (c - 1) / 2)
+        : grid.canonicalGridLineId('v', (r - 1) / 2, c / 2);
+      const gridLine = grid.getGridLine(id);
+
+      if (!gridLine) {
+        if (isMirror) fail('mirror outside the active cells', r, c);
+        continue;
+      }
+
+      const previous = marks.get(id);
+      if (previous && previous.isMirror !== isMirror && !grid.isBoundaryGridLine(gridLine)) {
+        fail(`glued edge disagrees with line ${previous.r + lineOffset + 1}, column ${previous.c + 1}`, r, c);
+      }
+      marks.set(id, { isMirror: isMirror || Boolean(previous && previous.isMirror), r, c });
+    }
+  }
+
+  for (const [id, { isMirror }] of marks.entries()) {
+    if (!grid.isBoundaryGridLine(grid.getGridLine(id))) {
+      grid.setMirror(id, isMirror);
+    }
+  }
+  return grid;
+}
@@ -0,0 +1,91 @@
+/**
+ * Mirror editing tools for Mirror Curve application
+ * Works out which grid lines a gesture covers. The brush covers the lines
+ * along the pointer path, found by hit testing; the line and rectangle
+ * tools work between two grid points (cell corners) of a square lattice
+ * grid, given as {row, col} with 0 <= row <= rows and 0 <= col <= cols.
+ * Only lines that can be edited are returned: boundary mirrors are left out.
+ */
+
+import { GRID_LATTICES } from './grid.js';
+
+export const EDIT_TOOLS = {
+  TOGGLE: 'toggle',      // a click or tap toggles one mirror (or flips a crossing)
+  BRUSH: 'brush',        // dragging paints the lines along the pointer path
+  LINE: 'line',          // dragging paints a row or column segment
+  RECTANGLE: 'rectangle' // dragging paints every line inside a rectangle
+};
+
+export const PAINT_MODES = {
+  DRAW: 'draw',  // painted lines become mirrors
+  ERASE: 'erase' // painted lines become crossings
+};
+
+/**
+ * Get the lines along a row or column segment between two grid points
+ * The segment follows the direction in which the points are furthest
+ * apart, starting from the first point: a drag that wanders a little
+ * still paints a straight line.
+ * @param {Grid} grid - A square lattice grid
+ * @param {{row: number, col: number}} from - Grid point where the drag started
+ * @param {{row: number, col: number}} to - Grid point where it is now
+ * @returns {string[]} IDs of the editable lines on the segment
+ * @throws {Error} If the grid is not on the square lattice
+ */
+export function getSegmentLines(grid, from, to) {
+  checkSquareLattice(grid);
+  const positions = [];
+  if (Math.abs(to.col - from.col) >= Math.abs(to.row - from.row)) {
+    for (let col = Math.min(from.col, to.col); col < Math.max(from.col, to.col); col++) {
+      positions.push(['h', from.row, col]);
+    }
+  } else {
+    for (let row = Math.min(from.row, to.row); row < Math.max(from.row, to.row); row++) {
+      positions.push(['v', row, from.col]);
+    }
+  }
+  return editableLines(grid, positions);
+}
+
+/**
+ * Get the lines inside a rectangle between two opposite grid points
+ * Lines on the border of the rectangle are not included, so painting a
+ * rectangle changes only the cells within it.
+ * @param {Grid} grid - A square lattice grid
+ * @param {{row: number, col: number}} from - One corner
+ * @param {{row: number, col: number}} to - The opposite corner
+ * @returns {string[]} IDs of the editable lines inside the rectangle
+ * @throws {Error} If the grid is not on the square lattice
+ */
+export function getRectangleLines(grid, from, to) {
+  checkSquareLattice(grid);
+  const top = Math.min(from.row, to.row);
+  const bottom = Math.max(from.row, to.row);
+  const left = Math.min(from.col, to.col);
+  const right = Math.max(from.col, to.col);
+  const positions = [];
+  for (let row = top; row < bottom; row++) {
+    for (let col = left; col < right; col++) {
+      if (row > top) positions.push(['h', row, col]);
+      if (col > left) positions.push(['v', row, col]);
+    }
+  }
+  return editableLines(grid, positions);
+}
+
+// IDs of the lines at edge positions, without boundary lines or repeats
+// (both images of a seam line give the same line)
+function editableLines(grid, positions) {
+  const ids = new Set();
+  for (const [type, row, col] of positions) {
+    const gridLine = grid.getGridLine(grid.canonicalGridLineId(type, row, col));
+    if (gridLine && !grid.isBoundaryGridLine(gridLine)) ids.add(gridLine.id);
+  }
+  return [...ids];
+}
+
+function checkSquareLattice(grid) {
+  if (grid.lattice !== GRID_LATTICES.SQUARE) {
+    throw new Error(`The line and rectangle tools need a square lattice grid, not a ${grid.lattice} one`);
+  }
+}
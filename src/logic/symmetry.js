@@ -0,0 +1,251 @@
+/**
+ * Grid symmetries for Mirror Curve application
+ * A symmetry maps grid lines to grid lines; a mirror pattern has the
+ * symmetry when every line has the same state as its images. Lines are
+ * transformed through their midpoints, measured in half cells so the
+ * arithmetic stays in integers.
+ */
+
+import { GRID_LATTICES, GRID_TOPOLOGIES } from './grid.js';
+
+export const GRID_SYMMETRIES = {
+  NONE: 'none',
+  LEFT_RIGHT: 'left-right',     // reflection in the vertical axis
+  TOP_BOTTOM: 'top-bottom',     // reflection in the horizontal axis
+  BOTH_AXES: 'both-axes',       // both reflections (and the half turn)
+  ROTATION_180: 'rotation-180', // half turn
+  ROTATION_90: 'rotation-90',   // quarter turn (square plane or torus grids)
+  DIAGONAL: 'diagonal',         // reflection in the top-left to bottom-right diagonal (as for quarter turns)
+  ANTI_DIAGONAL: 'anti-diagonal', // reflection in the other diagonal (as for quarter turns)
+  FULL: 'full'                  // all symmetries of the square (as for quarter turns)
+};
+
+// The symmetries made of a single reflection or rotation, which
+// detectSymmetries looks for; the groups above are built from them
+const ELEMENTARY_SYMMETRIES = [
+  GRID_SYMMETRIES.LEFT_RIGHT,
+  GRID_SYMMETRIES.TOP_BOTTOM,
+  GRID_SYMMETRIES.DIAGONAL,
+  GRID_SYMMETRIES.ANTI_DIAGONAL,
+  GRID_SYMMETRIES.ROTATION_180,
+  GRID_SYMMETRIES.ROTATION_90
+];
+
+// Symmetries that swap rows and columns
+const SQUARE_ONLY = [
+  GRID_SYMMETRIES.ROTATION_90,
+  GRID_SYMMETRIES.DIAGONAL,
+  GRID_SYMMETRIES.ANTI_DIAGONAL,
+  GRID_SYMMETRIES.FULL
+];
+
+// Transformations of a midpoint (x, y) in a W x H box of half cells
+const reflectLeftRight = ({ x, y }, w) => ({ x: w - x, y });
+const reflectTopBottom = ({ x, y }, w, h) => ({ x, y: h - y });
+const rotateHalfTurn = ({ x, y }, w, h) => ({ x: w - x, y: h - y });
+const rotateQuarterTurn = ({ x, y }, w, h) => ({ x: h - y, y: x }); // clockwise on screen
+const reflectDiagonal = ({ x, y }) => ({ x: y, y: x });
+const reflectAntiDiagonal = ({ x, y }, w, h) => ({ x: h - y, y: w - x });
+
+// Transformations that generate each symmetry group
+const GENERATORS = {
+  [GRID_SYMMETRIES.NONE]: [],
+  [GRID_SYMMETRIES.LEFT_RIGHT]: [reflectLeftRight],
+  [GRID_SYMMETRIES.TOP_BOTTOM]: [reflectTopBottom],
+  [GRID_SYMMETRIES.BOTH_AXES]: [reflectLeftRight, reflectTopBottom],
+  [GRID_SYMMETRIES.ROTATION_180]: [rotateHalfTurn],
+  [GRID_SYMMETRIES.ROTATION_90]: [rotateQuarterTurn],
+  [GRID_SYMMETRIES.DIAGONAL]: [reflectDiagonal],
+  [GRID_SYMMETRIES.ANTI_DIAGONAL]: [reflectAntiDiagonal],
+  [GRID_SYMMETRIES.FULL]: [rotateQuarterTurn, reflectLeftRight]
+};
+
+/**
+ * Check if a symmetry can be used on a grid
+ * Quarter turns and diagonal reflections swap rows and columns, so they
+ * need a square grid whose rows and columns are glued alike. Grids on the
+ * triangular and hexagonal lattices have no symmetries here.
+ * @param {Grid} grid - The grid
+ * @param {string} symmetry - One of GRID_SYMMETRIES
+ * @returns {boolean} True if the symmetry can be used
+ */
+export function supportsSymmetry(grid, symmetry) {
+  if (!(symmetry in GENERATORS)) return false;
+  if (grid.lattice !== GRID_LATTICES.SQUARE) return symmetry === GRID_SYMMETRIES.NONE;
+  if (SQUARE_ONLY.includes(symmetry)) {
+    return grid.rows === grid.cols &&
+      (grid.topology === GRID_TOPOLOGIES.PLANE || grid.topology === GRID_TOPOLOGIES.TORUS);
+  }
+  return true;
+}
+
+/**
+ * Find the images of a grid line under a symmetry
+ * Images that fall on glued edges are mapped to the stored seam line;
+ * images outside the grid are left out.
+ * @param {Grid} grid - The grid
+ * @param {string} lineId - Grid line ID
+ * @param {string} symmetry - One of GRID_SYMMETRIES
+ * @returns {string[]} IDs of the line and all its images (the line first)
+ * @throws {Error} If the symmetry cannot be used on the grid
+ */
+export function getLineOrbit(grid, lineId, symmetry) {
+  if (!supportsSymmetry(grid, symmetry)) {
+    throw new Error(`The ${symmetry} symmetry cannot be used on a ${grid.rows}x${grid.cols} ${grid.topology} grid`);
+  }
+  const w = grid.cols * 2;
+  const h = grid.rows * 2;
+
+  const orbit = [lineId];
+  const seen = new Set(orbit);
+  for (let i = 0; i < orbit.length; i++) {
+    for (const transform of GENERATORS[symmetry]) {
+      const id = lineAtMidpoint(grid, transform(lineMidpoint(grid, orbit[i]), w, h));
+      if (id && !seen.has(id)) {
+        seen.add(id);
+        orbit.push(id);
+      }
+    }
+  }
+  return orbit;
+}
+
+/**
+ * Split the grid lines into orbits of a symmetry
+ * @param {Grid} grid - The grid
+ * @param {string} symmetry - One of GRID_SYMMETRIES
+ * @returns {string[][]} Every grid line ID, in exactly one orbit
+ * @throws {Error} If the symmetry cannot be used on the grid
+ */
+export function getLineOrbits(grid, symmetry) {
+  const orbits = [];
+  const assigned = new Set();
+  for (const id of grid.gridLines.keys()) {
+    if (assigned.has(id)) continue;
+    const orbit = getLineOrbit(grid, id, symmetry);
+    orbit.forEach(member => assigned.add(member));
+    orbits.push(orbit);
+  }
+  return orbits;
+}
+
+/**
+ * List every element of a symmetry group as a permutation of the grid lines
+ * @param {Grid} grid - The grid
+ * @param {string} symmetry - One of GRID_SYMMETRIES
+ * @returns {Array<Map<string, string>>} One map per group element (the
+ *   identity first) from line ID to image ID; lines whose image falls
+ *   outside the grid are missing from the map
+ * @throws {Error} If the symmetry cannot be used on the grid
+ */
+export function getSymmetryPermutations(grid, symmetry) {
+  if (!supportsSymmetry(grid, symmetry)) {
+    throw new Error(`The ${symmetry} symmetry cannot be used on a ${grid.rows}x${grid.cols} ${grid.topology} grid`);
+  }
+  const w = grid.cols * 2;
+  const h = grid.rows * 2;
+  const ids = [...grid.gridLines.keys()];
+
+  const generators = GENERATORS[symmetry].map(transform => {
+    const permutation = new Map();
+    ids.forEach(id => {
+      const image = lineAtMidpoint(grid, transform(lineMidpoint(grid, id), w, h));
+      if (image) permutation.set(id, image);
+    });
+    return permutation;
+  });
+
+  // Close the generators under composition
+  const key = permutation => ids.map(id => permutation.get(id) || '').join(',');
+  const elements = [new Map(ids.map(id => [id, id]))];
+  const seen = new Set([key(elements[0])]);
+  for (let i = 0; i < elements.length; i++) {
+    for (const generator of generators) {
+      const composed = new Map();
+      for (const [id, image] of elements[i]) {
+        if (generator.has(image)) composed.set(id, generator.get(image));
+      }
+      const composedKey = key(composed);
+      if (!seen.has(composedKey)) {
+        seen.add(composedKey);
+        elements.push(composed);
+      }
+    }
+  }
+  return elements;
+}
+
+/**
+ * Check if the mirrors of a grid have a symmetry
+ * @param {Grid} grid - The grid
+ * @param {string} symmetry - One of GRID_SYMMETRIES
+ * @returns {boolean} True if every orbit is all mirrors or all crossings
+ */
+export function hasSymmetry(grid, symmetry) {
+  return getLineOrbits(grid, symmetry).every(orbit => {
+    const isMirror = grid.getGridLine(orbit[0]).isMirror;
+    return orbit.every(id => grid.getGridLine(id).isMirror === isMirror);
+  });
+}
+
+/**
+ * Find the reflections and rotations that the mirrors of a grid have
+ * A symmetry only counts if it maps the whole grid, shape included, onto
+ * itself. Only the symmetries the grid supports are tried: the dihedral
+ * group of the square on square grids, the left-right, top-bottom and
+ * half-turn symmetries on other rectangles.
+ * @param {Grid} grid - The grid
+ * @returns {string[]} The elementary GRID_SYMMETRIES (single reflections
+ *   and rotations) the mirrors have
+ */
+export function detectSymmetries(grid) {
+  return ELEMENTARY_SYMMETRIES.filter(symmetry => {
+    if (!supportsSymmetry(grid, symmetry)) return false;
+    return getSymmetryPermutations(grid, symmetry).every(permutation => {
+      if (permutation.size !== grid.gridLines.size) return false;
+      for (const [id, image] of permutation) {
+        if (grid.getGridLine(id).isMirror !== grid.getGridLine(image).isMirror) return false;
+      }
+      return true;
+    });
+  });
+}
+
+/**
+ * Randomly flip interior mirrors while keeping a symmetry
+ * Like Grid.randomizeMirrors, but whole orbits are flipped together, so
+ * the result has the symmetry (orbits that are mixed at the start take
+ * the state of their first line).
+ * @param {Grid} grid - The grid (modified)
+ * @param {number} p - Chance of flipping each orbit
+ * @param {string} symmetry - One of GRID_SYMMETRIES
+ * @throws {Error} If p is not a probability or the symmetry cannot be used on the grid
+ */
+export function randomizeSymmetricMirrors(grid, p, symmetry) {
+  if (p < 0 || p > 1) {
+    throw new Error('Probability must be between 0 and 1');
+  }
+  for (const fullOrbit of getLineOrbits(grid, symmetry)) {
+    const orbit = fullOrbit.filter(id => !grid.isBoundaryGridLine(grid.getGridLine(id)));
+    if (orbit.length === 0) continue;
+    const isMirror = grid.getGridLine(orbit[0]).isMirror;
+    const state = Math.random() < p ? !isMirror : isMirror;
+    orbit.forEach(id => grid.setMirror(id, state));
+  }
+}
+
+// Midpoint of a grid line, in half cells
+function lineMidpoint(grid, lineId) {
+  const { type, row, col } = grid.parseGridLineId(lineId);
+  return type === 'h'
+    ? { x: col * 2 + 1, y: row * 2 }
+    : { x: col * 2, y: row * 2 + 1 };
+}
+
+// Grid line with a midpoint, or null if there is none
+function lineAtMidpoint(grid, { x, y }) {
+  const id = y % 2 === 0
+    ? grid.canonicalGridLineId('h', y / 2, (x - 1) / 2)
+    : grid.canonicalGridLineId('v', (y - 1) / 2, x / 2);
+  return grid.getGridLine(id) ? id : null;
+}
@@ -37,16 +37,21 @@ export function createButton({ id, text, onClick }) {
 
 /**
  * Create a textbox (text input)
- * 
+ * Pass multiline: true for a textarea with the given number of rows.
  */
-export function createTextbox({ id, placeholder = '', value = '', onChange }) {
-  const input = document.createElement('input');
-  input.type = 'text';
+export function createTextbox({ id, placeholder = '', value = '', multiline = false, rows = 5, onChange }) {
+  const input = document.createElement(multiline ? 'textarea' : 'input');
+  if (multiline) {
+    input.rows = rows;
+    input.spellcheck = false;
+  } else {
+    input.type = 'text';
+  }
   input.id = id;
   input.placeholder = placeholder;
   input.value = value;
-  input.className = 'control-textbox';
-  input.addEventListener('input', e => onChange(e.target.value));
+  input.className = multiline ? 'control-textbox control-textarea' : 'control-textbox';
+  if (onChange) input.addEventListener('input', e => onChange(e.target.value));
   return input;
 }
 
@@ -186,3 +191,43 @@ export function createSlider({ id, min, max, step, value, onChange }) {
   input.addEventListener('input', e => onChange(Number(e.target.value)));
   return input;
 }
+
+/**
+ * Update the value of a control created by these factories
+ * (checkboxes take a boolean, everything else a value)
+ * @param {string} id - element id
+ * @param {*} value
+ */
+export function setControlValue(id, value) {
+  const input = document.getElementById(id);
+  if (!input) return;
+  if (input.type === 'checkbox') {
+    input.checked = Boolean(value);
+  } else {
+    input.value = String(value);
+  }
+}
+
+/**
+ * Create a collapsible panel (details/summary)
+ * @param {Object} options
+ * @param {string} options.id          – element id
+ * @param {string} options.title       – text of the always-visible header
+ * @param {boolean} [options.open=false]
+ * @param {(open: boolean) => void} [options.onToggle]
+ * @returns {HTMLDetailsElement} Append content to the returned element
+ */
+export function createCollapsiblePanel({ id, title, open = false, onToggle }) {
+  const panel = document.createElement('details');
+  panel.id = id;
+  panel.className = 'control-panel';
+  panel.open = open;
+
+  const summary = document.createElement('summary');
+  summary.className = 'control-panel-title';
+  summary.textContent = title;
+  panel.appendChild(summary);
+
+  if (onToggle) panel.addEventListener('toggle', () => onToggle(panel.open));
+  return panel;
+}
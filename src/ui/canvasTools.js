@@ -0,0 +1,89 @@
+// src/ui/canvasTools.js
+// Pointer gestures of the mirror editing tools, shared by the desktop and mobile UIs
+
+import { dispatch, getState } from '../core/stateManager.js';
+import { GRID_LATTICES } from '../logic/grid.js';
+import { EDIT_TOOLS, PAINT_MODES, getSegmentLines, getRectangleLines } from '../logic/mirrorTools.js';
+import { hitTestGridLine, hitTestGridPoint } from './gridHitTest.js';
+
+// Distance in pixels between the points the brush samples along a fast drag
+const BRUSH_STEP = 4;
+
+/**
+ * Let the brush, line and rectangle tools paint on the canvas
+ * While a drag goes on, the lines it covers are shown as a preview
+ * (SET_TOOL_PREVIEW); releasing the pointer paints them all with a single
+ * PAINT_MIRRORS action. The toggle tool, and every tool while the curve
+ * solver's lock mode is on, is left to the click or tap handlers of the UIs.
+ * @param {HTMLCanvasElement} canvas
+ * @param {Object} [hitOptions] - Options for hitTestGridLine (wider for fingers)
+ */
+export function setupCanvasTools(canvas, hitOptions = {}) {
+  let gesture = null;
+
+  const position = event => {
+    const rect = canvas.getBoundingClientRect();
+    return { x: event.clientX - rect.left, y: event.clientY - rect.top };
+  };
+
+  function update(event) {
+    const { grid } = getState();
+    const to = position(event);
+    if (gesture.tool === EDIT_TOOLS.BRUSH) {
+      // Sample the path from the previous position, so quick strokes leave no gaps
+      const from = gesture.last || to;
+      const steps = Math.max(1, Math.ceil(Math.hypot(to.x - from.x, to.y - from.y) / BRUSH_STEP));
+      for (let step = 1; step <= steps; step++) {
+        const x = from.x + (to.x - from.x) * step / steps;
+        const y = from.y + (to.y - from.y) * step / steps;
+        const hit = hitTestGridLine(grid, x, y, canvas.width, canvas.height, hitOptions);
+        if (hit && !grid.isBoundaryGridLine(grid.getGridLine(hit.gridLineId))) {
+          gesture.lines.add(hit.gridLineId);
+        }
+      }
+      gesture.last = to;
+    } else {
+      const point = hitTestGridPoint(grid, to.x, to.y, canvas.width, canvas.height);
+      const getLines = gesture.tool === EDIT_TOOLS.LINE ? getSegmentLines : getRectangleLines;
+      gesture.lines = new Set(getLines(grid, gesture.start, point));
+    }
+    dispatch('SET_TOOL_PREVIEW', { gridLineIds: [...gesture.lines], isMirror: gesture.isMirror });
+  }
+
+  function end(event, paint) {
+    if (!gesture || event.pointerId !== gesture.pointerId) return;
+    const { lines, isMirror } = gesture;
+    gesture = null;
+    dispatch('SET_TOOL_PREVIEW', null);
+    if (paint && lines.size) {
+      dispatch('PAINT_MIRRORS', { gridLineIds: [...lines], isMirror });
+    }
+  }
+
+  canvas.addEventListener('pointerdown', event => {
+    const { grid, settings } = getState();
+    const tool = settings.editTool;
+    if (gesture || !event.isPrimary || event.button > 0 || !grid || tool === EDIT_TOOLS.TOGGLE || settings.lockMode) return;
+    // The line and rectangle tools follow the rows and columns of a square grid
+    if (tool !== EDIT_TOOLS.BRUSH && grid.lattice !== GRID_LATTICES.SQUARE) return;
+
+    event.preventDefault();
+    canvas.setPointerCapture(event.pointerId);
+    const { x, y } = position(event);
+    gesture = {
+      pointerId: event.pointerId,
+      tool,
+      isMirror: settings.paintMode !== PAINT_MODES.ERASE,
+      start: hitTestGridPoint(grid, x, y, canvas.width, canvas.height),
+      last: null,
+      lines: new Set()
+    };
+    update(event);
+  });
+
+  canvas.addEventListener('pointermove', event => {
+    if (gesture && event.pointerId === gesture.pointerId) update(event);
+  });
+  canvas.addEventListener('pointerup', event => end(event, true));
+  canvas.addEventListener('pointercancel', event => end(event, false));
+}
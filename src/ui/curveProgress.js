@@ -0,0 +1,42 @@
+// src/ui/curveProgress.js
+// Progress line and Cancel button for the All Curves computation
+
+import { createButton } from './baseControls.js';
+import { dispatch } from '../core/stateManager.js';
+import { on } from '../core/eventEmitter.js';
+
+/**
+ * Create the progress display of the All Curves computation
+ * Follows the CURVES_PROGRESS events of the state manager; the Cancel
+ * button is only shown while curves are being found.
+ * @returns {HTMLDivElement}
+ */
+export function createCurveProgress() {
+  const container = document.createElement('div');
+  container.className = 'curve-progress';
+
+  const status = document.createElement('div');
+  status.className = 'panel-status';
+  container.appendChild(status);
+
+  const cancelButton = createButton({
+    id: 'btn-cancel-curves',
+    text: 'Cancel',
+    onClick: () => dispatch('CANCEL_CURVES')
+  });
+  cancelButton.hidden = true;
+  container.appendChild(cancelButton);
+
+  on('CURVES_PROGRESS', ({ running, found, progress, message }) => {
+    cancelButton.hidden = !running;
+    if (message) {
+      status.textContent = message;
+    } else if (running) {
+      status.textContent = `Finding curves… ${Math.floor(progress * 100)}% (${found} found)`;
+    } else {
+      status.textContent = `${found} ${found === 1 ? 'curve' : 'curves'} found.`;
+    }
+  });
+
+  return container;
+}
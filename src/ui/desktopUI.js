@@ -6,9 +6,32 @@ import {
   createColorPicker,
   createDropdown,
     createSlider,
-    createInputBox
+    createInputBox,
+    createTextbox,
+    setControlValue
 } from './baseControls.js';
 import { dispatch, getState } from '../core/stateManager.js';
+import { on } from '../core/eventEmitter.js';
+import { downloadTextFile, openTextFile, copyText } from './fileIO.js';
+import { startFresh } from '../core/autosave.js';
+import { getPermalink } from '../core/permalink.js';
+import { createDownloadMenu } from './downloadMenu.js';
+import { createStatsPanel } from './statsPanel.js';
+import { createLinkPanel } from './linkPanel.js';
+import { createPolynomialPanel } from './polynomialPanel.js';
+import { createSolverPanel } from './solverPanel.js';
+import { createSymmetryPanel } from './symmetryPanel.js';
+import { createLundaPanel } from './lundaPanel.js';
+import { createFacePanel } from './facePanel.js';
+import { createResizePanel } from './resizePanel.js';
+import { createToolPanel } from './toolPanel.js';
+import { createImagePanel } from './imagePanel.js';
+import { setupCanvasTools } from './canvasTools.js';
+import { createCurveProgress } from './curveProgress.js';
+import { hitTestGridLine } from './gridHitTest.js';
+import { GRID_SHAPES } from '../logic/gridShapes.js';
+import { GRID_LATTICES, GRID_TOPOLOGIES } from '../logic/grid.js';
+import { EDIT_TOOLS } from '../logic/mirrorTools.js';
 
 export function setup() {
     const app = document.getElementById('app');
@@ -28,6 +51,7 @@ export function setup() {
     window.getState = getState; // Expose getState globally
     window.dispatch = dispatch; // Expose dispatch globally
     setupCanvasClickHandler(canvas); // Set up the click handler
+    setupCanvasTools(canvas); // Brush, line and rectangle gestures
 
     // Create floating tab container - now permanently visible
     const tab = document.createElement('div');
@@ -69,6 +93,68 @@ export function setup() {
     });
     content.appendChild(createControlGroup('Columns', colsInput));
 
+    // --- GRID LATTICE DROPDOWN ---
+    // Shapes and topologies only apply to the square lattice
+    const latticeDropdown = createDropdown({
+        id: 'lattice-dropdown',
+        options: [
+            { value: GRID_LATTICES.SQUARE, label: 'Square' },
+            { value: GRID_LATTICES.TRIANGULAR, label: 'Triangular' },
+            { value: GRID_LATTICES.HEXAGONAL, label: 'Hexagonal' }
+        ],
+        defaultValue: settings.gridLattice,
+        onChange: lattice => {
+            const rows = Number(document.getElementById('rows-input').value);
+            const cols = Number(document.getElementById('cols-input').value);
+            dispatch('UPDATE_GRID', { rows, cols, lattice });
+        }
+    });
+    content.appendChild(createControlGroup('Lattice', latticeDropdown));
+
+    // --- GRID SHAPE DROPDOWN ---
+    const shapeDropdown = createDropdown({
+        id: 'shape-dropdown',
+        options: [
+            { value: GRID_SHAPES.RECTANGLE, label: 'Rectangle' },
+            { value: GRID_SHAPES.CROSS, label: 'Cross' },
+            { value: GRID_SHAPES.L_SHAPE, label: 'L-Shape' },
+            { value: GRID_SHAPES.RING, label: 'Ring' },
+            { value: GRID_SHAPES.CUSTOM, label: 'Custom' }
+        ],
+        defaultValue: settings.gridShape,
+        onChange: shape => {
+            const rows = Number(document.getElementById('rows-input').value);
+            const cols = Number(document.getElementById('cols-input').value);
+            dispatch('UPDATE_GRID', { rows, cols, shape });
+        }
+    });
+    content.appendChild(createControlGroup('Shape', shapeDropdown));
+
+    // --- GRID TOPOLOGY DROPDOWN ---
+    const topologyDropdown = createDropdown({
+        id: 'topology-dropdown',
+        options: [
+            { value: GRID_TOPOLOGIES.PLANE, label: 'Plane' },
+            { value: GRID_TOPOLOGIES.CYLINDER, label: 'Cylinder' },
+            { value: GRID_TOPOLOGIES.TORUS, label: 'Torus' },
+            { value: GRID_TOPOLOGIES.MOBIUS, label: 'Möbius Band' },
+            { value: GRID_TOPOLOGIES.KLEIN, label: 'Klein Bottle' }
+        ],
+        defaultValue: settings.gridTopology,
+        onChange: topology => {
+            const rows = Number(document.getElementById('rows-input').value);
+            const cols = Number(document.getElementById('cols-input').value);
+            dispatch('UPDATE_GRID', { rows, cols, topology });
+        }
+    });
+    content.appendChild(createControlGroup('Topology', topologyDropdown));
+
+    // --- RESIZE ---
+    content.appendChild(createResizePanel());
+
+    // --- EDITING TOOLS ---
+    content.appendChild(createToolPanel({ open: true }));
+
     // --- SHOW MIRRORS ---
     const showMirrors = createCheckbox({
 	id: 'show-mirrors',
@@ -105,6 +191,15 @@ export function setup() {
     });
     content.appendChild(createControlGroup('', showCenterDots));
 
+    // --- LINK DIAGRAM ---
+    const linkDiagram = createCheckbox({
+	id: 'link-diagram',
+	label: 'Link Diagram (over/under)',
+	checked: settings.linkDiagram,
+	onChange: checked => dispatch('TOGGLE_LINK_DIAGRAM', { show: checked })
+    });
+    content.appendChild(createControlGroup('', linkDiagram));
+
     // --- ANIMATION SPEED SLIDER ---
     const animationSpeedSlider = createSlider({
         id: 'animation-speed-slider',
@@ -163,8 +258,167 @@ export function setup() {
 	onClick: () => dispatch('ALL_CURVES')
     });
     content.appendChild(allCurveButton);
+    content.appendChild(createCurveProgress());
+
+    // --- SAVE / OPEN ---
+    const saveButton = createButton({
+	id: 'btn-save',
+	text: 'Save',
+	onClick: () => downloadTextFile('mirror-curve.json', dispatch('EXPORT_DOCUMENT'))
+    });
+    content.appendChild(saveButton);
+
+    const openButton = createButton({
+	id: 'btn-open',
+	text: 'Open',
+	onClick: () => openTextFile().then(({ name, text }) => {
+	    try {
+		dispatch('LOAD_DOCUMENT', { text });
+	    } catch (error) {
+		alert(`Could not open ${name}: ${error.message}`);
+	    }
+	}).catch(error => alert(error.message))
+    });
+    content.appendChild(openButton);
+
+    // Copies a link that opens the current design
+    const copyLinkButton = createButton({
+	id: 'btn-copy-link',
+	text: 'Copy Link',
+	onClick: () => {
+	    try {
+		copyText(getPermalink(), 'Copy this link:').then(() => {
+		    copyLinkButton.textContent = 'Link Copied';
+		    setTimeout(() => { copyLinkButton.textContent = 'Copy Link'; }, 1500);
+		});
+	    } catch (error) {
+		alert(`Could not make a link: ${error.message}`);
+	    }
+	}
+    });
+    content.appendChild(copyLinkButton);
+
+    // Drops the autosaved design and reloads with the defaults
+    const startFreshButton = createButton({
+	id: 'btn-start-fresh',
+	text: 'Start Fresh',
+	onClick: () => {
+	    if (confirm('Start fresh? The current design will be lost unless it is saved.')) startFresh();
+	}
+    });
+    content.appendChild(startFreshButton);
+
+    // --- DOWNLOAD MENU ---
+    content.appendChild(createControlGroup('Download', createDownloadMenu()));
+
+    // --- PNG IMAGE ---
+    content.appendChild(createImagePanel());
+
+    // --- MIRROR PATTERN ---
+    const patternBox = createTextbox({
+	id: 'pattern-textbox',
+	placeholder: '+-+-+\n|o o|\n+ +-+\n|o|o|\n+-+-+',
+	multiline: true,
+	rows: 7
+    });
+    content.appendChild(createControlGroup('Mirror Pattern', patternBox));
+
+    const copyPatternButton = createButton({
+	id: 'btn-copy-pattern',
+	text: 'Show Current Pattern',
+	onClick: () => {
+	    try {
+		patternBox.value = dispatch('EXPORT_NOTATION');
+	    } catch (error) {
+		alert(`Could not show the pattern: ${error.message}`);
+	    }
+	}
+    });
+    content.appendChild(copyPatternButton);
+
+    const applyPatternButton = createButton({
+	id: 'btn-apply-pattern',
+	text: 'Apply Pattern',
+	onClick: () => {
+	    try {
+		dispatch('APPLY_NOTATION', { text: patternBox.value });
+	    } catch (error) {
+		alert(`Could not apply the pattern: ${error.message}`);
+	    }
+	}
+    });
+    content.appendChild(applyPatternButton);
+
+    // --- CURVE STATISTICS ---
+    content.appendChild(createStatsPanel());
+
+    // --- LINK INVARIANTS ---
+    content.appendChild(createLinkPanel());
+
+    // --- JONES POLYNOMIAL ---
+    content.appendChild(createPolynomialPanel());
+
+    // --- SYMMETRY ---
+    content.appendChild(createSymmetryPanel());
+
+    // --- LUNDA DESIGN ---
+    content.appendChild(createLundaPanel());
+
+    // --- FACE FILL ---
+    content.appendChild(createFacePanel());
+
+    // --- CURVE SOLVER ---
+    content.appendChild(createSolverPanel());
+
+    // --- UNDO / REDO KEYS ---
+    // Ctrl+Z undoes, Ctrl+Shift+Z (or Ctrl+Y) redoes; text fields keep their own undo
+    document.addEventListener('keydown', event => {
+	if (!(event.ctrlKey || event.metaKey) || event.altKey) return;
+	if (event.target instanceof Element && event.target.closest('input, textarea, select')) return;
+	const key = event.key.toLowerCase();
+	if (key === 'z' || key === 'y') {
+	    event.preventDefault();
+	    dispatch(key === 'z' && !event.shiftKey ? 'UNDO' : 'REDO');
+	}
+    });
+
+    // Keep the controls in step with a loaded document
+    on('DOCUMENT_LOADED', syncControls);
+    // Resizing and scaling change the size behind the Rows and Columns inputs, and the shape
+    on('GRID_CHANGED', grid => {
+	setControlValue('rows-input', grid.rows);
+	setControlValue('cols-input', grid.cols);
+	setControlValue('shape-dropdown', getState().settings.gridShape);
+    });
 
     
+    // --- CONTROL SYNC ---
+    function syncControls({ grid, settings }) {
+	setControlValue('rows-input', grid.rows);
+	setControlValue('cols-input', grid.cols);
+	setControlValue('lattice-dropdown', settings.gridLattice);
+	setControlValue('shape-dropdown', settings.gridShape);
+	setControlValue('topology-dropdown', settings.gridTopology);
+	setControlValue('resize-anchor-dropdown', settings.resizeAnchor);
+	setControlValue('show-mirrors', settings.showMirrors);
+	setControlValue('show-grid-lines', settings.showGridLines);
+	setControlValue('show-grid-dots', settings.showGridPoints);
+	setControlValue('show-center-dots', settings.showCenterDots);
+	setControlValue('link-diagram', settings.linkDiagram);
+	setControlValue('animation-speed-slider', settings.animationSpeed);
+	setControlValue('animation-style-dropdown', settings.animationStyle);
+	setControlValue('symmetry-dropdown', settings.symmetry);
+	setControlValue('symmetric-editing', settings.symmetricEditing);
+	setControlValue('solver-lock-mode', settings.lockMode);
+	setControlValue('edit-tool-dropdown', settings.editTool);
+	setControlValue('paint-mode-dropdown', settings.paintMode);
+	setControlValue('lunda-design', settings.lundaDesign);
+	setControlValue('lunda-order-dropdown', settings.lundaOrder);
+	settings.lundaColors.forEach((color, index) => setControlValue(`lunda-color-${index}`, color));
+	setControlValue('face-fill-dropdown', settings.faceFill);
+	settings.faceColors.forEach((color, index) => setControlValue(`face-color-${index}`, color));
+    }
+
     // --- CLICK HANDLER ---
     function setupCanvasClickHandler(canvas) {
 	// Add click event listener to the canvas
@@ -180,69 +434,29 @@ export function setup() {
 	const x = event.clientX - rect.left;
 	const y = event.clientY - rect.top;
 	
-	// Convert to grid coordinates (need to match calculations from drawScreen)
-	const width = canvas.width;
-	const height = canvas.height;
-	
 	// Get current grid state
 	const state = window.getState(); // Assuming getState is accessible
 	if (!state || !state.grid) return;
+
+	// The other tools paint with drags (see setupCanvasTools)
+	if (state.settings.editTool !== EDIT_TOOLS.TOGGLE && !state.settings.lockMode) return;
 	
-	const grid = state.grid;
-	
-	// Calculate the same grid layout parameters as in drawScreen
-	const minDimension = Math.min(width, height);
-	const padding = minDimension * 0.05;
-	const drawableWidth = width - (padding * 2);
-	const drawableHeight = height - (padding * 2);
-	
-	const cellSize = Math.min(drawableWidth / grid.cols, drawableHeight / grid.rows);
-	const cellW = cellSize;
-	const cellH = cellSize;
-	
-	const offsetX = padding + (drawableWidth - (cellSize * grid.cols)) / 2;
-	const offsetY = padding + (drawableHeight - (cellSize * grid.rows)) / 2;
-	
-	// Adjust coordinates to account for the grid offset
-	const gridX = x - offsetX;
-	const gridY = y - offsetY;
-	
-	// Find the closest grid line
-	// For each point, check distance to horizontal and vertical lines
-	
-	// Convert to grid cell coordinates
-	const cellCol = Math.floor(gridX / cellW);
-	const cellRow = Math.floor(gridY / cellH);
-	
-	// Position within the cell (0-1)
-	const cellXPos = (gridX % cellW) / cellW;
-	const cellYPos = (gridY % cellH) / cellH;
-	
-	// Proximity threshold (how close to the line)
-	const threshold = 0.15;
-	
-	let gridLineId = null;
+	// Find the grid line under the click (same layout as drawScreen)
+	const hit = hitTestGridLine(state.grid, x, y, canvas.width, canvas.height, { threshold: 0.15 });
+	if (!hit) return;
 	
-	// Check if we're close to a horizontal line
-	if (cellYPos < threshold) {
-            // Close to the top horizontal line
-            gridLineId = grid.generateGridLineId('h', cellRow, cellCol);
-	} else if (cellYPos > (1 - threshold)) {
-            // Close to the bottom horizontal line
-            gridLineId = grid.generateGridLineId('h', cellRow + 1, cellCol);
-	}
-	// Check if we're close to a vertical line
-	else if (cellXPos < threshold) {
-            // Close to the left vertical line
-            gridLineId = grid.generateGridLineId('v', cellRow, cellCol);
-	} else if (cellXPos > (1 - threshold)) {
-            // Close to the right vertical line
-            gridLineId = grid.generateGridLineId('v', cellRow, cellCol + 1);
+	// In lock mode (see the solver panel), clicking locks or unlocks the line
+	if (state.settings.lockMode) {
+            window.dispatch('TOGGLE_LINE_LOCK', { gridLineId: hit.gridLineId });
+            return;
 	}
 	
-	// If we found a grid line, toggle its mirror state
-	if (gridLineId && grid.getGridLine(gridLineId)) {
-            window.dispatch('TOGGLE_MIRROR', { gridLineId });
+	// In a link diagram, clicking a crossing flips it; otherwise toggle the mirror
+	const line = state.grid.getGridLine(hit.gridLineId);
+	if (state.settings.linkDiagram && hit.atMidpoint && !line.isMirror) {
+            window.dispatch('TOGGLE_CROSSING', { gridLineId: hit.gridLineId });
+	} else {
+            window.dispatch('TOGGLE_MIRROR', { gridLineId: hit.gridLineId });
 	}
     }
 
@@ -0,0 +1,74 @@
+// src/ui/downloadMenu.js
+// Download menu shared by the desktop and mobile UIs
+
+import { createDropdown } from './baseControls.js';
+import { dispatch, getState } from '../core/stateManager.js';
+import { renderSvg } from '../core/screenDrawer.js';
+import { downloadTextFile } from './fileIO.js';
+
+// Menu entries: label, file name, MIME type and how to produce the text
+const DOWNLOADS = [
+  {
+    value: 'document',
+    label: 'Document (JSON)',
+    filename: 'mirror-curve.json',
+    mimeType: 'application/json',
+    create: () => dispatch('EXPORT_DOCUMENT')
+  },
+  {
+    value: 'svg',
+    label: 'Drawing (SVG)',
+    filename: 'mirror-curve.svg',
+    mimeType: 'image/svg+xml',
+    create: () => renderSvg(getState())
+  },
+  {
+    value: 'pd',
+    label: 'PD code',
+    filename: 'mirror-curve-pd.txt',
+    mimeType: 'text/plain',
+    create: () => dispatch('EXPORT_KNOT_CODE', { format: 'pd' })
+  },
+  {
+    value: 'dt',
+    label: 'DT code',
+    filename: 'mirror-curve-dt.txt',
+    mimeType: 'text/plain',
+    create: () => dispatch('EXPORT_KNOT_CODE', { format: 'dt' })
+  },
+  {
+    value: 'lunda',
+    label: 'Lunda design matrix',
+    filename: 'mirror-curve-lunda.txt',
+    mimeType: 'text/plain',
+    create: () => dispatch('EXPORT_LUNDA_DESIGN')
+  }
+];
+
+/**
+ * Create the download menu
+ * Picking an entry downloads it and resets the menu; diagrams that cannot
+ * be written in the chosen format are reported with an alert.
+ * @returns {HTMLSelectElement}
+ */
+export function createDownloadMenu() {
+  const menu = createDropdown({
+    id: 'download-dropdown',
+    options: [
+      { value: '', label: 'Download…' },
+      ...DOWNLOADS.map(({ value, label }) => ({ value, label }))
+    ],
+    defaultValue: '',
+    onChange: value => {
+      menu.value = '';
+      const entry = DOWNLOADS.find(download => download.value === value);
+      if (!entry) return;
+      try {
+        downloadTextFile(entry.filename, entry.create(), entry.mimeType);
+      } catch (error) {
+        alert(`Could not export the ${entry.label}: ${error.message}`);
+      }
+    }
+  });
+  return menu;
+}
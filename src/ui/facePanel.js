@@ -0,0 +1,88 @@
+// src/ui/facePanel.js
+// Collapsible panel with the fill of the faces between curves and mirrors
+
+import {
+  createCollapsiblePanel,
+  createControlGroup,
+  createColorPicker,
+  createDropdown
+} from './baseControls.js';
+import { dispatch, getState } from '../core/stateManager.js';
+import { on } from '../core/eventEmitter.js';
+import { FACE_FILLS, computeDiagramFaces, colourDiagramFaces } from '../logic/diagramFaces.js';
+
+const FILL_OPTIONS = [
+  { value: FACE_FILLS.NONE, label: 'None' },
+  { value: FACE_FILLS.CHECKERBOARD, label: 'Checkerboard' },
+  { value: FACE_FILLS.PALETTE, label: 'Palette' }
+];
+
+/**
+ * Create the face fill panel
+ * Whether the faces can be coloured is checked whenever the grid, its
+ * mirrors or the fill change, but only while the panel is open.
+ * @param {Object} [options]
+ * @param {boolean} [options.open=false] - Start expanded
+ * @returns {HTMLDetailsElement}
+ */
+export function createFacePanel({ open = false } = {}) {
+  const { settings } = getState();
+  let stale = true;
+
+  const panel = createCollapsiblePanel({
+    id: 'face-panel',
+    title: 'Face Fill',
+    open,
+    onToggle: isOpen => {
+      if (isOpen && stale) refresh();
+    }
+  });
+
+  panel.appendChild(createControlGroup('Fill', createDropdown({
+    id: 'face-fill-dropdown',
+    options: FILL_OPTIONS,
+    defaultValue: settings.faceFill,
+    onChange: fill => {
+      dispatch('SET_FACE_FILL', { fill });
+      refresh();
+    }
+  })));
+
+  settings.faceColors.forEach((color, index) => {
+    panel.appendChild(createColorPicker({
+      id: `face-color-${index}`,
+      label: index < 2 ? `Colour ${index + 1}` : `Colour ${index + 1} (palette)`,
+      value: color,
+      onChange: value => dispatch('SET_FACE_COLOR', { index, color: value })
+    }));
+  });
+
+  const status = document.createElement('div');
+  status.className = 'panel-status';
+  panel.appendChild(status);
+
+  function refresh() {
+    const { grid, settings } = getState();
+    if (!grid) return;
+    try {
+      if (settings.faceFill !== FACE_FILLS.NONE) {
+        colourDiagramFaces(computeDiagramFaces(grid), {
+          fill: settings.faceFill,
+          colours: settings.faceColors.length
+        });
+      }
+      status.textContent = '';
+    } catch (error) {
+      status.textContent = error.message;
+    }
+    stale = false;
+  }
+
+  on('GRID_CHANGED', () => {
+    stale = true;
+    if (panel.open) refresh();
+  });
+
+  if (open) refresh();
+  return panel;
+}
@@ -0,0 +1,73 @@
+// src/ui/fileIO.js
+// Browser helpers for saving and opening files, and copying text
+
+/**
+ * Offer text to the user as a file download
+ * @param {string} filename - Suggested file name
+ * @param {string} text - File contents
+ * @param {string} [mimeType='application/json']
+ */
+export function downloadTextFile(filename, text, mimeType = 'application/json') {
+  downloadBlob(filename, new Blob([text], { type: mimeType }));
+}
+
+/**
+ * Offer binary data (such as an image) to the user as a file download
+ * @param {string} filename - Suggested file name
+ * @param {Blob} blob - File contents
+ */
+export function downloadBlob(filename, blob) {
+  const url = URL.createObjectURL(blob);
+
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+
+  // Give the browser a moment to start the download before releasing the URL
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+/**
+ * Ask the user to pick a file and read it as text
+ * @param {string} [accept='.json,application/json'] - Accepted file types
+ * @returns {Promise<{name: string, text: string}>} Resolves when a file has been read
+ */
+export function openTextFile(accept = '.json,application/json') {
+  return new Promise((resolve, reject) => {
+    const input = document.createElement('input');
+    input.type = 'file';
+    input.accept = accept;
+    input.addEventListener('change', () => {
+      const file = input.files && input.files[0];
+      if (!file) return;
+
+      const reader = new FileReader();
+      reader.onload = () => resolve({ name: file.name, text: reader.result });
+      reader.onerror = () => reject(new Error(`Could not read ${file.name}`));
+      reader.readAsText(file);
+    });
+    input.click();
+  });
+}
+
+/**
+ * Put text on the clipboard
+ * Where the clipboard cannot be written (no permission, or a page not
+ * served over HTTPS) the text is shown in a prompt to copy by hand.
+ * @param {string} text - Text to copy
+ * @param {string} [label='Copy this text:'] - Prompt message for the fallback
+ * @returns {Promise<void>}
+ */
+export function copyText(text, label = 'Copy this text:') {
+  const fallback = () => {
+    window.prompt(label, text);
+  };
+  if (!navigator.clipboard || !navigator.clipboard.writeText) {
+    fallback();
+    return Promise.resolve();
+  }
+  return navigator.clipboard.writeText(text).catch(fallback);
+}
@@ -0,0 +1,121 @@
+// src/ui/gridHitTest.js
+// Maps canvas positions to grid lines and points, shared by the desktop and mobile UIs
+
+import { GRID_LATTICES } from '../logic/grid.js';
+
+/**
+ * Find the grid line at a canvas position
+ * Uses the same layout as drawScreen (5% padding, square cells, centred grid).
+ * @param {Grid} grid - The current grid
+ * @param {number} x - Position relative to the canvas
+ * @param {number} y - Position relative to the canvas
+ * @param {number} width - Canvas width
+ * @param {number} height - Canvas height
+ * @param {Object} [options]
+ * @param {number} [options.threshold=0.15] - How close to a line counts as on it (fraction of a cell)
+ * @param {number} [options.midpointRadius=0.2] - How close to a line's midpoint counts as on its crossing (fraction of a cell)
+ * @returns {{gridLineId: string, atMidpoint: boolean}|null} The line hit, or null
+ */
+export function hitTestGridLine(grid, x, y, width, height, { threshold = 0.15, midpointRadius = 0.2 } = {}) {
+  const { cellSize, offsetX, offsetY } = getLayout(grid, width, height);
+
+  // Adjust coordinates to account for the grid offset
+  const gridX = x - offsetX;
+  const gridY = y - offsetY;
+
+  if (grid.lattice !== GRID_LATTICES.SQUARE) {
+    return hitTestLatticeLine(grid, gridX / cellSize, gridY / cellSize, threshold, midpointRadius);
+  }
+
+  // Convert to grid cell coordinates
+  const cellCol = Math.floor(gridX / cellSize);
+  const cellRow = Math.floor(gridY / cellSize);
+
+  // Ignore positions outside the active cells of the grid
+  if (!grid.isCellActive(cellRow, cellCol)) return null;
+
+  // Position within the cell (0-1)
+  const cellXPos = (gridX % cellSize) / cellSize;
+  const cellYPos = (gridY % cellSize) / cellSize;
+
+  let gridLineId = null;
+  let midpoint = null; // midpoint of the line, in cell coordinates
+
+  // Check if we're close to a horizontal line
+  if (cellYPos < threshold) {
+    gridLineId = grid.canonicalGridLineId('h', cellRow, cellCol);
+    midpoint = { x: 0.5, y: 0 };
+  } else if (cellYPos > (1 - threshold)) {
+    gridLineId = grid.canonicalGridLineId('h', cellRow + 1, cellCol);
+    midpoint = { x: 0.5, y: 1 };
+  }
+  // Check if we're close to a vertical line
+  else if (cellXPos < threshold) {
+    gridLineId = grid.canonicalGridLineId('v', cellRow, cellCol);
+    midpoint = { x: 0, y: 0.5 };
+  } else if (cellXPos > (1 - threshold)) {
+    gridLineId = grid.canonicalGridLineId('v', cellRow, cellCol + 1);
+    midpoint = { x: 1, y: 0.5 };
+  }
+
+  if (!gridLineId || !grid.getGridLine(gridLineId)) return null;
+
+  const atMidpoint = Math.hypot(cellXPos - midpoint.x, cellYPos - midpoint.y) < midpointRadius;
+  return { gridLineId, atMidpoint };
+}
+
+/**
+ * Find the grid point (cell corner) nearest to a canvas position
+ * Positions outside the grid snap to its border.
+ * @param {Grid} grid - The current grid (square lattice)
+ * @param {number} x - Position relative to the canvas
+ * @param {number} y - Position relative to the canvas
+ * @param {number} width - Canvas width
+ * @param {number} height - Canvas height
+ * @returns {{row: number, col: number}|null} The grid point, or null on other lattices
+ */
+export function hitTestGridPoint(grid, x, y, width, height) {
+  if (grid.lattice !== GRID_LATTICES.SQUARE) return null;
+  const { cellSize, offsetX, offsetY } = getLayout(grid, width, height);
+  const clamp = (value, max) => Math.max(0, Math.min(max, Math.round(value)));
+  return {
+    row: clamp((y - offsetY) / cellSize, grid.rows),
+    col: clamp((x - offsetX) / cellSize, grid.cols)
+  };
+}
+
+// The same grid layout parameters as in drawScreen
+function getLayout(grid, width, height) {
+  const minDimension = Math.min(width, height);
+  const padding = minDimension * 0.05;
+  const drawableWidth = width - (padding * 2);
+  const drawableHeight = height - (padding * 2);
+
+  const bounds = grid.getBounds();
+  const cellSize = Math.min(drawableWidth / bounds.width, drawableHeight / bounds.height);
+  const offsetX = padding + (drawableWidth - (cellSize * bounds.width)) / 2;
+  const offsetY = padding + (drawableHeight - (cellSize * bounds.height)) / 2;
+  return { cellSize, offsetX, offsetY };
+}
+
+// Nearest edge of a triangular or hexagonal grid to a point in cell units
+function hitTestLatticeLine(grid, x, y, threshold, midpointRadius) {
+  let best = null;
+  for (const gridLine of grid.gridLines.values()) {
+    for (const [from, to] of grid.getLineSegments(gridLine)) {
+      const dx = to.x - from.x;
+      const dy = to.y - from.y;
+      const t = Math.max(0, Math.min(1, ((x - from.x) * dx + (y - from.y) * dy) / (dx * dx + dy * dy)));
+      const distance = Math.hypot(x - (from.x + t * dx), y - (from.y + t * dy));
+      if (distance < threshold && (!best || distance < best.distance)) {
+        const midpoint = { x: (from.x + to.x) / 2, y: (from.y + to.y) / 2 };
+        best = {
+          distance,
+          gridLineId: gridLine.id,
+          atMidpoint: Math.hypot(x - midpoint.x, y - midpoint.y) < midpointRadius
+        };
+      }
+    }
+  }
+  return best && { gridLineId: best.gridLineId, atMidpoint: best.atMidpoint };
+}
@@ -0,0 +1,192 @@
+// src/ui/imagePanel.js
+// Collapsible panel for exporting the drawing as a PNG image of a chosen size
+
+import {
+  createCollapsiblePanel,
+  createControlGroup,
+  createButton,
+  createColorPicker,
+  createDropdown,
+  createInputBox
+} from './baseControls.js';
+import { getState } from '../core/stateManager.js';
+import { renderImage, MAX_IMAGE_SIZE } from '../core/screenDrawer.js';
+import { downloadBlob } from './fileIO.js';
+
+// Ways to give the image size
+const SIZE_MODES = {
+  PIXELS: 'pixels',
+  PRINT: 'print'
+};
+
+const SIZE_OPTIONS = [
+  { value: SIZE_MODES.PIXELS, label: 'Pixels' },
+  { value: SIZE_MODES.PRINT, label: 'Print Size (DPI)' }
+];
+
+const BACKGROUND_OPTIONS = [
+  { value: 'transparent', label: 'Transparent' },
+  { value: 'solid', label: 'Solid Colour' }
+];
+
+// Resolution of the screen, where line widths are given
+const SCREEN_DPI = 96;
+
+// Lines of a pixel-sized image are as thick as on a canvas this wide
+const REFERENCE_WIDTH = 800;
+
+const MM_PER_INCH = 25.4;
+
+/**
+ * Create the PNG export panel
+ * The size is given either in pixels or as a print width and DPI; the
+ * height follows from the shape of the grid. Line widths grow with the
+ * image, so it looks like the screen at any resolution. The drawing is
+ * rendered off screen, so the canvas on the page is not affected.
+ * @param {Object} [options]
+ * @param {boolean} [options.open=false] - Start expanded
+ * @returns {HTMLDetailsElement}
+ */
+export function createImagePanel({ open = false } = {}) {
+  const options = {
+    mode: SIZE_MODES.PIXELS,
+    width: 2000,
+    printWidth: 200,
+    dpi: 300,
+    padding: 5,
+    background: 'transparent',
+    color: '#ffffff'
+  };
+
+  const panel = createCollapsiblePanel({
+    id: 'image-panel',
+    title: 'PNG Image',
+    open
+  });
+
+  panel.appendChild(createControlGroup('Size In', createDropdown({
+    id: 'image-size-dropdown',
+    options: SIZE_OPTIONS,
+    defaultValue: options.mode,
+    onChange: mode => {
+      options.mode = mode;
+      update();
+    }
+  })));
+
+  const pixelGroup = createControlGroup('Width (px)', createInputBox({
+    id: 'image-width-input',
+    value: options.width,
+    min: 1,
+    max: MAX_IMAGE_SIZE,
+    onChange: value => setOption('width', value)
+  }));
+  panel.appendChild(pixelGroup);
+
+  const printGroups = [
+    createControlGroup('Width (mm)', createInputBox({
+      id: 'image-print-width-input',
+      value: options.printWidth,
+      min: 1,
+      onChange: value => setOption('printWidth', value)
+    })),
+    createControlGroup('DPI', createInputBox({
+      id: 'image-dpi-input',
+      value: options.dpi,
+      min: 1,
+      onChange: value => setOption('dpi', value)
+    }))
+  ];
+  printGroups.forEach(group => panel.appendChild(group));
+
+  panel.appendChild(createControlGroup('Padding (%)', createInputBox({
+    id: 'image-padding-input',
+    value: options.padding,
+    min: 0,
+    max: 45,
+    onChange: value => setOption('padding', value)
+  })));
+
+  panel.appendChild(createControlGroup('Background', createDropdown({
+    id: 'image-background-dropdown',
+    options: BACKGROUND_OPTIONS,
+    defaultValue: options.background,
+    onChange: background => {
+      options.background = background;
+      update();
+    }
+  })));
+
+  const colorPicker = createColorPicker({
+    id: 'image-background-color',
+    label: 'Colour',
+    value: options.color,
+    onChange: color => {
+      options.color = color;
+    }
+  });
+  panel.appendChild(colorPicker);
+
+  const buttons = document.createElement('div');
+  buttons.className = 'panel-buttons';
+  buttons.appendChild(createButton({
+    id: 'btn-download-png',
+    text: 'Download PNG',
+    onClick: download
+  }));
+  panel.appendChild(buttons);
+
+  const status = document.createElement('div');
+  status.className = 'panel-status';
+  panel.appendChild(status);
+
+  function setOption(key, value) {
+    options[key] = value;
+    update();
+  }
+
+  // Width in pixels and image pixels per screen pixel
+  function getSize() {
+    if (options.mode === SIZE_MODES.PRINT) {
+      return {
+        width: Math.round(options.printWidth / MM_PER_INCH * options.dpi),
+        scale: options.dpi / SCREEN_DPI
+      };
+    }
+    return { width: options.width, scale: options.width / REFERENCE_WIDTH };
+  }
+
+  function update() {
+    pixelGroup.hidden = options.mode !== SIZE_MODES.PIXELS;
+    printGroups.forEach(group => {
+      group.hidden = options.mode !== SIZE_MODES.PRINT;
+    });
+    colorPicker.hidden = options.background !== 'solid';
+    status.textContent = options.mode === SIZE_MODES.PRINT ? `${getSize().width} px wide` : '';
+  }
+
+  function download() {
+    let canvas;
+    try {
+      canvas = renderImage(getState(), {
+        ...getSize(),
+        padding: options.padding / 100,
+        backgroundColor: options.background === 'solid' ? options.color : 'transparent'
+      });
+    } catch (error) {
+      status.textContent = error.message;
+      return;
+    }
+    canvas.toBlob(blob => {
+      if (!blob) {
+        status.textContent = 'The browser could not create the image';
+        return;
+      }
+      downloadBlob('mirror-curve.png', blob);
+      status.textContent = `Saved a ${canvas.width}x${canvas.height} image`;
+    }, 'image/png');
+  }
+
+  update();
+  return panel;
+}
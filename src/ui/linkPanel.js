@@ -0,0 +1,122 @@
+// src/ui/linkPanel.js
+// Collapsible panel with the link invariants of the current grid
+
+import { createCollapsiblePanel, createButton } from './baseControls.js';
+import { getState } from '../core/stateManager.js';
+import { on } from '../core/eventEmitter.js';
+import { computeLinkInvariants } from '../logic/linkInvariants.js';
+import { downloadTextFile } from './fileIO.js';
+
+/**
+ * Create the link invariants panel
+ * The invariants are recomputed whenever the grid, its mirrors or its
+ * crossings change, but only while the panel is open.
+ * @param {Object} [options]
+ * @param {boolean} [options.open=false] - Start expanded
+ * @returns {HTMLDetailsElement}
+ */
+export function createLinkPanel({ open = false } = {}) {
+  let invariants = null;
+
+  const body = document.createElement('div');
+  body.className = 'stats-panel';
+
+  const panel = createCollapsiblePanel({
+    id: 'link-panel',
+    title: 'Link Invariants',
+    open,
+    onToggle: isOpen => {
+      if (isOpen && !invariants) refresh();
+    }
+  });
+  panel.appendChild(body);
+
+  panel.appendChild(createButton({
+    id: 'btn-export-invariants',
+    text: 'Export JSON',
+    onClick: () => {
+      if (!invariants) refresh();
+      if (!invariants) return;
+      downloadTextFile('link-invariants.json', JSON.stringify(invariants, null, 2));
+    }
+  }));
+
+  function refresh() {
+    const { grid, settings } = getState();
+    if (!grid) return;
+    try {
+      invariants = computeLinkInvariants(grid);
+    } catch (error) {
+      // e.g. a grid on another lattice or a torus
+      invariants = null;
+      body.innerHTML = '';
+      const status = document.createElement('div');
+      status.className = 'panel-status';
+      status.textContent = error.message;
+      body.appendChild(status);
+      return;
+    }
+    renderInvariants(body, invariants, settings.colorScheme);
+  }
+
+  on('GRID_CHANGED', () => {
+    invariants = null;
+    if (panel.open) refresh();
+  });
+
+  if (open) refresh();
+  return panel;
+}
+
+/**
+ * Fill the panel body with the invariants
+ */
+function renderInvariants(body, invariants, colorScheme) {
+  body.innerHTML = '';
+
+  const summary = document.createElement('dl');
+  summary.className = 'stats-summary';
+  [
+    ['Crossings', invariants.crossings.length],
+    ['Writhe', invariants.writhe]
+  ].forEach(([label, value]) => {
+    const dt = document.createElement('dt');
+    dt.textContent = label;
+    const dd = document.createElement('dd');
+    dd.textContent = value;
+    summary.appendChild(dt);
+    summary.appendChild(dd);
+  });
+  body.appendChild(summary);
+
+  // Gauss code and writhe of each component, coloured like the drawn curves
+  const list = document.createElement('ol');
+  list.className = 'gauss-codes';
+  invariants.components.forEach((component, idx) => {
+    const item = document.createElement('li');
+    item.style.color = colorScheme[idx % colorScheme.length];
+    item.textContent = `w=${component.writhe}: ${component.gaussCodeText || '(no crossings)'}`;
+    list.appendChild(item);
+  });
+  body.appendChild(list);
+
+  // Linking numbers, one row and column per component
+  if (invariants.components.length > 1) {
+    const table = document.createElement('table');
+    table.className = 'stats-table';
+    const header = table.insertRow();
+    ['lk', ...invariants.components.map((_, idx) => idx + 1)].forEach(text => {
+      const th = document.createElement('th');
+      th.textContent = text;
+      header.appendChild(th);
+    });
+    invariants.linkingNumbers.forEach((row, idx) => {
+      const tr = table.insertRow();
+      [idx + 1, ...row.map((value, col) => (col === idx ? '·' : value))].forEach(value => {
+        tr.insertCell().textContent = value;
+      });
+      tr.cells[0].style.color = colorScheme[idx % colorScheme.length];
+    });
+    body.appendChild(table);
+  }
+}
@@ -0,0 +1,83 @@
+// src/ui/lundaPanel.js
+// Collapsible panel with the Lunda design render options
+
+import {
+  createCollapsiblePanel,
+  createControlGroup,
+  createCheckbox,
+  createColorPicker,
+  createDropdown
+} from './baseControls.js';
+import { dispatch, getState } from '../core/stateManager.js';
+import { on } from '../core/eventEmitter.js';
+import { LUNDA_ORDERS, computeLundaDesign } from '../logic/lundaDesign.js';
+
+/**
+ * Create the Lunda design panel
+ * Whether the current mirrors allow a design is checked whenever the grid
+ * or its mirrors change, but only while the panel is open. The colour
+ * matrix is exported from the download menu.
+ * @param {Object} [options]
+ * @param {boolean} [options.open=false] - Start expanded
+ * @returns {HTMLDetailsElement}
+ */
+export function createLundaPanel({ open = false } = {}) {
+  const { settings } = getState();
+  let stale = true;
+
+  const panel = createCollapsiblePanel({
+    id: 'lunda-panel',
+    title: 'Lunda Design',
+    open,
+    onToggle: isOpen => {
+      if (isOpen && stale) refresh();
+    }
+  });
+
+  panel.appendChild(createCheckbox({
+    id: 'lunda-design',
+    label: 'Colour Unit Squares',
+    checked: settings.lundaDesign,
+    onChange: checked => dispatch('TOGGLE_LUNDA_DESIGN', { show: checked })
+  }));
+
+  panel.appendChild(createControlGroup('Order', createDropdown({
+    id: 'lunda-order-dropdown',
+    options: LUNDA_ORDERS.map(order => ({ value: String(order), label: `${order} colours` })),
+    defaultValue: String(settings.lundaOrder),
+    onChange: order => dispatch('SET_LUNDA_ORDER', { order: Number(order) })
+  })));
+
+  settings.lundaColors.forEach((color, index) => {
+    panel.appendChild(createColorPicker({
+      id: `lunda-color-${index}`,
+      label: index < 2 ? `Colour ${index + 1}` : `Colour ${index + 1} (order 3)`,
+      value: color,
+      onChange: value => dispatch('SET_LUNDA_COLOR', { index, color: value })
+    }));
+  });
+
+  const status = document.createElement('div');
+  status.className = 'panel-status';
+  panel.appendChild(status);
+
+  function refresh() {
+    const { grid } = getState();
+    if (!grid) return;
+    try {
+      computeLundaDesign(grid);
+      status.textContent = '';
+    } catch (error) {
+      status.textContent = error.message;
+    }
+    stale = false;
+  }
+
+  on('GRID_CHANGED', () => {
+    stale = true;
+    if (panel.open) refresh();
+  });
+
+  if (open) refresh();
+  return panel;
+}
@@ -7,9 +7,31 @@ import {
   createCheckbox,
   createSlider,
   createDropdown,
-  createControlGroup
+  createControlGroup,
+  setControlValue
 } from './baseControls.js';
 import { dispatch, getState } from '../core/stateManager.js';
+import { on } from '../core/eventEmitter.js';
+import { downloadTextFile, openTextFile, copyText } from './fileIO.js';
+import { startFresh } from '../core/autosave.js';
+import { getPermalink } from '../core/permalink.js';
+import { createDownloadMenu } from './downloadMenu.js';
+import { createStatsPanel } from './statsPanel.js';
+import { createLinkPanel } from './linkPanel.js';
+import { createPolynomialPanel } from './polynomialPanel.js';
+import { createSolverPanel } from './solverPanel.js';
+import { createSymmetryPanel } from './symmetryPanel.js';
+import { createLundaPanel } from './lundaPanel.js';
+import { createFacePanel } from './facePanel.js';
+import { createResizePanel } from './resizePanel.js';
+import { createToolPanel } from './toolPanel.js';
+import { createImagePanel } from './imagePanel.js';
+import { setupCanvasTools } from './canvasTools.js';
+import { createCurveProgress } from './curveProgress.js';
+import { hitTestGridLine } from './gridHitTest.js';
+import { GRID_SHAPES } from '../logic/gridShapes.js';
+import { GRID_LATTICES, GRID_TOPOLOGIES } from '../logic/grid.js';
+import { EDIT_TOOLS } from '../logic/mirrorTools.js';
 
 // Debounce function to limit how often a function can fire
 function debounce(func, wait) {
@@ -62,70 +84,36 @@ function handleCanvasTouch(event) {
   const x = touch.clientX - rect.left;
   const y = touch.clientY - rect.top;
   
-  // Convert to grid coordinates
-  const width = canvas.width;
-  const height = canvas.height;
-  
   // Get current grid state
   const state = getState(); // Assuming getState is accessible
   if (!state || !state.grid) return;
+
+  // The other tools paint with drags (see setupCanvasTools)
+  if (state.settings.editTool !== EDIT_TOOLS.TOGGLE && !state.settings.lockMode) return;
   
-  const grid = state.grid;
-  
-  // Calculate the same grid layout parameters as in drawScreen
-  const minDimension = Math.min(width, height);
-  const padding = minDimension * 0.05;
-  const drawableWidth = width - (padding * 2);
-  const drawableHeight = height - (padding * 2);
-  
-  const cellSize = Math.min(drawableWidth / grid.cols, drawableHeight / grid.rows);
-  const cellW = cellSize;
-  const cellH = cellSize;
-  
-  const offsetX = padding + (drawableWidth - (cellSize * grid.cols)) / 2;
-  const offsetY = padding + (drawableHeight - (cellSize * grid.rows)) / 2;
-  
-  // Adjust coordinates to account for the grid offset
-  const gridX = x - offsetX;
-  const gridY = y - offsetY;
-  
-  // Convert to grid cell coordinates
-  const cellCol = Math.floor(gridX / cellW);
-  const cellRow = Math.floor(gridY / cellH);
-  
-  // Position within the cell (0-1)
-  const cellXPos = (gridX % cellW) / cellW;
-  const cellYPos = (gridY % cellH) / cellH;
-  
+  // Find the grid line under the touch (same layout as drawScreen)
   // Increase threshold for touch (fingers are less precise than mouse)
-  const threshold = 0.2; // 20% of cell size
+  const hit = hitTestGridLine(state.grid, x, y, canvas.width, canvas.height, {
+    threshold: 0.2,
+    midpointRadius: 0.25
+  });
+  if (!hit) return;
   
-  let gridLineId = null;
+  // Add visual feedback for the touch
+  addTouchFeedback(canvas, x, y);
   
-  // Check if we're close to a horizontal line
-  if (cellYPos < threshold) {
-    // Close to the top horizontal line
-    gridLineId = grid.generateGridLineId('h', cellRow, cellCol);
-  } else if (cellYPos > (1 - threshold)) {
-    // Close to the bottom horizontal line
-    gridLineId = grid.generateGridLineId('h', cellRow + 1, cellCol);
-  }
-  // Check if we're close to a vertical line
-  else if (cellXPos < threshold) {
-    // Close to the left vertical line
-    gridLineId = grid.generateGridLineId('v', cellRow, cellCol);
-  } else if (cellXPos > (1 - threshold)) {
-    // Close to the right vertical line
-    gridLineId = grid.generateGridLineId('v', cellRow, cellCol + 1);
+  // In lock mode (see the solver panel), touching locks or unlocks the line
+  if (state.settings.lockMode) {
+    dispatch('TOGGLE_LINE_LOCK', { gridLineId: hit.gridLineId });
+    return;
   }
   
-  // If we found a grid line, toggle its mirror state
-  if (gridLineId && grid.getGridLine(gridLineId)) {
-    // Add visual feedback for the touch
-    addTouchFeedback(canvas, x, y);
-    
-    // Dispatch the toggle mirror action
-    dispatch('TOGGLE_MIRROR', { gridLineId });
+  // In a link diagram, touching a crossing flips it; otherwise toggle the mirror
+  const line = state.grid.getGridLine(hit.gridLineId);
+  if (state.settings.linkDiagram && hit.atMidpoint && !line.isMirror) {
+    dispatch('TOGGLE_CROSSING', { gridLineId: hit.gridLineId });
+  } else {
+    dispatch('TOGGLE_MIRROR', { gridLineId: hit.gridLineId });
   }
 }
 
@@ -191,6 +179,7 @@ export function setup() {
 
   // Setup touch handling for the canvas
   setupMobileTouchHandlers(canvas);
+  setupCanvasTools(canvas, { threshold: 0.2 });
 
   // --- Mobile Controls Grid ---
   const controls = document.createElement('div');
@@ -199,16 +188,28 @@ export function setup() {
     { id: 'next-line-btn', text: 'Next Line', event: 'NEXT_CURVE' },
     { id: 'all-lines-btn', text: 'All Lines', event: 'ALL_CURVES' },
     { id: 'randomize-btn', text: 'Randomize', event: 'RANDOM' },
-    { id: 'reset-btn', text: 'Reset', event: 'RESET' }
+    { id: 'reset-btn', text: 'Reset', event: 'RESET' },
+    { id: 'undo-btn', text: 'Undo', event: 'UNDO' },
+    { id: 'redo-btn', text: 'Redo', event: 'REDO' }
   ];
+  const buttons = {};
   actions.forEach(({ id, text, event }) => {
     const btn = createButton({
       id,
       text,
       onClick: () => dispatch(event)
     });
+    buttons[event] = btn;
     controls.appendChild(btn);
   });
+  // Undo and Redo are only enabled when there is an edit to step to
+  buttons.UNDO.disabled = true;
+  buttons.REDO.disabled = true;
+  on('HISTORY_CHANGED', ({ canUndo, canRedo }) => {
+    buttons.UNDO.disabled = !canUndo;
+    buttons.REDO.disabled = !canRedo;
+  });
+  controls.appendChild(createCurveProgress());
   app.insertBefore(controls, canvasContainer);
 
   // --- Options Button ---
@@ -257,6 +258,68 @@ export function setup() {
   });
   content.appendChild(createControlGroup('Columns', colsInput));
 
+  // --- GRID LATTICE DROPDOWN ---
+  // Shapes and topologies only apply to the square lattice
+  const latticeDropdown = createDropdown({
+    id: 'lattice-dropdown',
+    options: [
+      { value: GRID_LATTICES.SQUARE, label: 'Square' },
+      { value: GRID_LATTICES.TRIANGULAR, label: 'Triangular' },
+      { value: GRID_LATTICES.HEXAGONAL, label: 'Hexagonal' }
+    ],
+    defaultValue: settings.gridLattice,
+    onChange: lattice => {
+      const rows = Number(document.getElementById('rows-input').value);
+      const cols = Number(document.getElementById('cols-input').value);
+      dispatch('UPDATE_GRID', { rows, cols, lattice });
+    }
+  });
+  content.appendChild(createControlGroup('Lattice', latticeDropdown));
+
+  // --- GRID SHAPE DROPDOWN ---
+  const shapeDropdown = createDropdown({
+    id: 'shape-dropdown',
+    options: [
+      { value: GRID_SHAPES.RECTANGLE, label: 'Rectangle' },
+      { value: GRID_SHAPES.CROSS, label: 'Cross' },
+      { value: GRID_SHAPES.L_SHAPE, label: 'L-Shape' },
+      { value: GRID_SHAPES.RING, label: 'Ring' },
+      { value: GRID_SHAPES.CUSTOM, label: 'Custom' }
+    ],
+    defaultValue: settings.gridShape,
+    onChange: shape => {
+      const rows = Number(document.getElementById('rows-input').value);
+      const cols = Number(document.getElementById('cols-input').value);
+      dispatch('UPDATE_GRID', { rows, cols, shape });
+    }
+  });
+  content.appendChild(createControlGroup('Shape', shapeDropdown));
+
+  // --- GRID TOPOLOGY DROPDOWN ---
+  const topologyDropdown = createDropdown({
+    id: 'topology-dropdown',
+    options: [
+      { value: GRID_TOPOLOGIES.PLANE, label: 'Plane' },
+      { value: GRID_TOPOLOGIES.CYLINDER, label: 'Cylinder' },
+      { value: GRID_TOPOLOGIES.TORUS, label: 'Torus' },
+      { value: GRID_TOPOLOGIES.MOBIUS, label: 'Möbius Band' },
+      { value: GRID_TOPOLOGIES.KLEIN, label: 'Klein Bottle' }
+    ],
+    defaultValue: settings.gridTopology,
+    onChange: topology => {
+      const rows = Number(document.getElementById('rows-input').value);
+      const cols = Number(document.getElementById('cols-input').value);
+      dispatch('UPDATE_GRID', { rows, cols, topology });
+    }
+  });
+  content.appendChild(createControlGroup('Topology', topologyDropdown));
+
+  // --- RESIZE ---
+  content.appendChild(createResizePanel());
+
+  // --- EDITING TOOLS ---
+  content.appendChild(createToolPanel());
+
   // --- SHOW MIRRORS ---
   const showMirrors = createCheckbox({
     id: 'show-mirrors',
@@ -293,6 +356,15 @@ export function setup() {
   });
   content.appendChild(createControlGroup('', showCenterDots));
 
+  // --- LINK DIAGRAM ---
+  const linkDiagram = createCheckbox({
+    id: 'link-diagram',
+    label: 'Link Diagram (over/under)',
+    checked: settings.linkDiagram,
+    onChange: checked => dispatch('TOGGLE_LINK_DIAGRAM', { show: checked })
+  });
+  content.appendChild(createControlGroup('', linkDiagram));
+
   // --- ANIMATION SPEED SLIDER ---
   const animationSpeedSlider = createSlider({
     id: 'animation-speed-slider',
@@ -316,6 +388,113 @@ export function setup() {
   });
   content.appendChild(createControlGroup('Animation Style', animationStyleDropdown));
 
+  // --- SAVE / OPEN ---
+  const fileButtons = document.createElement('div');
+  fileButtons.className = 'control-group';
+  fileButtons.appendChild(createButton({
+    id: 'save-btn',
+    text: 'Save',
+    onClick: () => downloadTextFile('mirror-curve.json', dispatch('EXPORT_DOCUMENT'))
+  }));
+  fileButtons.appendChild(createButton({
+    id: 'open-btn',
+    text: 'Open',
+    onClick: () => openTextFile().then(({ name, text }) => {
+      try {
+        dispatch('LOAD_DOCUMENT', { text });
+        toggleModal();
+      } catch (error) {
+        alert(`Could not open ${name}: ${error.message}`);
+      }
+    }).catch(error => alert(error.message))
+  }));
+  // Copies a link that opens the current design
+  const copyLinkButton = createButton({
+    id: 'copy-link-btn',
+    text: 'Copy Link',
+    onClick: () => {
+      try {
+        copyText(getPermalink(), 'Copy this link:').then(() => {
+          copyLinkButton.textContent = 'Link Copied';
+          setTimeout(() => { copyLinkButton.textContent = 'Copy Link'; }, 1500);
+        });
+      } catch (error) {
+        alert(`Could not make a link: ${error.message}`);
+      }
+    }
+  });
+  fileButtons.appendChild(copyLinkButton);
+
+  // Drops the autosaved design and reloads with the defaults
+  fileButtons.appendChild(createButton({
+    id: 'start-fresh-btn',
+    text: 'Start Fresh',
+    onClick: () => {
+      if (confirm('Start fresh? The current design will be lost unless it is saved.')) startFresh();
+    }
+  }));
+  content.appendChild(fileButtons);
+
+  // --- DOWNLOAD MENU ---
+  content.appendChild(createControlGroup('Download', createDownloadMenu()));
+
+  // --- PNG IMAGE ---
+  content.appendChild(createImagePanel());
+
+  // --- CURVE STATISTICS ---
+  content.appendChild(createStatsPanel());
+
+  // --- LINK INVARIANTS ---
+  content.appendChild(createLinkPanel());
+
+  // --- JONES POLYNOMIAL ---
+  content.appendChild(createPolynomialPanel());
+
+  // --- SYMMETRY ---
+  content.appendChild(createSymmetryPanel());
+
+  // --- LUNDA DESIGN ---
+  content.appendChild(createLundaPanel());
+
+  // --- FACE FILL ---
+  content.appendChild(createFacePanel());
+
+  // --- CURVE SOLVER ---
+  content.appendChild(createSolverPanel());
+
+  // Keep the controls in step with a loaded document
+  on('DOCUMENT_LOADED', ({ grid, settings }) => {
+    setControlValue('rows-input', grid.rows);
+    setControlValue('cols-input', grid.cols);
+    setControlValue('lattice-dropdown', settings.gridLattice);
+    setControlValue('shape-dropdown', settings.gridShape);
+    setControlValue('topology-dropdown', settings.gridTopology);
+    setControlValue('resize-anchor-dropdown', settings.resizeAnchor);
+    setControlValue('show-mirrors', settings.showMirrors);
+    setControlValue('show-grid-lines', settings.showGridLines);
+    setControlValue('show-grid-dots', settings.showGridPoints);
+    setControlValue('show-center-dots', settings.showCenterDots);
+    setControlValue('link-diagram', settings.linkDiagram);
+    setControlValue('animation-speed-slider', settings.animationSpeed);
+    setControlValue('animation-style-dropdown', settings.animationStyle);
+    setControlValue('symmetry-dropdown', settings.symmetry);
+    setControlValue('symmetric-editing', settings.symmetricEditing);
+    setControlValue('solver-lock-mode', settings.lockMode);
+    setControlValue('edit-tool-dropdown', settings.editTool);
+    setControlValue('paint-mode-dropdown', settings.paintMode);
+    setControlValue('lunda-design', settings.lundaDesign);
+    setControlValue('lunda-order-dropdown', settings.lundaOrder);
+    settings.lundaColors.forEach((color, index) => setControlValue(`lunda-color-${index}`, color));
+    setControlValue('face-fill-dropdown', settings.faceFill);
+    settings.faceColors.forEach((color, index) => setControlValue(`face-color-${index}`, color));
+  });
+  // Resizing and scaling change the size behind the Rows and Columns inputs, and the shape
+  on('GRID_CHANGED', grid => {
+    setControlValue('rows-input', grid.rows);
+    setControlValue('cols-input', grid.cols);
+    setControlValue('shape-dropdown', getState().settings.gridShape);
+  });
+
   // Assemble modal
   modal.appendChild(content);
   overlay.appendChild(modal);
@@ -0,0 +1,106 @@
+// src/ui/polynomialPanel.js
+// Collapsible panel showing the Kauffman bracket and Jones polynomial
+
+import { createCollapsiblePanel, createButton } from './baseControls.js';
+import { getState } from '../core/stateManager.js';
+import { on } from '../core/eventEmitter.js';
+import {
+  computeKauffmanBracket,
+  formatLaurentPolynomial,
+  MAX_BRACKET_CROSSINGS
+} from '../logic/kauffmanBracket.js';
+
+/**
+ * Create the polynomial panel
+ * The state sum grows as 2^crossings, so it only runs on request, reports
+ * its progress and can be cancelled. Changing the grid cancels it too.
+ * @returns {HTMLDetailsElement}
+ */
+export function createPolynomialPanel() {
+  let controller = null; // AbortController of the running computation
+
+  const panel = createCollapsiblePanel({
+    id: 'polynomial-panel',
+    title: 'Jones Polynomial'
+  });
+
+  const status = document.createElement('div');
+  status.className = 'panel-status';
+  status.textContent = `Up to ${MAX_BRACKET_CROSSINGS} crossings.`;
+  panel.appendChild(status);
+
+  const result = document.createElement('dl');
+  result.className = 'stats-summary polynomial-result';
+  panel.appendChild(result);
+
+  const computeButton = createButton({
+    id: 'btn-compute-polynomial',
+    text: 'Compute',
+    onClick: () => (controller ? cancel() : compute())
+  });
+  panel.appendChild(computeButton);
+
+  function compute() {
+    const { grid } = getState();
+    if (!grid) return;
+
+    controller = new AbortController();
+    const { signal } = controller;
+    computeButton.textContent = 'Cancel';
+    result.innerHTML = '';
+    status.textContent = 'Computing… 0%';
+
+    computeKauffmanBracket(grid, {
+      signal,
+      onProgress: fraction => {
+        status.textContent = `Computing… ${Math.floor(fraction * 100)}%`;
+      }
+    }).then(({ crossings, writhe, bracket, jones }) => {
+      if (signal.aborted) return;
+      status.textContent = `${crossings} crossings, writhe ${writhe}`;
+      showResult([
+        ['⟨D⟩', formatLaurentPolynomial(bracket, 'A')],
+        ['V(t)', formatLaurentPolynomial(jones, 't')]
+      ]);
+    }).catch(error => {
+      if (!signal.aborted) status.textContent = error.message;
+    }).finally(() => {
+      if (controller && controller.signal === signal) {
+        controller = null;
+        computeButton.textContent = 'Compute';
+      }
+    });
+  }
+
+  function cancel(message = 'Cancelled.') {
+    if (!controller) return;
+    controller.abort();
+    controller = null;
+    computeButton.textContent = 'Compute';
+    status.textContent = message;
+  }
+
+  function showResult(rows) {
+    result.innerHTML = '';
+    rows.forEach(([label, value]) => {
+      const dt = document.createElement('dt');
+      dt.textContent = label;
+      const dd = document.createElement('dd');
+      dd.textContent = value;
+      result.appendChild(dt);
+      result.appendChild(dd);
+    });
+  }
+
+  // Results belong to one diagram; drop them when it changes
+  on('GRID_CHANGED', () => {
+    if (controller) {
+      cancel('The grid changed; press Compute again.');
+    } else if (result.childElementCount) {
+      result.innerHTML = '';
+      status.textContent = 'The grid changed; press Compute again.';
+    }
+  });
+
+  return panel;
+}
@@ -0,0 +1,107 @@
+// src/ui/resizePanel.js
+// Collapsible panel for resizing and scaling the grid while keeping its mirrors
+
+import {
+  createCollapsiblePanel,
+  createControlGroup,
+  createButton,
+  createDropdown
+} from './baseControls.js';
+import { dispatch, getState } from '../core/stateManager.js';
+import { on } from '../core/eventEmitter.js';
+import { GRID_LATTICES } from '../logic/grid.js';
+import { RESIZE_ANCHORS, GRID_SIDES, SCALE_FACTORS } from '../logic/gridResize.js';
+
+const ANCHOR_OPTIONS = [
+  { value: RESIZE_ANCHORS.TOP_LEFT, label: 'Top-Left' },
+  { value: RESIZE_ANCHORS.CENTER, label: 'Center' }
+];
+
+const SIDE_OPTIONS = GRID_SIDES.map(side => ({
+  value: side,
+  label: side[0].toUpperCase() + side.slice(1)
+}));
+
+/**
+ * Create the resize panel
+ * The anchor decides where Rows and Columns add or remove cells; the
+ * buttons add or remove a row or column at one side, or refine every cell
+ * into a block. Errors (such as a factor that does not fit the seams) are
+ * shown in the status line.
+ * @param {Object} [options]
+ * @param {boolean} [options.open=false] - Start expanded
+ * @returns {HTMLDetailsElement}
+ */
+export function createResizePanel({ open = false } = {}) {
+  const { settings } = getState();
+  let side = GRID_SIDES[0];
+
+  const panel = createCollapsiblePanel({
+    id: 'resize-panel',
+    title: 'Resize',
+    open
+  });
+
+  panel.appendChild(createControlGroup('Keep Pattern At', createDropdown({
+    id: 'resize-anchor-dropdown',
+    options: ANCHOR_OPTIONS,
+    defaultValue: settings.resizeAnchor,
+    onChange: anchor => dispatch('SET_RESIZE_ANCHOR', { anchor })
+  })));
+
+  panel.appendChild(createControlGroup('Side', createDropdown({
+    id: 'resize-side-dropdown',
+    options: SIDE_OPTIONS,
+    defaultValue: side,
+    onChange: value => {
+      side = value;
+    }
+  })));
+
+  const sideButtons = document.createElement('div');
+  sideButtons.className = 'panel-buttons';
+  sideButtons.appendChild(createButton({
+    id: 'btn-add-line',
+    text: 'Add',
+    onClick: () => run('EXTEND_GRID', { [side]: 1 })
+  }));
+  sideButtons.appendChild(createButton({
+    id: 'btn-remove-line',
+    text: 'Remove',
+    onClick: () => run('EXTEND_GRID', { [side]: -1 })
+  }));
+  panel.appendChild(sideButtons);
+
+  const scaleButtons = document.createElement('div');
+  scaleButtons.className = 'panel-buttons';
+  SCALE_FACTORS.forEach(factor => {
+    scaleButtons.appendChild(createButton({
+      id: `btn-scale-${factor}`,
+      text: `Scale ×${factor}`,
+      onClick: () => run('SCALE_GRID', { factor })
+    }));
+  });
+  panel.appendChild(scaleButtons);
+
+  const status = document.createElement('div');
+  status.className = 'panel-status';
+  panel.appendChild(status);
+
+  function run(action, payload) {
+    try {
+      dispatch(action, payload);
+    } catch (error) {
+      status.textContent = error.message;
+    }
+  }
+
+  function updateStatus(grid) {
+    status.textContent = grid.lattice === GRID_LATTICES.SQUARE
+      ? ''
+      : 'Only square lattice grids keep their mirrors when resized.';
+  }
+
+  on('GRID_CHANGED', updateStatus);
+  updateStatus(getState().grid);
+  return panel;
+}
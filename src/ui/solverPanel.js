@@ -0,0 +1,167 @@
+// src/ui/solverPanel.js
+// Collapsible panel that searches for mirrors giving a number of curves
+
+import {
+  createCollapsiblePanel,
+  createControlGroup,
+  createButton,
+  createCheckbox,
+  createDropdown,
+  createInputBox
+} from './baseControls.js';
+import { dispatch, getState } from '../core/stateManager.js';
+import { on } from '../core/eventEmitter.js';
+import { solveForCurveCount } from '../logic/curveSolver.js';
+import { GRID_SYMMETRIES, supportsSymmetry } from '../logic/symmetry.js';
+import { SYMMETRY_OPTIONS } from './symmetryPanel.js';
+
+/**
+ * Create the solver panel
+ * "Solve" searches from the current mirrors and applies the result with
+ * SET_MIRRORS; if the target is not reached the grid is left unchanged.
+ * Lines locked in lock mode (or, with Keep Current Mirrors, all mirrors)
+ * keep their state. The search reports its progress and can be
+ * cancelled; changing the grid cancels it too.
+ * @returns {HTMLDetailsElement}
+ */
+export function createSolverPanel() {
+  let controller = null; // AbortController of the running search
+  const options = {
+    target: 1,
+    maxMirrors: 0, // 0 = no limit
+    symmetry: GRID_SYMMETRIES.NONE,
+    keepMirrors: false
+  };
+
+  const panel = createCollapsiblePanel({
+    id: 'solver-panel',
+    title: 'Curve Solver'
+  });
+
+  panel.appendChild(createControlGroup('Number of Curves', createInputBox({
+    id: 'solver-target-input',
+    value: options.target,
+    min: 1,
+    onChange: value => { options.target = value; }
+  })));
+
+  panel.appendChild(createControlGroup('Max Mirrors (0 = no limit)', createInputBox({
+    id: 'solver-max-mirrors-input',
+    value: options.maxMirrors,
+    min: 0,
+    onChange: value => { options.maxMirrors = value; }
+  })));
+
+  panel.appendChild(createControlGroup('Symmetry', createDropdown({
+    id: 'solver-symmetry-dropdown',
+    options: SYMMETRY_OPTIONS,
+    defaultValue: options.symmetry,
+    onChange: symmetry => { options.symmetry = symmetry; }
+  })));
+
+  panel.appendChild(createCheckbox({
+    id: 'solver-keep-mirrors',
+    label: 'Keep Current Mirrors',
+    checked: options.keepMirrors,
+    onChange: checked => { options.keepMirrors = checked; }
+  }));
+
+  panel.appendChild(createCheckbox({
+    id: 'solver-lock-mode',
+    label: 'Click Locks Lines',
+    checked: getState().settings.lockMode,
+    onChange: checked => dispatch('TOGGLE_LOCK_MODE', { enabled: checked })
+  }));
+
+  const locks = document.createElement('div');
+  locks.className = 'panel-status';
+  panel.appendChild(locks);
+
+  const buttons = document.createElement('div');
+  buttons.className = 'panel-buttons';
+  const solveButton = createButton({
+    id: 'btn-solve',
+    text: 'Solve for N Curves',
+    onClick: () => (controller ? cancel() : solve())
+  });
+  buttons.appendChild(solveButton);
+  buttons.appendChild(createButton({
+    id: 'btn-clear-locks',
+    text: 'Unlock All',
+    onClick: () => dispatch('CLEAR_LINE_LOCKS')
+  }));
+  panel.appendChild(buttons);
+
+  const status = document.createElement('div');
+  status.className = 'panel-status';
+  panel.appendChild(status);
+
+  function solve() {
+    const { grid, lockedLines } = getState();
+    if (!grid) return;
+    if (!supportsSymmetry(grid, options.symmetry)) {
+      status.textContent = 'This grid does not allow the chosen symmetry.';
+      return;
+    }
+
+    const fixed = new Set(lockedLines);
+    if (options.keepMirrors) grid.toJSON().mirrors.forEach(id => fixed.add(id));
+
+    controller = new AbortController();
+    const { signal } = controller;
+    solveButton.textContent = 'Cancel';
+    status.textContent = 'Solving… 0%';
+
+    solveForCurveCount(grid, {
+      target: options.target,
+      fixed: [...fixed],
+      maxMirrors: options.maxMirrors > 0 ? options.maxMirrors : Infinity,
+      symmetry: options.symmetry,
+      signal,
+      onProgress: fraction => {
+        status.textContent = `Solving… ${Math.floor(fraction * 100)}%`;
+      }
+    }).then(result => {
+      if (signal.aborted) return;
+      // Done before SET_MIRRORS, whose GRID_CHANGED would cancel the search
+      finish();
+      if (result.solved) {
+        dispatch('SET_MIRRORS', { mirrors: result.mirrors });
+        status.textContent = `Found ${result.components} curve${result.components === 1 ? '' : 's'} with ${result.mirrors.length} mirrors.`;
+      } else {
+        status.textContent = `No placement found; the closest has ${result.components} curves.`;
+      }
+    }).catch(error => {
+      if (signal.aborted) return;
+      finish();
+      status.textContent = error.message;
+    });
+  }
+
+  function finish() {
+    controller = null;
+    solveButton.textContent = 'Solve for N Curves';
+  }
+
+  function cancel(message = 'Cancelled.') {
+    if (!controller) return;
+    controller.abort();
+    finish();
+    status.textContent = message;
+  }
+
+  function showLocks(count) {
+    if (count === 0) {
+      locks.textContent = 'Tick Click Locks Lines and click lines to keep them as they are.';
+    } else {
+      locks.textContent = count === 1 ? '1 locked line keeps its state.' : `${count} locked lines keep their state.`;
+    }
+  }
+
+  // The search started from the old grid; its result would undo the edit
+  on('GRID_CHANGED', () => cancel('The grid changed; press Solve again.'));
+  on('LOCKS_CHANGED', showLocks);
+  showLocks(getState().lockedLines.size);
+
+  return panel;
+}
@@ -0,0 +1,90 @@
+// src/ui/statsPanel.js
+// Collapsible panel with the curve statistics of the current grid
+
+import { createCollapsiblePanel } from './baseControls.js';
+import { getState } from '../core/stateManager.js';
+import { on } from '../core/eventEmitter.js';
+import { computeCurveStats } from '../logic/curveStats.js';
+
+/**
+ * Create the stats panel
+ * The statistics are recomputed whenever the grid or its mirrors change,
+ * but only while the panel is open.
+ * @param {Object} [options]
+ * @param {boolean} [options.open=false] - Start expanded
+ * @returns {HTMLDetailsElement}
+ */
+export function createStatsPanel({ open = false } = {}) {
+  let stale = true;
+
+  const body = document.createElement('div');
+  body.className = 'stats-panel';
+
+  const panel = createCollapsiblePanel({
+    id: 'stats-panel',
+    title: 'Curve Statistics',
+    open,
+    onToggle: isOpen => {
+      if (isOpen && stale) refresh();
+    }
+  });
+  panel.appendChild(body);
+
+  function refresh() {
+    const { grid, settings } = getState();
+    if (!grid) return;
+    renderStats(body, computeCurveStats(grid), settings.colorScheme);
+    stale = false;
+  }
+
+  on('GRID_CHANGED', () => {
+    stale = true;
+    if (panel.open) refresh();
+  });
+
+  if (open) refresh();
+  return panel;
+}
+
+/**
+ * Fill the panel body with the statistics
+ */
+function renderStats(body, stats, colorScheme) {
+  body.innerHTML = '';
+
+  const summary = document.createElement('dl');
+  summary.className = 'stats-summary';
+  [
+    ['Components', stats.components],
+    ['Self-crossings', stats.selfCrossings],
+    ['Mutual crossings', stats.mutualCrossings],
+    ['Lengths', stats.lengthHistogram.map(({ length, count }) => `${length}×${count}`).join(', ')]
+  ].forEach(([label, value]) => {
+    const dt = document.createElement('dt');
+    dt.textContent = label;
+    const dd = document.createElement('dd');
+    dd.textContent = value;
+    summary.appendChild(dt);
+    summary.appendChild(dd);
+  });
+  body.appendChild(summary);
+
+  // One row per curve, coloured like the drawn curves
+  const table = document.createElement('table');
+  table.className = 'stats-table';
+  const header = table.insertRow();
+  ['#', 'Length', 'Reflections', 'Crossings', 'Closed'].forEach(text => {
+    const th = document.createElement('th');
+    th.textContent = text;
+    header.appendChild(th);
+  });
+  stats.curves.forEach((curve, idx) => {
+    const row = table.insertRow();
+    [idx + 1, curve.length, curve.reflections, curve.crossings, curve.isClosed ? 'yes' : 'no']
+      .forEach(value => {
+        row.insertCell().textContent = value;
+      });
+    row.cells[0].style.color = colorScheme[idx % colorScheme.length];
+  });
+  body.appendChild(table);
+}
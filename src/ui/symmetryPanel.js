@@ -0,0 +1,108 @@
+// src/ui/symmetryPanel.js
+// Collapsible panel with the symmetries of the current mirrors and the
+// symmetry used by Randomize and mirror toggles
+
+import {
+  createCollapsiblePanel,
+  createControlGroup,
+  createCheckbox,
+  createDropdown
+} from './baseControls.js';
+import { dispatch, getState } from '../core/stateManager.js';
+import { on } from '../core/eventEmitter.js';
+import { GRID_SYMMETRIES, supportsSymmetry, detectSymmetries } from '../logic/symmetry.js';
+
+// Dropdown options for choosing a symmetry (also used by the solver panel)
+export const SYMMETRY_OPTIONS = [
+  { value: GRID_SYMMETRIES.NONE, label: 'None' },
+  { value: GRID_SYMMETRIES.LEFT_RIGHT, label: 'Left–Right' },
+  { value: GRID_SYMMETRIES.TOP_BOTTOM, label: 'Top–Bottom' },
+  { value: GRID_SYMMETRIES.BOTH_AXES, label: 'Both Axes' },
+  { value: GRID_SYMMETRIES.DIAGONAL, label: 'Diagonal' },
+  { value: GRID_SYMMETRIES.ANTI_DIAGONAL, label: 'Anti-Diagonal' },
+  { value: GRID_SYMMETRIES.ROTATION_180, label: 'Half Turn' },
+  { value: GRID_SYMMETRIES.ROTATION_90, label: 'Quarter Turn' },
+  { value: GRID_SYMMETRIES.FULL, label: 'Full (Square)' }
+];
+
+const LABELS = Object.fromEntries(SYMMETRY_OPTIONS.map(({ value, label }) => [value, label]));
+
+/**
+ * Create the symmetry panel
+ * The detected symmetries are recomputed whenever the grid or its mirrors
+ * change, but only while the panel is open.
+ * @param {Object} [options]
+ * @param {boolean} [options.open=false] - Start expanded
+ * @returns {HTMLDetailsElement}
+ */
+export function createSymmetryPanel({ open = false } = {}) {
+  const { settings } = getState();
+  let stale = true;
+
+  const panel = createCollapsiblePanel({
+    id: 'symmetry-panel',
+    title: 'Symmetry',
+    open,
+    onToggle: isOpen => {
+      if (isOpen && stale) refresh();
+    }
+  });
+
+  const summary = document.createElement('dl');
+  summary.className = 'stats-summary';
+  const detectedLabel = document.createElement('dt');
+  detectedLabel.textContent = 'Detected';
+  const detected = document.createElement('dd');
+  summary.appendChild(detectedLabel);
+  summary.appendChild(detected);
+  panel.appendChild(summary);
+
+  panel.appendChild(createControlGroup('Randomize With', createDropdown({
+    id: 'symmetry-dropdown',
+    options: SYMMETRY_OPTIONS,
+    defaultValue: settings.symmetry,
+    onChange: symmetry => {
+      dispatch('SET_SYMMETRY', { symmetry });
+      updateStatus();
+    }
+  })));
+
+  panel.appendChild(createCheckbox({
+    id: 'symmetric-editing',
+    label: 'Mirror Toggles to Symmetric Lines',
+    checked: settings.symmetricEditing,
+    onChange: enabled => dispatch('TOGGLE_SYMMETRIC_EDITING', { enabled })
+  }));
+
+  const status = document.createElement('div');
+  status.className = 'panel-status';
+  panel.appendChild(status);
+
+  function refresh() {
+    const { grid } = getState();
+    if (!grid) return;
+    const symmetries = detectSymmetries(grid);
+    detected.textContent = symmetries.length
+      ? symmetries.map(symmetry => LABELS[symmetry]).join(', ')
+      : 'None';
+    stale = false;
+  }
+
+  // Randomize and toggles fall back to no symmetry where the grid does not allow it
+  function updateStatus() {
+    const { grid, settings } = getState();
+    status.textContent = grid && !supportsSymmetry(grid, settings.symmetry)
+      ? 'This grid does not allow the chosen symmetry, so it is not used.'
+      : '';
+  }
+
+  on('GRID_CHANGED', () => {
+    stale = true;
+    if (panel.open) refresh();
+    updateStatus();
+  });
+
+  updateStatus();
+  if (open) refresh();
+  return panel;
+}
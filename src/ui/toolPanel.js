@@ -0,0 +1,75 @@
+// src/ui/toolPanel.js
+// Collapsible panel for choosing how the canvas edits mirrors
+
+import {
+  createCollapsiblePanel,
+  createControlGroup,
+  createDropdown
+} from './baseControls.js';
+import { dispatch, getState } from '../core/stateManager.js';
+import { on } from '../core/eventEmitter.js';
+import { GRID_LATTICES } from '../logic/grid.js';
+import { EDIT_TOOLS, PAINT_MODES } from '../logic/mirrorTools.js';
+
+const TOOL_OPTIONS = [
+  { value: EDIT_TOOLS.TOGGLE, label: 'Toggle' },
+  { value: EDIT_TOOLS.BRUSH, label: 'Brush' },
+  { value: EDIT_TOOLS.LINE, label: 'Line' },
+  { value: EDIT_TOOLS.RECTANGLE, label: 'Rectangle' }
+];
+
+const MODE_OPTIONS = [
+  { value: PAINT_MODES.DRAW, label: 'Draw Mirrors' },
+  { value: PAINT_MODES.ERASE, label: 'Erase Mirrors' }
+];
+
+/**
+ * Create the editing tool panel
+ * The gestures themselves are handled by setupCanvasTools.
+ * @param {Object} [options]
+ * @param {boolean} [options.open=false] - Start expanded
+ * @returns {HTMLDetailsElement}
+ */
+export function createToolPanel({ open = false } = {}) {
+  const { settings } = getState();
+
+  const panel = createCollapsiblePanel({
+    id: 'tool-panel',
+    title: 'Editing Tools',
+    open
+  });
+
+  panel.appendChild(createControlGroup('Tool', createDropdown({
+    id: 'edit-tool-dropdown',
+    options: TOOL_OPTIONS,
+    defaultValue: settings.editTool,
+    onChange: tool => {
+      dispatch('SET_EDIT_TOOL', { tool });
+      updateStatus();
+    }
+  })));
+
+  panel.appendChild(createControlGroup('Mode', createDropdown({
+    id: 'paint-mode-dropdown',
+    options: MODE_OPTIONS,
+    defaultValue: settings.paintMode,
+    onChange: mode => dispatch('SET_PAINT_MODE', { mode })
+  })));
+
+  const status = document.createElement('div');
+  status.className = 'panel-status';
+  panel.appendChild(status);
+
+  function updateStatus() {
+    const { grid, settings } = getState();
+    const needsSquare = settings.editTool === EDIT_TOOLS.LINE || settings.editTool === EDIT_TOOLS.RECTANGLE;
+    status.textContent = needsSquare && grid.lattice !== GRID_LATTICES.SQUARE
+      ? 'The line and rectangle tools only work on square lattice grids.'
+      : '';
+  }
+
+  on('GRID_CHANGED', updateStatus);
+  on('DOCUMENT_LOADED', updateStatus);
+  updateStatus();
+  return panel;
+}